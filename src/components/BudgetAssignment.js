@@ -0,0 +1,242 @@
+/**
+ * Budget Assignment Component
+ * Zero-based assignment: give every quetzal of the month a job
+ */
+
+import * as db from '../db/database.js';
+import * as BudgetService from '../services/BudgetService.js';
+import { formatCurrency, getMonthName } from '../utils/helpers.js';
+import { toMinor, fromMinor, sumBy } from '../utils/money.js';
+import { showToast, handleError, validateForm } from '../utils/errorHandler.js';
+import { navigate } from '../utils/router.js';
+import { getIcon } from './Icons.js';
+import { CATEGORY_COLORS } from '../db/schema.js';
+
+const SAVINGS_NAME = 'Ahorro';
+
+/**
+ * Find the category used to hold leftover money
+ */
+function findSavingsCategory(categories) {
+  return categories.find(c => c.name.trim().toLowerCase().startsWith('ahorro'));
+}
+
+/**
+ * Render the assignment view
+ * @returns {Promise<string>} HTML content
+ */
+export async function renderBudgetAssignment() {
+  try {
+    const { month, previousMonth, currency, availableForBudget, categories } =
+      await BudgetService.getAssignmentOverview();
+    
+    const savings = findSavingsCategory(categories);
+    
+    return `
+      <div class="container">
+        <div class="section-header" style="margin-top: var(--space-md);">
+          <h3 class="section-title">Asignar Presupuesto</h3>
+          <span style="font-size: var(--font-size-sm); color: var(--text-secondary);">
+            ${getMonthName(month)}
+          </span>
+        </div>
+        
+        <!-- Running Counter -->
+        <div class="card balance-display assign-counter" id="assign-counter"
+             data-available="${availableForBudget}" data-currency="${currency}">
+          <div class="balance-label">Sin asignar</div>
+          <div class="balance-amount" id="unassigned-amount"></div>
+          <div style="font-size: var(--font-size-sm); color: var(--text-secondary); margin-top: var(--space-sm);">
+            de ${formatCurrency(availableForBudget, currency)} disponibles después de gastos fijos y metas
+          </div>
+        </div>
+        
+        ${categories.length > 0 ? `
+          <!-- Quick Actions -->
+          <div class="assign-actions">
+            <button type="button" class="btn btn-secondary" id="fill-last-month-btn">
+              ${getIcon('history')} Gasto de ${getMonthName(previousMonth)}
+            </button>
+            <button type="button" class="btn btn-secondary" id="split-evenly-btn">
+              ${getIcon('category')} Repartir el resto
+            </button>
+            <button type="button" class="btn btn-secondary" id="send-to-savings-btn">
+              ${getIcon('wallet')} Resto a ${savings ? savings.name : SAVINGS_NAME}
+            </button>
+          </div>
+          
+          <form id="assign-form">
+            <ul class="list">
+              ${categories.map(cat => `
+                <li class="list-item assign-row">
+                  <div class="list-item-left">
+                    <span class="category-dot" style="background: ${cat.color}"></span>
+                    <div class="list-item-content" style="min-width: 0;">
+                      <span class="list-item-title">${cat.name}</span>
+                      <span class="list-item-subtitle">
+                        Mes pasado: ${formatCurrency(cat.lastMonthSpent, currency)}
+                      </span>
+                    </div>
+                  </div>
+                  <input type="number" class="form-input assign-input" name="${cat.id}"
+                         value="${fromMinor(cat.budgetLimit)}" min="0" step="0.01"
+                         data-last-month="${cat.lastMonthSpent}"
+                         ${savings?.id === cat.id ? 'data-savings="true"' : ''}
+                         aria-label="Asignación para ${cat.name}">
+                </li>
+              `).join('')}
+              ${!savings ? `
+                <li class="list-item assign-row" id="new-savings-row" style="display: none;">
+                  <div class="list-item-left">
+                    <span class="category-dot" style="background: ${CATEGORY_COLORS[3]}"></span>
+                    <div class="list-item-content" style="min-width: 0;">
+                      <span class="list-item-title">${SAVINGS_NAME}</span>
+                      <span class="list-item-subtitle">Nueva categoría</span>
+                    </div>
+                  </div>
+                  <input type="number" class="form-input assign-input" name="__savings__"
+                         value="0" min="0" step="0.01" data-last-month="0" data-savings="true"
+                         aria-label="Asignación para ${SAVINGS_NAME}">
+                </li>
+              ` : ''}
+            </ul>
+            <button type="submit" class="btn btn-primary" style="width: 100%; margin-top: var(--space-md);">
+              Guardar Asignación
+            </button>
+          </form>
+        ` : `
+          <div class="empty-state">
+            ${getIcon('category')}
+            <h3>Sin categorías</h3>
+            <p>Crea categorías para poder asignar tu dinero.</p>
+          </div>
+        `}
+      </div>
+    `;
+  } catch (error) {
+    handleError(error, 'renderBudgetAssignment');
+    return `<div class="container"><p>Error al cargar</p></div>`;
+  }
+}
+
+/**
+ * Initialize assignment view event listeners
+ */
+export function initBudgetAssignment() {
+  const counter = document.getElementById('assign-counter');
+  const form = document.getElementById('assign-form');
+  if (!counter) return;
+  
+  // Counter and inputs' data attributes are in minor units
+  const availableCents = Number(counter.dataset.available) || 0;
+  const currency = counter.dataset.currency;
+  const inputs = () => Array.from(document.querySelectorAll('.assign-input'));
+  
+  const getUnassignedCents = () =>
+    availableCents - sumBy(inputs(), input => toMinor(input.value));
+  
+  const updateCounter = () => {
+    const unassigned = getUnassignedCents();
+    const amountEl = document.getElementById('unassigned-amount');
+    amountEl.textContent = formatCurrency(unassigned, currency);
+    amountEl.classList.toggle('negative', unassigned < 0);
+    counter.classList.toggle('is-balanced', unassigned === 0);
+  };
+  
+  updateCounter();
+  inputs().forEach(input => input.addEventListener('input', updateCounter));
+  
+  // Fill each category with what was spent last month
+  document.getElementById('fill-last-month-btn')?.addEventListener('click', () => {
+    inputs().forEach(input => {
+      input.value = fromMinor(Number(input.dataset.lastMonth) || 0).toFixed(2);
+    });
+    updateCounter();
+  });
+  
+  // Split what is left evenly across existing categories
+  document.getElementById('split-evenly-btn')?.addEventListener('click', () => {
+    const remainder = getUnassignedCents();
+    const targets = inputs().filter(input => input.name !== '__savings__');
+    if (remainder === 0 || targets.length === 0) return;
+    
+    const share = Math.trunc(remainder / targets.length);
+    let leftover = remainder - share * targets.length;
+    
+    targets.forEach(input => {
+      let cents = toMinor(input.value) + share;
+      if (leftover !== 0) {
+        cents += Math.sign(leftover);
+        leftover -= Math.sign(leftover);
+      }
+      input.value = fromMinor(Math.max(0, cents)).toFixed(2);
+    });
+    updateCounter();
+  });
+  
+  // Send what is left to the savings category
+  document.getElementById('send-to-savings-btn')?.addEventListener('click', () => {
+    const remainder = getUnassignedCents();
+    const savingsInput = document.querySelector('.assign-input[data-savings="true"]');
+    if (!savingsInput || remainder === 0) return;
+    
+    const newSavingsRow = document.getElementById('new-savings-row');
+    if (newSavingsRow) {
+      newSavingsRow.style.display = '';
+    }
+    
+    savingsInput.value = fromMinor(Math.max(0, toMinor(savingsInput.value) + remainder)).toFixed(2);
+    updateCounter();
+  });
+  
+  // Save allocations to the month's plan
+  form?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    
+    const data = Object.fromEntries(new FormData(form).entries());
+    const rules = {};
+    inputs().forEach(input => {
+      const label = input.getAttribute('aria-label').replace('Asignación para ', '');
+      rules[input.name] = { required: true, type: 'number', min: 0, label };
+    });
+    
+    try {
+      validateForm(data, rules);
+      
+      const month = db.getCurrentMonth();
+      const plan = await db.getMonthlyBudget(month);
+      const allocations = { ...plan.allocations };
+      
+      for (const [categoryId, value] of Object.entries(data)) {
+        const amount = toMinor(value);
+        
+        if (categoryId === '__savings__') {
+          if (amount > 0) {
+            const savings = await db.createCategory({
+              name: SAVINGS_NAME,
+              budgetLimit: 0,
+              color: CATEGORY_COLORS[3]
+            });
+            allocations[savings.id] = amount;
+          }
+          continue;
+        }
+        
+        allocations[categoryId] = amount;
+      }
+      
+      await db.saveMonthlyBudget(month, { allocations });
+      
+      const unassigned = getUnassignedCents();
+      if (unassigned === 0) {
+        showToast('Cada quetzal tiene un trabajo', 'success');
+      } else {
+        showToast(`Asignación guardada. Quedan ${formatCurrency(unassigned, currency)} sin asignar`, 'warning');
+      }
+      
+      navigate({ view: 'dashboard' });
+    } catch (error) {
+      handleError(error, 'saveAssignment');
+    }
+  });
+}
@@ -5,11 +5,14 @@
 
 import * as db from '../db/database.js';
 import * as BudgetService from '../services/BudgetService.js';
-import { formatCurrency, formatDate, getProgressStatus, getTodayDate } from '../utils/helpers.js';
+import { formatCurrency, formatDate, getMonthName, getProgressStatus, getTodayDate, sanitizeHTML } from '../utils/helpers.js';
+import { toMinor, fromMinor } from '../utils/money.js';
 import { showToast, handleError, validateForm } from '../utils/errorHandler.js';
 import { getIcon } from './Icons.js';
 import { openModal, closeModal, confirm } from './Modal.js';
-import { CATEGORY_COLORS } from '../db/schema.js';
+import { renderExpenseCurrencyField, renderOriginalAmount, getPaidAmount } from './ExpenseCurrency.js';
+import { CATEGORY_COLORS, ROLLOVER_MODES, DEFAULT_CURRENCY } from '../db/schema.js';
+import { getCurrentRoute, navigate } from '../utils/router.js';
 
 /**
  * Render the categories view
@@ -23,7 +26,7 @@ export async function renderCategories(selectedCategoryId = null) {
       db.getSettings()
     ]);
     
-    const currency = settings?.currency || 'Q';
+    const currency = settings?.currency || DEFAULT_CURRENCY;
     
     return `
       <div class="container">
@@ -58,7 +61,7 @@ export async function renderCategories(selectedCategoryId = null) {
  * Render a single category item
  */
 function renderCategoryItem(category, currency, isExpanded = false) {
-  const { id, name, color, budgetLimit, spent, remaining, percentage, expenseCount } = category;
+  const { id, name, color, budgetLimit, carried, spent, remaining, percentage, expenseCount } = category;
   
   return `
     <div class="category-item-wrapper draggable-item" data-category-id="${id}" draggable="true">
@@ -76,6 +79,7 @@ function renderCategoryItem(category, currency, isExpanded = false) {
             <div class="category-amounts">
               <span class="amount-spent">${formatCurrency(spent, currency)}</span>
               <span class="amount-budget">de ${formatCurrency(budgetLimit, currency)}</span>
+              ${carried ? `<span class="amount-carried ${carried < 0 ? 'negative' : ''}">${carried > 0 ? '+' : '-'}${formatCurrency(Math.abs(carried), currency)} arrastrado</span>` : ''}
             </div>
             <span class="category-chevron">${getIcon('chevronDown')}</span>
           </div>
@@ -140,12 +144,25 @@ export function initCategories(refreshView) {
       item.setAttribute('aria-expanded', !isExpanded);
       expandedContent.style.display = isExpanded ? 'none' : 'block';
       
+      // Keep the open category in the route so re-renders keep it open
+      if (!isExpanded) {
+        navigate({ view: 'categories', categoryId }, { replace: true, silent: true });
+      } else if (getCurrentRoute().categoryId === categoryId) {
+        navigate({ view: 'categories' }, { replace: true, silent: true });
+      }
+      
       // Load expenses if expanding
       if (!isExpanded) {
-        await loadCategoryExpenses(categoryId, wrapper);
+        await loadCategoryExpenses(categoryId, wrapper, refreshView);
       }
     });
     
+    // Load expenses for categories rendered already expanded
+    if (item.classList.contains('expanded')) {
+      const wrapper = item.closest('.category-item-wrapper');
+      loadCategoryExpenses(wrapper.dataset.categoryId, wrapper, refreshView);
+    }
+    
     // Keyboard accessibility
     item.addEventListener('keydown', (e) => {
       if (e.key === 'Enter' || e.key === ' ') {
@@ -169,7 +186,8 @@ export function initCategories(refreshView) {
     btn.addEventListener('click', async (e) => {
       e.stopPropagation();
       const categoryId = btn.dataset.categoryId;
-      const category = await db.getCategory(categoryId);
+      const categories = await db.getCategoriesForMonth();
+      const category = categories.find(c => c.id === categoryId);
       if (category) {
         openEditCategoryModal(category, refreshView);
       }
@@ -283,10 +301,10 @@ function initCategoryDragAndDrop(listSelector, onReorder) {
 /**
  * Load expenses for a category
  */
-async function loadCategoryExpenses(categoryId, wrapper) {
+async function loadCategoryExpenses(categoryId, wrapper, refreshView) {
   const container = wrapper.querySelector('.category-expenses-list');
   const settings = await db.getSettings();
-  const currency = settings?.currency || 'Q';
+  const currency = settings?.currency || DEFAULT_CURRENCY;
   
   try {
     const expenses = await db.getExpensesByCategory(categoryId);
@@ -304,7 +322,8 @@ async function loadCategoryExpenses(categoryId, wrapper) {
     container.innerHTML = `
       <ul class="list" style="margin-top: var(--space-sm);">
         ${expenses.map(exp => `
-          <li class="list-item expense-item" data-id="${exp.id}">
+          <li class="list-item expense-item expense-item-editable" data-id="${exp.id}" 
+              role="button" tabindex="0" aria-label="Editar gasto">
             <div class="list-item-left">
               <div class="list-item-content">
                 <span class="list-item-title">${exp.description || 'Sin descripción'}</span>
@@ -312,7 +331,10 @@ async function loadCategoryExpenses(categoryId, wrapper) {
               </div>
             </div>
             <div class="list-item-right">
-              <span class="list-item-amount expense">${formatCurrency(exp.amount, currency)}</span>
+              <div class="expense-amounts">
+                <span class="list-item-amount expense">${formatCurrency(exp.amount, currency)}</span>
+                ${renderOriginalAmount(exp)}
+              </div>
               <button class="btn btn-ghost btn-icon delete-expense-btn" data-id="${exp.id}" aria-label="Eliminar">
                 ${getIcon('trash')}
               </button>
@@ -332,7 +354,7 @@ async function loadCategoryExpenses(categoryId, wrapper) {
           await db.deleteExpense(expenseId);
           showToast('Gasto eliminado', 'success');
           // Reload expenses
-          await loadCategoryExpenses(categoryId, wrapper);
+          await loadCategoryExpenses(categoryId, wrapper, refreshView);
           // Trigger refresh to update totals
           window.dispatchEvent(new CustomEvent('expense-changed'));
         } catch (error) {
@@ -340,6 +362,26 @@ async function loadCategoryExpenses(categoryId, wrapper) {
         }
       });
     });
+    
+    // Tap an expense to edit it
+    container.querySelectorAll('.expense-item-editable').forEach(item => {
+      item.addEventListener('click', (e) => {
+        if (e.target.closest('button')) return;
+        const expense = expenses.find(exp => exp.id === item.dataset.id);
+        if (expense) {
+          openEditExpenseModal(expense, refreshView);
+        }
+      });
+      
+      // Keyboard accessibility
+      item.addEventListener('keydown', (e) => {
+        if (e.target !== item) return;
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          item.click();
+        }
+      });
+    });
   } catch (error) {
     handleError(error, 'loadCategoryExpenses');
     container.innerHTML = '<p style="color: var(--accent-danger);">Error al cargar gastos</p>';
@@ -373,6 +415,14 @@ function openAddCategoryModal(refreshView) {
           <input type="number" id="category-limit" name="budgetLimit" class="form-input" 
                  placeholder="0.00" min="0" step="0.01" required>
         </div>
+        <div class="form-group">
+          <label class="form-label" for="category-rollover">Al cerrar el mes</label>
+          <select id="category-rollover" name="rolloverMode" class="form-input form-select">
+            ${ROLLOVER_MODES.map(mode => `
+              <option value="${mode.value}">${mode.label}</option>
+            `).join('')}
+          </select>
+        </div>
         <div class="form-group">
           <label class="form-label">Color</label>
           <div class="color-options" id="color-picker">
@@ -394,8 +444,9 @@ function openAddCategoryModal(refreshView) {
         
         await db.createCategory({
           name: data.name.trim(),
-          budgetLimit: parseFloat(data.budgetLimit),
-          color: data.color
+          budgetLimit: toMinor(data.budgetLimit),
+          color: data.color,
+          rolloverMode: data.rolloverMode
         });
         
         showToast('Categoría creada', 'success');
@@ -431,6 +482,7 @@ function openAddCategoryModal(refreshView) {
  * Open modal to edit category
  */
 function openEditCategoryModal(category, refreshView) {
+  const month = db.getCurrentMonth();
   const colorOptions = CATEGORY_COLORS.map(color => `
     <div class="color-option ${color === category.color ? 'selected' : ''}" 
          style="background: ${color}" 
@@ -452,7 +504,16 @@ function openEditCategoryModal(category, refreshView) {
         <div class="form-group">
           <label class="form-label" for="category-limit">Límite de Presupuesto</label>
           <input type="number" id="category-limit" name="budgetLimit" class="form-input" 
-                 value="${category.budgetLimit}" min="0" step="0.01" required>
+                 value="${fromMinor(category.budgetLimit)}" min="0" step="0.01" required>
+          <p class="helper-text" style="text-align: left;">Aplica al presupuesto de ${getMonthName(month)}</p>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="category-rollover">Al cerrar el mes</label>
+          <select id="category-rollover" name="rolloverMode" class="form-input form-select">
+            ${ROLLOVER_MODES.map(mode => `
+              <option value="${mode.value}" ${mode.value === (category.rolloverMode || 'reset') ? 'selected' : ''}>${mode.label}</option>
+            `).join('')}
+          </select>
         </div>
         <div class="form-group">
           <label class="form-label">Color</label>
@@ -475,9 +536,10 @@ function openEditCategoryModal(category, refreshView) {
         
         await db.updateCategory(category.id, {
           name: data.name.trim(),
-          budgetLimit: parseFloat(data.budgetLimit),
-          color: data.color
+          color: data.color,
+          rolloverMode: data.rolloverMode
         });
+        await db.setCategoryAllocation(month, category.id, toMinor(data.budgetLimit));
         
         showToast('Categoría actualizada', 'success');
         closeModal();
@@ -521,6 +583,7 @@ export function openAddExpenseModal(categoryId, refreshView) {
           <input type="number" id="expense-amount" name="amount" class="form-input form-input-large" 
                  placeholder="0.00" min="0" step="0.01" required autofocus>
         </div>
+        ${renderExpenseCurrencyField()}
         <div class="form-group">
           <label class="form-label" for="expense-desc">Descripción (opcional)</label>
           <input type="text" id="expense-desc" name="description" class="form-input" 
@@ -547,18 +610,19 @@ export function openAddExpenseModal(categoryId, refreshView) {
         const BudgetService = await import('../services/BudgetService.js');
         const categoryData = await BudgetService.getCategoryWithSpending(data.categoryId);
         
-        await db.createExpense({
+        const created = await db.createExpense({
           categoryId: data.categoryId,
           description: data.description?.trim() || '',
-          amount: parseFloat(data.amount),
+          amount: toMinor(data.amount),
+          currency: data.currency || null,
           date: data.date || getTodayDate()
         });
         
         // Check budget limits and notify
         if (categoryData) {
-          const newSpent = categoryData.spent + parseFloat(data.amount);
-          const newPercentage = categoryData.budgetLimit > 0 
-            ? (newSpent / categoryData.budgetLimit) * 100 
+          const newSpent = categoryData.spent + created.amount;
+          const newPercentage = categoryData.available > 0 
+            ? (newSpent / categoryData.available) * 100 
             : 0;
           
           if (newPercentage >= 100) {
@@ -580,3 +644,97 @@ export function openAddExpenseModal(categoryId, refreshView) {
     }
   });
 }
+
+/**
+ * Open modal to edit an expense
+ * Allows moving it to another category or month
+ */
+async function openEditExpenseModal(expense, refreshView) {
+  let categories;
+  try {
+    categories = await db.getAllCategories();
+  } catch (error) {
+    handleError(error, 'loadCategories');
+    return;
+  }
+  
+  openModal({
+    title: 'Editar Gasto',
+    content: `
+      <form id="edit-expense-form">
+        <div class="form-group">
+          <label class="form-label" for="expense-amount">Monto</label>
+          <input type="number" id="expense-amount" name="amount" class="form-input form-input-large" 
+                 value="${getPaidAmount(expense)}" min="0" step="0.01" required>
+        </div>
+        ${renderExpenseCurrencyField(expense)}
+        <div class="form-group">
+          <label class="form-label" for="expense-desc">Descripción (opcional)</label>
+          <input type="text" id="expense-desc" name="description" class="form-input" 
+                 value="${sanitizeHTML(expense.description || '')}" placeholder="Ej: Almuerzo, Uber, Supermercado">
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="expense-date">Fecha</label>
+          <input type="date" id="expense-date" name="date" class="form-input" 
+                 value="${expense.date}" required>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="expense-category">Categoría</label>
+          <select id="expense-category" name="categoryId" class="form-input form-select" required>
+            ${categories.map(cat => `
+              <option value="${cat.id}" ${cat.id === expense.categoryId ? 'selected' : ''}>${cat.name}</option>
+            `).join('')}
+          </select>
+        </div>
+        <button type="submit" class="btn btn-primary" style="width: 100%;">
+          Guardar Cambios
+        </button>
+      </form>
+    `,
+    onSubmit: async (data) => {
+      try {
+        validateForm(data, {
+          amount: { required: true, type: 'number', min: 0.01, label: 'Monto' },
+          date: { required: true, label: 'Fecha' },
+          categoryId: { required: true, label: 'Categoría' }
+        });
+        
+        const updated = await db.updateExpense(expense.id, {
+          categoryId: data.categoryId,
+          description: data.description?.trim() || '',
+          amount: toMinor(data.amount),
+          currency: data.currency || null,
+          date: data.date
+        });
+        
+        // Check budget limits of the (possibly new) category and month
+        const categoryData = await BudgetService.getCategoryWithSpending(updated.categoryId, updated.month);
+        const unchangedBucket = updated.categoryId === expense.categoryId && updated.month === expense.month;
+        const previousSpent = categoryData 
+          ? categoryData.spent - updated.amount + (unchangedBucket ? expense.amount : 0) 
+          : 0;
+        
+        if (categoryData && categoryData.spent > previousSpent && categoryData.available > 0) {
+          const newPercentage = (categoryData.spent / categoryData.available) * 100;
+          
+          if (newPercentage >= 100) {
+            showToast(`⚠️ ¡Límite excedido en ${categoryData.name}!`, 'warning');
+          } else if (newPercentage >= 80) {
+            showToast(`⚠️ ${categoryData.name}: ${Math.round(newPercentage)}% del límite usado`, 'warning');
+          } else {
+            showToast('Gasto actualizado', 'success');
+          }
+        } else {
+          showToast('Gasto actualizado', 'success');
+        }
+        
+        closeModal();
+        window.dispatchEvent(new CustomEvent('expense-changed'));
+        navigate({ view: 'categories', categoryId: updated.categoryId }, { replace: true, silent: true });
+        refreshView();
+      } catch (error) {
+        handleError(error, 'updateExpense');
+      }
+    }
+  });
+}
@@ -6,9 +6,11 @@
 import Chart from 'chart.js/auto';
 import * as BudgetService from '../services/BudgetService.js';
 import { formatCurrency } from '../utils/helpers.js';
+import { toMinor, fromMinor } from '../utils/money.js';
 import { handleError } from '../utils/errorHandler.js';
 import { getIcon } from './Icons.js';
 import * as db from '../db/database.js';
+import { DEFAULT_CURRENCY } from '../db/schema.js';
 
 let charts = {
   distribution: null,
@@ -27,7 +29,7 @@ export async function renderCharts() {
       db.getSettings()
     ]);
     
-    const currency = settings?.currency || 'Q';
+    const currency = settings?.currency || DEFAULT_CURRENCY;
     const hasData = distribution.length > 0 || comparison.some(c => c.actual > 0);
     
     return `
@@ -148,6 +150,170 @@ export async function initCharts() {
   await createComparisonChart();
 }
 
+/**
+ * Chart colors for the dark app theme and for printed reports
+ */
+export const CHART_THEMES = {
+  dark: {
+    border: '#1a1a1a',
+    grid: '#2a2a2a',
+    text: '#ffffff',
+    mutedText: '#a0a0a0',
+    budget: '#3a3a3a',
+    tooltip: '#2a2a2a',
+    tooltipBorder: '#3a3a3a'
+  },
+  print: {
+    border: '#ffffff',
+    grid: '#e0e0e0',
+    text: '#111111',
+    mutedText: '#555555',
+    budget: '#c8c8c8',
+    tooltip: '#2a2a2a',
+    tooltipBorder: '#3a3a3a'
+  }
+};
+
+/**
+ * Build the distribution (doughnut) chart config
+ * @param {Array} data - Items from BudgetService.getCategoryDistribution
+ * @param {string} currency - ISO 4217 code
+ * @param {Object} [theme] - One of CHART_THEMES
+ * @returns {Object} Chart.js config
+ */
+export function getDistributionChartConfig(data, currency, theme = CHART_THEMES.dark) {
+  return {
+    type: 'doughnut',
+    data: {
+      labels: data.map(d => d.name),
+      datasets: [{
+        data: data.map(d => fromMinor(d.value)),
+        backgroundColor: data.map(d => d.color),
+        borderColor: theme.border,
+        borderWidth: 2,
+        hoverOffset: 10
+      }]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      cutout: '65%',
+      plugins: {
+        legend: {
+          display: false
+        },
+        tooltip: {
+          backgroundColor: theme.tooltip,
+          titleColor: '#ffffff',
+          bodyColor: '#a0a0a0',
+          borderColor: theme.tooltipBorder,
+          borderWidth: 1,
+          padding: 12,
+          cornerRadius: 8,
+          callbacks: {
+            label: (context) => {
+              const value = context.raw;
+              const percentage = Math.round(context.parsed / context.dataset.data.reduce((a, b) => a + b, 0) * 100);
+              return `${formatCurrency(toMinor(value), currency)} (${percentage}%)`;
+            }
+          }
+        }
+      },
+      animation: {
+        animateRotate: true,
+        animateScale: true
+      }
+    }
+  };
+}
+
+/**
+ * Build the budget vs actual (horizontal bar) chart config
+ * @param {Array} data - Items from BudgetService.getBudgetVsActual
+ * @param {string} currency - ISO 4217 code
+ * @param {Object} [theme] - One of CHART_THEMES
+ * @returns {Object} Chart.js config
+ */
+export function getComparisonChartConfig(data, currency, theme = CHART_THEMES.dark) {
+  return {
+    type: 'bar',
+    data: {
+      labels: data.map(d => d.name),
+      datasets: [
+        {
+          label: 'Presupuesto',
+          data: data.map(d => fromMinor(d.budget)),
+          backgroundColor: theme.budget,
+          borderRadius: 6,
+          barPercentage: 0.7
+        },
+        {
+          label: 'Gastado',
+          data: data.map(d => fromMinor(d.actual)),
+          backgroundColor: data.map(d => d.color),
+          borderRadius: 6,
+          barPercentage: 0.7
+        }
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      indexAxis: 'y',
+      scales: {
+        x: {
+          beginAtZero: true,
+          grid: {
+            color: theme.grid,
+            drawBorder: false
+          },
+          ticks: {
+            color: theme.mutedText,
+            callback: (value) => formatCurrency(toMinor(value), currency)
+          }
+        },
+        y: {
+          grid: {
+            display: false
+          },
+          ticks: {
+            color: theme.text,
+            font: {
+              size: 12
+            }
+          }
+        }
+      },
+      plugins: {
+        legend: {
+          display: true,
+          position: 'top',
+          labels: {
+            color: theme.mutedText,
+            usePointStyle: true,
+            pointStyle: 'circle',
+            padding: 20
+          }
+        },
+        tooltip: {
+          backgroundColor: theme.tooltip,
+          titleColor: '#ffffff',
+          bodyColor: '#a0a0a0',
+          borderColor: theme.tooltipBorder,
+          borderWidth: 1,
+          padding: 12,
+          cornerRadius: 8,
+          callbacks: {
+            label: (context) => {
+              return `${context.dataset.label}: ${formatCurrency(toMinor(context.raw), currency)}`;
+            }
+          }
+        }
+      }
+    }
+  };
+}
+
 /**
  * Create the distribution (pie/doughnut) chart
  */
@@ -161,53 +327,15 @@ async function createDistributionChart() {
   }
   
   try {
-    const data = await BudgetService.getCategoryDistribution();
+    const [data, settings] = await Promise.all([
+      BudgetService.getCategoryDistribution(),
+      db.getSettings()
+    ]);
+    const currency = settings?.currency || DEFAULT_CURRENCY;
     
     if (data.length === 0) return;
     
-    charts.distribution = new Chart(canvas, {
-      type: 'doughnut',
-      data: {
-        labels: data.map(d => d.name),
-        datasets: [{
-          data: data.map(d => d.value),
-          backgroundColor: data.map(d => d.color),
-          borderColor: '#1a1a1a',
-          borderWidth: 2,
-          hoverOffset: 10
-        }]
-      },
-      options: {
-        responsive: true,
-        maintainAspectRatio: false,
-        cutout: '65%',
-        plugins: {
-          legend: {
-            display: false
-          },
-          tooltip: {
-            backgroundColor: '#2a2a2a',
-            titleColor: '#ffffff',
-            bodyColor: '#a0a0a0',
-            borderColor: '#3a3a3a',
-            borderWidth: 1,
-            padding: 12,
-            cornerRadius: 8,
-            callbacks: {
-              label: (context) => {
-                const value = context.raw;
-                const percentage = Math.round(context.parsed / context.dataset.data.reduce((a, b) => a + b, 0) * 100);
-                return `Q${value.toLocaleString('es-GT', { minimumFractionDigits: 2 })} (${percentage}%)`;
-              }
-            }
-          }
-        },
-        animation: {
-          animateRotate: true,
-          animateScale: true
-        }
-      }
-    });
+    charts.distribution = new Chart(canvas, getDistributionChartConfig(data, currency));
   } catch (error) {
     console.error('Error creating distribution chart:', error);
   }
@@ -226,87 +354,15 @@ async function createComparisonChart() {
   }
   
   try {
-    const data = await BudgetService.getBudgetVsActual();
+    const [data, settings] = await Promise.all([
+      BudgetService.getBudgetVsActual(),
+      db.getSettings()
+    ]);
+    const currency = settings?.currency || DEFAULT_CURRENCY;
     
     if (data.length === 0) return;
     
-    charts.comparison = new Chart(canvas, {
-      type: 'bar',
-      data: {
-        labels: data.map(d => d.name),
-        datasets: [
-          {
-            label: 'Presupuesto',
-            data: data.map(d => d.budget),
-            backgroundColor: '#3a3a3a',
-            borderRadius: 6,
-            barPercentage: 0.7
-          },
-          {
-            label: 'Gastado',
-            data: data.map(d => d.actual),
-            backgroundColor: data.map(d => d.color),
-            borderRadius: 6,
-            barPercentage: 0.7
-          }
-        ]
-      },
-      options: {
-        responsive: true,
-        maintainAspectRatio: false,
-        indexAxis: 'y',
-        scales: {
-          x: {
-            beginAtZero: true,
-            grid: {
-              color: '#2a2a2a',
-              drawBorder: false
-            },
-            ticks: {
-              color: '#a0a0a0',
-              callback: (value) => `Q${value}`
-            }
-          },
-          y: {
-            grid: {
-              display: false
-            },
-            ticks: {
-              color: '#ffffff',
-              font: {
-                size: 12
-              }
-            }
-          }
-        },
-        plugins: {
-          legend: {
-            display: true,
-            position: 'top',
-            labels: {
-              color: '#a0a0a0',
-              usePointStyle: true,
-              pointStyle: 'circle',
-              padding: 20
-            }
-          },
-          tooltip: {
-            backgroundColor: '#2a2a2a',
-            titleColor: '#ffffff',
-            bodyColor: '#a0a0a0',
-            borderColor: '#3a3a3a',
-            borderWidth: 1,
-            padding: 12,
-            cornerRadius: 8,
-            callbacks: {
-              label: (context) => {
-                return `${context.dataset.label}: Q${context.raw.toLocaleString('es-GT', { minimumFractionDigits: 2 })}`;
-              }
-            }
-          }
-        }
-      }
-    });
+    charts.comparison = new Chart(canvas, getComparisonChartConfig(data, currency));
   } catch (error) {
     console.error('Error creating comparison chart:', error);
   }
@@ -4,8 +4,11 @@
  */
 
 import * as BudgetService from '../services/BudgetService.js';
-import { formatCurrency, getMonthName, getProgressStatus, calculatePercentage } from '../utils/helpers.js';
+import { formatCurrency, formatDate, getMonthName, getProgressStatus, calculatePercentage } from '../utils/helpers.js';
+import { DEFAULT_CURRENCY } from '../db/schema.js';
+import { navigate } from '../utils/router.js';
 import { getIcon } from './Icons.js';
+import { getDistributionChartConfig, getComparisonChartConfig } from './Charts.js';
 import * as db from '../db/database.js';
 import Chart from 'chart.js/auto';
 
@@ -39,23 +42,33 @@ export async function renderDashboard() {
     const hasPrevious = currentIndex < availableMonths.length - 1;
     const hasNext = currentIndex > 0;
     
+    // Custom periods show their date range under the month name
+    const period = db.getPeriodStartDay() > 1 ? db.getPeriodRange(viewMonth) : null;
+    
     const overview = await BudgetService.getBudgetOverview(viewMonth);
     const categoriesWithSpending = await BudgetService.getAllCategoriesWithSpending(viewMonth);
     
     const {
       monthlyIncome,
+      receivedIncome,
+      pendingIncome,
+      irregularIncome,
       totalFixedExpenses,
       realAvailable,
       totalSpent,
       totalBudgeted,
+      totalGoals,
+      unassigned,
+      isArchived,
       currency,
       currentMonth
     } = overview;
     
     const availableClass = realAvailable < 0 ? 'negative' : '';
     const availableAfterFixed = monthlyIncome - totalFixedExpenses;
-    const allocatedPercent = totalBudgeted > 0 
-      ? calculatePercentage(totalBudgeted, availableAfterFixed) 
+    const totalAssigned = totalBudgeted + totalGoals;
+    const allocatedPercent = totalAssigned > 0 
+      ? calculatePercentage(totalAssigned, availableAfterFixed) 
       : 0;
     
     // Get chart data
@@ -77,6 +90,7 @@ export async function renderDashboard() {
               <span style="font-size: var(--font-size-md); font-weight: 500; color: var(--text-primary); text-transform: capitalize;">
                 ${getMonthName(viewMonth)}
               </span>
+              ${period ? `<div style="font-size: var(--font-size-xs); color: var(--text-muted); margin-top: 2px;">${formatDate(`${period.start}T00:00:00`)} – ${formatDate(`${period.end}T00:00:00`)}</div>` : ''}
               ${!isCurrentMonth ? '<div style="font-size: var(--font-size-xs); color: var(--accent-primary); margin-top: 2px;">Histórico</div>' : ''}
             </div>
             <button class="btn btn-ghost btn-icon month-nav-btn" id="next-month-btn" ${!hasNext ? 'disabled style="opacity: 0.3; pointer-events: none;"' : ''} aria-label="Mes siguiente">
@@ -104,7 +118,22 @@ export async function renderDashboard() {
               ${formatCurrency(realAvailable, currency)}
             </div>
             <div style="font-size: var(--font-size-sm); color: var(--text-secondary); margin-top: var(--space-sm);">
-              de ${formatCurrency(monthlyIncome, currency)} de ingreso
+              de ${formatCurrency(monthlyIncome, currency)} de ingreso esperado
+            </div>
+            <div class="income-status">
+              <span>
+                <span class="income">${formatCurrency(receivedIncome, currency)}</span> recibido
+              </span>
+              ${pendingIncome > 0 ? `
+                <span>
+                  <span class="pending">${formatCurrency(pendingIncome, currency)}</span> por recibir
+                </span>
+              ` : ''}
+              ${irregularIncome > 0 ? `
+                <span>
+                  <span class="income">${formatCurrency(irregularIncome, currency)}</span> de ingresos extra
+                </span>
+              ` : ''}
             </div>
           </div>
           
@@ -138,9 +167,14 @@ export async function renderDashboard() {
                      style="width: ${Math.min(100, allocatedPercent)}%"></div>
               </div>
               <div style="display: flex; justify-content: space-between; margin-top: var(--space-sm); font-size: var(--font-size-xs); color: var(--text-secondary);">
-                <span>${formatCurrency(totalBudgeted, currency)} asignado</span>
-                <span>${formatCurrency(availableAfterFixed - totalBudgeted, currency)} sin asignar</span>
+                <span>${formatCurrency(totalAssigned, currency)} asignado</span>
+                <span class="${unassigned !== 0 ? 'unassigned-warning' : ''}">${formatCurrency(unassigned, currency)} sin asignar</span>
               </div>
+              ${isCurrentMonth && !isArchived ? `
+                <button class="btn ${unassigned !== 0 ? 'btn-primary' : 'btn-secondary'}" id="assign-budget-btn" style="width: 100%; margin-top: var(--space-md);">
+                  ${unassigned !== 0 ? 'Asignar dinero' : 'Ajustar asignación'}
+                </button>
+              ` : ''}
             </div>
           ` : `
             <div class="card empty-state">
@@ -150,6 +184,20 @@ export async function renderDashboard() {
             </div>
           `}
           
+          <!-- Savings Goals -->
+          ${isCurrentMonth && !isArchived ? `
+            <button class="card goals-link" id="goals-link-btn">
+              <span class="goals-link-icon">${getIcon('target')}</span>
+              <span class="list-item-content">
+                <span class="list-item-title">Metas de Ahorro</span>
+                <span class="list-item-subtitle">
+                  ${totalGoals > 0 ? `${formatCurrency(totalGoals, currency)} asignado este mes` : 'Fondo de emergencia, vacaciones, enganche'}
+                </span>
+              </span>
+              ${getIcon('chevronRight')}
+            </button>
+          ` : ''}
+          
           <!-- Categories Quick View -->
           ${categoriesWithSpending.length > 0 ? `
             <div class="section-header">
@@ -168,6 +216,7 @@ export async function renderDashboard() {
                       <div class="category-amounts">
                         <span class="amount-spent">${formatCurrency(cat.spent, currency)}</span>
                         <span class="amount-budget">de ${formatCurrency(cat.budgetLimit, currency)}</span>
+                        ${cat.carried ? `<span class="amount-carried ${cat.carried < 0 ? 'negative' : ''}">${cat.carried > 0 ? '+' : '-'}${formatCurrency(Math.abs(cat.carried), currency)} arrastrado</span>` : ''}
                       </div>
                     </div>
                   </div>
@@ -330,12 +379,20 @@ export function initDashboard() {
   document.querySelectorAll('.category-item').forEach(item => {
     item.addEventListener('click', () => {
       const categoryId = item.dataset.categoryId;
-      window.dispatchEvent(new CustomEvent('navigate', { 
-        detail: { view: 'categories', categoryId } 
-      }));
+      navigate({ view: 'categories', categoryId });
     });
   });
   
+  // Savings goals screen
+  document.getElementById('goals-link-btn')?.addEventListener('click', () => {
+    navigate({ view: 'goals' });
+  });
+  
+  // Assignment screen
+  document.getElementById('assign-budget-btn')?.addEventListener('click', () => {
+    navigate({ view: 'assign' });
+  });
+  
   // Month navigation handlers
   const prevMonthBtn = document.getElementById('prev-month-btn');
   const nextMonthBtn = document.getElementById('next-month-btn');
@@ -347,9 +404,7 @@ export function initDashboard() {
     const currentIndex = availableMonths.indexOf(viewMonth);
     
     if (currentIndex < availableMonths.length - 1) {
-      selectedMonth = availableMonths[currentIndex + 1];
-      // Trigger refresh
-      window.dispatchEvent(new CustomEvent('expense-changed'));
+      navigate({ view: 'dashboard', month: availableMonths[currentIndex + 1] });
     }
   });
   
@@ -360,13 +415,9 @@ export function initDashboard() {
     const currentIndex = availableMonths.indexOf(viewMonth);
     
     if (currentIndex > 0) {
-      selectedMonth = availableMonths[currentIndex - 1];
-      // If we're back to current month, reset selectedMonth to null
-      if (selectedMonth === currentRealMonth) {
-        selectedMonth = null;
-      }
-      // Trigger refresh
-      window.dispatchEvent(new CustomEvent('expense-changed'));
+      const month = availableMonths[currentIndex - 1];
+      // The current month has no month in its route
+      navigate({ view: 'dashboard', month: month === currentRealMonth ? null : month });
     }
   });
   
@@ -405,37 +456,14 @@ async function createDistributionChart() {
   }
   
   try {
-    const data = await BudgetService.getCategoryDistribution();
+    const [data, settings] = await Promise.all([
+      BudgetService.getCategoryDistribution(),
+      db.getSettings()
+    ]);
+    const currency = settings?.currency || DEFAULT_CURRENCY;
     if (data.length === 0) return;
     
-    charts.distribution = new Chart(canvas, {
-      type: 'doughnut',
-      data: {
-        labels: data.map(d => d.name),
-        datasets: [{
-          data: data.map(d => d.value),
-          backgroundColor: data.map(d => d.color),
-          borderColor: '#1a1a1a',
-          borderWidth: 2,
-          hoverOffset: 8
-        }]
-      },
-      options: {
-        responsive: true,
-        maintainAspectRatio: false,
-        cutout: '65%',
-        plugins: {
-          legend: { display: false },
-          tooltip: {
-            backgroundColor: '#2a2a2a',
-            titleColor: '#fff',
-            bodyColor: '#a0a0a0',
-            padding: 10,
-            cornerRadius: 8
-          }
-        }
-      }
-    });
+    charts.distribution = new Chart(canvas, getDistributionChartConfig(data, currency));
   } catch (error) {
     console.error('Error creating distribution chart:', error);
   }
@@ -453,58 +481,14 @@ async function createComparisonChart() {
   }
   
   try {
-    const data = await BudgetService.getBudgetVsActual();
+    const [data, settings] = await Promise.all([
+      BudgetService.getBudgetVsActual(),
+      db.getSettings()
+    ]);
+    const currency = settings?.currency || DEFAULT_CURRENCY;
     if (data.length === 0) return;
     
-    charts.comparison = new Chart(canvas, {
-      type: 'bar',
-      data: {
-        labels: data.map(d => d.name),
-        datasets: [
-          {
-            label: 'Presupuesto',
-            data: data.map(d => d.budget),
-            backgroundColor: '#3a3a3a',
-            borderRadius: 4,
-            barPercentage: 0.7
-          },
-          {
-            label: 'Gastado',
-            data: data.map(d => d.actual),
-            backgroundColor: data.map(d => d.color),
-            borderRadius: 4,
-            barPercentage: 0.7
-          }
-        ]
-      },
-      options: {
-        responsive: true,
-        maintainAspectRatio: false,
-        indexAxis: 'y',
-        scales: {
-          x: {
-            beginAtZero: true,
-            grid: { color: '#2a2a2a' },
-            ticks: { color: '#a0a0a0', callback: v => `Q${v}` }
-          },
-          y: {
-            grid: { display: false },
-            ticks: { color: '#fff', font: { size: 11 } }
-          }
-        },
-        plugins: {
-          legend: {
-            position: 'top',
-            labels: { color: '#a0a0a0', usePointStyle: true, padding: 16 }
-          },
-          tooltip: {
-            backgroundColor: '#2a2a2a',
-            padding: 10,
-            cornerRadius: 8
-          }
-        }
-      }
-    });
+    charts.comparison = new Chart(canvas, getComparisonChartConfig(data, currency));
   } catch (error) {
     console.error('Error creating comparison chart:', error);
   }
@@ -0,0 +1,57 @@
+/**
+ * Expense Currency Fields
+ * Shared pieces for expenses paid in another currency than the budget's
+ */
+
+import { AVAILABLE_CURRENCIES } from '../db/schema.js';
+import { formatCurrency } from '../utils/helpers.js';
+import { fromMinor } from '../utils/money.js';
+
+/**
+ * Render the currency select of an expense form
+ * The empty option means the budget currency
+ * @param {Object|null} expense - Expense being edited
+ * @returns {string} HTML form group
+ */
+export function renderExpenseCurrencyField(expense = null) {
+  const selected = expense?.originalCurrency || '';
+  
+  return `
+    <div class="form-group">
+      <label class="form-label" for="expense-currency">Moneda</label>
+      <select id="expense-currency" name="currency" class="form-input form-select">
+        <option value="" ${selected === '' ? 'selected' : ''}>Moneda del presupuesto</option>
+        ${AVAILABLE_CURRENCIES.map(curr => `
+          <option value="${curr.code}" ${curr.code === selected ? 'selected' : ''}>
+            ${curr.code} - ${curr.name}
+          </option>
+        `).join('')}
+      </select>
+      <p class="helper-text" style="text-align: left;">Se convierte con el tipo de cambio vigente en la fecha del gasto</p>
+    </div>
+  `;
+}
+
+/**
+ * Amount to show in an expense form: what was actually paid
+ * @param {Object} expense - Expense
+ * @returns {number} Major units
+ */
+export function getPaidAmount(expense) {
+  return fromMinor(expense.originalCurrency ? expense.originalAmount : expense.amount);
+}
+
+/**
+ * Render the amount an expense was paid with, when it differs from the budget currency
+ * @param {Object} expense - Expense
+ * @returns {string} HTML (empty for budget-currency expenses)
+ */
+export function renderOriginalAmount(expense) {
+  if (!expense.originalCurrency) return '';
+  
+  return `
+    <span class="expense-original-amount">
+      ${formatCurrency(expense.originalAmount, expense.originalCurrency)} · TC ${expense.exchangeRate}
+    </span>
+  `;
+}
@@ -1,14 +1,16 @@
 /**
  * Income & Fixed Expenses Component
- * Manage monthly income and recurring fixed expenses
+ * Manage income sources, recurring fixed expenses and sinking funds
  */
 
 import * as db from '../db/database.js';
 import * as BudgetService from '../services/BudgetService.js';
-import { formatCurrency, debounce } from '../utils/helpers.js';
+import { formatCurrency, formatDate, getMonthName } from '../utils/helpers.js';
+import { toMinor, fromMinor } from '../utils/money.js';
 import { showToast, handleError, validateForm } from '../utils/errorHandler.js';
 import { getIcon } from './Icons.js';
 import { openModal, closeModal, confirm } from './Modal.js';
+import { INCOME_DISTRIBUTIONS, SINKING_FUND_INTERVALS } from '../db/schema.js';
 
 /**
  * Render the fixed expenses view
@@ -16,42 +18,110 @@ import { openModal, closeModal, confirm } from './Modal.js';
  */
 export async function renderFixedExpenses() {
   try {
-    const [settings, fixedExpenses, overview] = await Promise.all([
-      db.getSettings(),
+    const [income, incomes, fixedExpenses, sinkingFunds, overview] = await Promise.all([
+      db.getIncomeForMonth(),
+      db.getAllIncomes(),
       db.getAllFixedExpenses(),
+      db.getSinkingFundsForMonth(),
       BudgetService.getBudgetOverview()
     ]);
     
-    const { currency } = overview;
-    const monthlyIncome = settings?.monthlyIncome || 0;
-    const totalFixed = fixedExpenses.reduce((sum, e) => sum + e.amount, 0);
+    const { currency, currentMonth } = overview;
+    const monthlyIncome = income.expected;
+    const totalFixed = overview.totalFixedExpenses;
     const remaining = monthlyIncome - totalFixed;
     
+    // Annual income that does not count toward this month
+    const upcomingAnnual = incomes.filter(i => 
+      i.frequency === 'annual' && !income.sources.some(s => s.id === i.id)
+    );
+    
     return `
       <div class="container">
-        <!-- Income Section -->
-        <div class="card">
-          <div class="card-header">
-            <span class="card-title">Ingreso Mensual</span>
+        <!-- Income Sources -->
+        <div class="section-header" style="margin-top: var(--space-md);">
+          <h3 class="section-title">Ingresos de ${getMonthName(currentMonth)}</h3>
+          <button class="btn btn-ghost btn-icon" id="add-income-btn" aria-label="Agregar ingreso">
+            ${getIcon('plus')}
+          </button>
+        </div>
+        
+        ${income.sources.length > 0 ? `
+          <ul class="list" id="incomes-list">
+            ${income.sources.map(source => `
+              <li class="list-item" data-id="${source.id}">
+                <div class="list-item-left">
+                  ${source.isSpread ? `
+                    <span class="income-spread-icon">${getIcon('calendar')}</span>
+                  ` : `
+                    <button class="btn btn-ghost btn-icon income-received-btn ${source.isReceived ? 'received' : ''}" 
+                            data-id="${source.id}" data-received="${source.isReceived}" 
+                            aria-pressed="${source.isReceived}" 
+                            aria-label="${source.isReceived ? 'Marcar como pendiente' : 'Marcar como recibido'}">
+                      ${getIcon('check')}
+                    </button>
+                  `}
+                  <div class="list-item-content" style="min-width: 0;">
+                    <span class="list-item-title">${source.name}</span>
+                    <span class="list-item-subtitle">
+                      ${source.isSpread 
+                        ? `1/12 de ${formatCurrency(source.amount, currency)} · llega en ${getPayMonthName(source.payMonth)}` 
+                        : `${source.isReceived ? 'Recibido' : 'Pendiente'} · ${formatDate(source.payDate)}`}
+                    </span>
+                  </div>
+                </div>
+                <div class="list-item-right">
+                  <span class="list-item-amount">${formatCurrency(source.budgetedAmount, currency)}</span>
+                  <button class="btn btn-ghost btn-icon edit-income-btn" data-id="${source.id}" aria-label="Editar">
+                    ${getIcon('edit')}
+                  </button>
+                  <button class="btn btn-ghost btn-icon delete-income-btn" data-id="${source.id}" aria-label="Eliminar">
+                    ${getIcon('trash')}
+                  </button>
+                </div>
+              </li>
+            `).join('')}
+          </ul>
+          <p class="helper-text" style="margin-bottom: var(--space-lg);">
+            ${formatCurrency(income.received, currency)} recibido de ${formatCurrency(income.expected, currency)} esperado
+            ${income.irregular > 0 ? ` · incluye ${formatCurrency(income.irregular, currency)} de ingresos extra` : ''}
+          </p>
+        ` : `
+          <div class="empty-state">
+            ${getIcon('wallet')}
+            <h3>Sin ingresos</h3>
+            <p>Agrega tu salario, quincenas u otros ingresos del mes.</p>
           </div>
-          <div class="form-group" style="margin-bottom: 0;">
-            <div style="position: relative;">
-              <span style="position: absolute; left: var(--space-md); top: 50%; transform: translateY(-50%); font-size: var(--font-size-xl); font-weight: 600; color: var(--text-secondary);">
-                ${currency}
-              </span>
-              <input 
-                type="number" 
-                id="income-input"
-                class="form-input form-input-large" 
-                value="${monthlyIncome || ''}"
-                placeholder="0.00"
-                min="0"
-                step="0.01"
-                style="padding-left: calc(var(--space-md) + 24px);"
-              >
-            </div>
+        `}
+        
+        ${upcomingAnnual.length > 0 ? `
+          <!-- Annual income assigned when it arrives -->
+          <div class="section-header">
+            <h3 class="section-title">Ingresos Anuales</h3>
           </div>
-        </div>
+          <ul class="list" style="margin-bottom: var(--space-lg);">
+            ${upcomingAnnual.map(annual => `
+              <li class="list-item" data-id="${annual.id}">
+                <div class="list-item-left">
+                  <span class="income-spread-icon">${getIcon('calendar')}</span>
+                  <div class="list-item-content" style="min-width: 0;">
+                    <span class="list-item-title">${annual.name}</span>
+                    <span class="list-item-subtitle">Se asigna en ${getPayMonthName(annual.payMonth)}</span>
+                  </div>
+                </div>
+                <div class="list-item-right">
+                  <span class="list-item-amount">${formatCurrency(annual.amount, currency)}</span>
+                  <button class="btn btn-ghost btn-icon edit-income-btn" data-id="${annual.id}" aria-label="Editar">
+                    ${getIcon('edit')}
+                  </button>
+                  <button class="btn btn-ghost btn-icon delete-income-btn" data-id="${annual.id}" aria-label="Eliminar">
+                    ${getIcon('trash')}
+                  </button>
+                </div>
+              </li>
+            `).join('')}
+          </ul>
+        ` : ''}
         
         <!-- Summary -->
         ${monthlyIncome > 0 ? `
@@ -106,6 +176,58 @@ export async function renderFixedExpenses() {
             <p>Agrega tus gastos recurrentes como renta, servicios, etc.</p>
           </div>
         `}
+        
+        <!-- Sinking Funds -->
+        <div class="section-header">
+          <h3 class="section-title">Fondos para Gastos Anuales</h3>
+          <button class="btn btn-ghost btn-icon" id="add-fund-btn" aria-label="Agregar fondo">
+            ${getIcon('plus')}
+          </button>
+        </div>
+        
+        ${sinkingFunds.funds.length > 0 ? `
+          <div id="sinking-funds-list">
+            ${sinkingFunds.funds.map(fund => `
+              <div class="card sinking-fund-card" data-id="${fund.id}">
+                <div class="sinking-fund-header">
+                  <div class="list-item-content" style="min-width: 0;">
+                    <span class="list-item-title">${fund.name}</span>
+                    <span class="list-item-subtitle">
+                      Vence ${formatDate(fund.dueDate)} · ${formatCurrency(fund.contribution, currency)}/mes
+                    </span>
+                  </div>
+                  <div class="list-item-right">
+                    <button class="btn btn-ghost btn-icon pay-fund-btn" data-id="${fund.id}" aria-label="Registrar pago">
+                      ${getIcon('check')}
+                    </button>
+                    <button class="btn btn-ghost btn-icon edit-fund-btn" data-id="${fund.id}" aria-label="Editar">
+                      ${getIcon('edit')}
+                    </button>
+                    <button class="btn btn-ghost btn-icon delete-fund-btn" data-id="${fund.id}" aria-label="Eliminar">
+                      ${getIcon('trash')}
+                    </button>
+                  </div>
+                </div>
+                <div class="progress-bar">
+                  <div class="progress-fill" style="width: ${Math.min(100, fund.percentage)}%"></div>
+                </div>
+                <div class="category-progress-info">
+                  <span>${Math.round(fund.percentage)}% ahorrado</span>
+                  <span>${formatCurrency(fund.balance, currency)} de ${formatCurrency(fund.targetAmount, currency)}</span>
+                </div>
+              </div>
+            `).join('')}
+          </div>
+          <p class="helper-text">
+            ${formatCurrency(sinkingFunds.total, currency)} este mes, incluido en gastos fijos
+          </p>
+        ` : `
+          <div class="empty-state">
+            ${getIcon('calendar')}
+            <h3>Sin fondos</h3>
+            <p>Ahorra cada mes para el marchamo, seguros, inscripciones o el IUSI.</p>
+          </div>
+        `}
       </div>
     `;
   } catch (error) {
@@ -119,22 +241,72 @@ export async function renderFixedExpenses() {
  * @param {Function} refreshView Callback to refresh the view
  */
 export function initFixedExpenses(refreshView) {
-  // Income input with debounced save
-  const incomeInput = document.getElementById('income-input');
-  if (incomeInput) {
-    const saveIncome = debounce(async () => {
-      const value = parseFloat(incomeInput.value) || 0;
+  initSinkingFunds(refreshView);
+  
+  // Add income button
+  const addIncomeBtn = document.getElementById('add-income-btn');
+  if (addIncomeBtn) {
+    addIncomeBtn.addEventListener('click', () => openAddIncomeModal(refreshView));
+  }
+  
+  // Received toggles
+  document.querySelectorAll('.income-received-btn').forEach(btn => {
+    btn.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      const received = btn.dataset.received !== 'true';
+      
       try {
-        await db.updateSettings({ monthlyIncome: value });
-        showToast('Ingreso actualizado', 'success');
+        await db.setIncomeReceived(btn.dataset.id, db.getCurrentMonth(), received);
+        showToast(received ? 'Ingreso recibido' : 'Ingreso marcado como pendiente', 'success');
         refreshView();
       } catch (error) {
-        handleError(error, 'saveIncome');
+        handleError(error, 'setIncomeReceived');
       }
-    }, 500);
-    
-    incomeInput.addEventListener('input', saveIncome);
-  }
+    });
+  });
+  
+  // Edit income buttons
+  document.querySelectorAll('.edit-income-btn').forEach(btn => {
+    btn.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      const id = btn.dataset.id;
+      
+      try {
+        const incomes = await db.getAllIncomes();
+        const income = incomes.find(i => i.id === id);
+        if (income) {
+          openEditIncomeModal(income, refreshView);
+        }
+      } catch (error) {
+        handleError(error, 'loadIncome');
+      }
+    });
+  });
+  
+  // Delete income buttons
+  document.querySelectorAll('.delete-income-btn').forEach(btn => {
+    btn.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      const id = btn.dataset.id;
+      
+      const confirmed = await confirm({
+        title: '¿Eliminar ingreso?',
+        message: 'Dejará de contar en el presupuesto de los meses abiertos.',
+        confirmText: 'Eliminar',
+        danger: true
+      });
+      
+      if (confirmed) {
+        try {
+          await db.deleteIncome(id);
+          showToast('Ingreso eliminado', 'success');
+          refreshView();
+        } catch (error) {
+          handleError(error, 'deleteIncome');
+        }
+      }
+    });
+  });
   
   // Add fixed expense button
   const addBtn = document.getElementById('add-fixed-btn');
@@ -257,6 +429,214 @@ function initDragAndDrop(listSelector, onReorder) {
   });
 }
 
+/**
+ * Get the name of a month from its number (1-12)
+ */
+function getPayMonthName(payMonth) {
+  return new Date(2000, (payMonth || 1) - 1).toLocaleDateString('es-GT', { month: 'long' });
+}
+
+/**
+ * Render month options for annual income
+ */
+function renderPayMonthOptions(selected = 12) {
+  return Array.from({ length: 12 }, (_, i) => i + 1).map(month => `
+    <option value="${month}" ${month === selected ? 'selected' : ''}>
+      ${getPayMonthName(month)}
+    </option>
+  `).join('');
+}
+
+/**
+ * Render the fields only used by annual income
+ */
+function renderAnnualFields(income = {}) {
+  return `
+    <div class="form-group">
+      <label class="form-label" for="income-paymonth">Mes en que llega</label>
+      <select id="income-paymonth" name="payMonth" class="form-input form-select">
+        ${renderPayMonthOptions(income.payMonth || 12)}
+      </select>
+      <p class="helper-text">Bono 14 llega en julio y el Aguinaldo en diciembre</p>
+    </div>
+    <div class="form-group">
+      <label class="form-label" for="income-distribution">Cómo presupuestarlo</label>
+      <select id="income-distribution" name="distribution" class="form-input form-select">
+        ${INCOME_DISTRIBUTIONS.map(d => `
+          <option value="${d.value}" ${d.value === (income.distribution || 'lump') ? 'selected' : ''}>${d.label}</option>
+        `).join('')}
+      </select>
+    </div>
+  `;
+}
+
+/**
+ * Render pay day options (31 stands for the last day of the month)
+ */
+function renderPayDayOptions(selected = 31) {
+  return Array.from({ length: 31 }, (_, i) => i + 1).map(day => `
+    <option value="${day}" ${day === selected ? 'selected' : ''}>
+      ${day === 31 ? 'Último día del mes' : `Día ${day}`}
+    </option>
+  `).join('');
+}
+
+/**
+ * Open modal to add an income source
+ */
+function openAddIncomeModal(refreshView) {
+  openModal({
+    title: 'Nuevo Ingreso',
+    content: `
+      <form id="add-income-form">
+        <div class="form-group">
+          <label class="form-label" for="income-name">Nombre</label>
+          <input type="text" id="income-name" name="name" class="form-input" 
+                 placeholder="Ej: Salario, Freelance, Bono 14" required>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="income-frequency">Frecuencia</label>
+          <select id="income-frequency" name="frequency" class="form-input form-select">
+            <option value="monthly">Mensual</option>
+            <option value="biweekly">Quincenal (día 15 y fin de mes)</option>
+            <option value="annual">Anual (Bono 14, Aguinaldo)</option>
+          </select>
+        </div>
+        <div id="income-annual-group" style="display: none;">
+          ${renderAnnualFields()}
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="income-amount">Monto por pago</label>
+          <input type="number" id="income-amount" name="amount" class="form-input" 
+                 placeholder="0.00" min="0" step="0.01" required>
+        </div>
+        <div class="form-group" id="income-payday-group">
+          <label class="form-label" for="income-payday">Fecha de pago</label>
+          <select id="income-payday" name="payDay" class="form-input form-select">
+            ${renderPayDayOptions()}
+          </select>
+        </div>
+        <button type="submit" class="btn btn-primary" style="width: 100%;">
+          Guardar
+        </button>
+      </form>
+    `,
+    onSubmit: async (data) => {
+      try {
+        validateForm(data, {
+          name: { required: true, type: 'string', label: 'Nombre' },
+          amount: { required: true, type: 'number', min: 0, label: 'Monto' }
+        });
+        
+        const name = data.name.trim();
+        const amount = toMinor(data.amount);
+        
+        if (data.frequency === 'biweekly') {
+          // A quincena is two sources so each payment can be marked on its own
+          await db.createIncome({ name: `${name} (1ra quincena)`, amount, payDay: 15 });
+          await db.createIncome({ name: `${name} (2da quincena)`, amount, payDay: 31 });
+        } else {
+          await db.createIncome({
+            name,
+            amount,
+            payDay: data.payDay,
+            frequency: data.frequency,
+            payMonth: data.payMonth,
+            distribution: data.distribution
+          });
+        }
+        
+        showToast('Ingreso agregado', 'success');
+        closeModal();
+        refreshView();
+      } catch (error) {
+        handleError(error, 'createIncome');
+      }
+    }
+  });
+  
+  // Pay day does not apply to quincenas; month and distribution only to annual income
+  setTimeout(() => {
+    const frequency = document.getElementById('income-frequency');
+    const payDayGroup = document.getElementById('income-payday-group');
+    const annualGroup = document.getElementById('income-annual-group');
+    const payMonth = document.getElementById('income-paymonth');
+    const name = document.getElementById('income-name');
+    
+    frequency?.addEventListener('change', () => {
+      payDayGroup.style.display = frequency.value === 'biweekly' ? 'none' : 'block';
+      annualGroup.style.display = frequency.value === 'annual' ? 'block' : 'none';
+    });
+    
+    // Suggest the legal month for the two Guatemalan bonuses
+    name?.addEventListener('input', () => {
+      const value = name.value.toLowerCase();
+      if (value.includes('bono 14')) payMonth.value = '7';
+      if (value.includes('aguinaldo')) payMonth.value = '12';
+    });
+  }, 100);
+}
+
+/**
+ * Open modal to edit an income source
+ */
+function openEditIncomeModal(income, refreshView) {
+  openModal({
+    title: 'Editar Ingreso',
+    content: `
+      <form id="edit-income-form">
+        <div class="form-group">
+          <label class="form-label" for="income-name">Nombre</label>
+          <input type="text" id="income-name" name="name" class="form-input" 
+                 value="${income.name}" required>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="income-amount">Monto</label>
+          <input type="number" id="income-amount" name="amount" class="form-input" 
+                 value="${fromMinor(income.amount)}" min="0" step="0.01" required>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="income-payday">Fecha de pago</label>
+          <select id="income-payday" name="payDay" class="form-input form-select">
+            ${renderPayDayOptions(income.payDay)}
+          </select>
+        </div>
+        ${income.frequency === 'annual' ? renderAnnualFields(income) : ''}
+        <button type="submit" class="btn btn-primary" style="width: 100%;">
+          Guardar Cambios
+        </button>
+      </form>
+    `,
+    onSubmit: async (data) => {
+      try {
+        validateForm(data, {
+          name: { required: true, type: 'string', label: 'Nombre' },
+          amount: { required: true, type: 'number', min: 0, label: 'Monto' }
+        });
+        
+        const updates = {
+          name: data.name.trim(),
+          amount: toMinor(data.amount),
+          payDay: parseInt(data.payDay) || 31
+        };
+        
+        if (income.frequency === 'annual') {
+          updates.payMonth = parseInt(data.payMonth) || 12;
+          updates.distribution = data.distribution === 'spread' ? 'spread' : 'lump';
+        }
+        
+        await db.updateIncome(income.id, updates);
+        
+        showToast('Ingreso actualizado', 'success');
+        closeModal();
+        refreshView();
+      } catch (error) {
+        handleError(error, 'updateIncome');
+      }
+    }
+  });
+}
+
 /**
  * Open modal to add fixed expense
  */
@@ -289,7 +669,7 @@ function openAddFixedModal(refreshView) {
         
         await db.createFixedExpense({
           name: data.name.trim(),
-          amount: parseFloat(data.amount)
+          amount: toMinor(data.amount)
         });
         
         showToast('Gasto fijo agregado', 'success');
@@ -318,7 +698,7 @@ function openEditFixedModal(expense, refreshView) {
         <div class="form-group">
           <label class="form-label" for="fixed-amount">Monto</label>
           <input type="number" id="fixed-amount" name="amount" class="form-input" 
-                 value="${expense.amount}" min="0" step="0.01" required>
+                 value="${fromMinor(expense.amount)}" min="0" step="0.01" required>
         </div>
         <button type="submit" class="btn btn-primary" style="width: 100%;">
           Guardar Cambios
@@ -334,7 +714,7 @@ function openEditFixedModal(expense, refreshView) {
         
         await db.updateFixedExpense(expense.id, {
           name: data.name.trim(),
-          amount: parseFloat(data.amount)
+          amount: toMinor(data.amount)
         });
         
         showToast('Gasto fijo actualizado', 'success');
@@ -346,3 +726,194 @@ function openEditFixedModal(expense, refreshView) {
     }
   });
 }
+
+/**
+ * Initialize sinking fund event listeners
+ * @param {Function} refreshView Callback to refresh the view
+ */
+function initSinkingFunds(refreshView) {
+  const addFundBtn = document.getElementById('add-fund-btn');
+  if (addFundBtn) {
+    addFundBtn.addEventListener('click', () => openSinkingFundModal(null, refreshView));
+  }
+  
+  const findFund = async (id) => {
+    const funds = await db.getAllSinkingFunds();
+    return funds.find(f => f.id === id);
+  };
+  
+  // Edit fund buttons
+  document.querySelectorAll('.edit-fund-btn').forEach(btn => {
+    btn.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      
+      try {
+        const fund = await findFund(btn.dataset.id);
+        if (fund) {
+          openSinkingFundModal(fund, refreshView);
+        }
+      } catch (error) {
+        handleError(error, 'loadSinkingFund');
+      }
+    });
+  });
+  
+  // Pay fund buttons
+  document.querySelectorAll('.pay-fund-btn').forEach(btn => {
+    btn.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      
+      try {
+        const fund = await findFund(btn.dataset.id);
+        if (fund) {
+          openPaySinkingFundModal(fund, refreshView);
+        }
+      } catch (error) {
+        handleError(error, 'loadSinkingFund');
+      }
+    });
+  });
+  
+  // Delete fund buttons
+  document.querySelectorAll('.delete-fund-btn').forEach(btn => {
+    btn.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      
+      const confirmed = await confirm({
+        title: '¿Eliminar fondo?',
+        message: 'Se perderá el saldo acumulado registrado en este fondo.',
+        confirmText: 'Eliminar',
+        danger: true
+      });
+      
+      if (confirmed) {
+        try {
+          await db.deleteSinkingFund(btn.dataset.id);
+          showToast('Fondo eliminado', 'success');
+          refreshView();
+        } catch (error) {
+          handleError(error, 'deleteSinkingFund');
+        }
+      }
+    });
+  });
+}
+
+/**
+ * Open modal to add or edit a sinking fund
+ * @param {Object|null} fund Fund to edit, or null to create one
+ */
+function openSinkingFundModal(fund, refreshView) {
+  const isEdit = !!fund;
+  const interval = fund ? fund.intervalMonths : 12;
+  
+  openModal({
+    title: isEdit ? 'Editar Fondo' : 'Nuevo Fondo',
+    content: `
+      <form id="sinking-fund-form">
+        <div class="form-group">
+          <label class="form-label" for="fund-name">Nombre</label>
+          <input type="text" id="fund-name" name="name" class="form-input" 
+                 value="${fund?.name || ''}" placeholder="Ej: Marchamo, Seguro, IUSI" required>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="fund-target">Monto a pagar</label>
+          <input type="number" id="fund-target" name="targetAmount" class="form-input" 
+                 value="${fund ? fromMinor(fund.targetAmount) : ''}" placeholder="0.00" min="0.01" step="0.01" required>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="fund-due">Fecha de pago</label>
+          <input type="date" id="fund-due" name="dueDate" class="form-input" 
+                 value="${fund?.dueDate || ''}" required>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="fund-interval">Se repite</label>
+          <select id="fund-interval" name="intervalMonths" class="form-input form-select">
+            ${SINKING_FUND_INTERVALS.map(i => `
+              <option value="${i.value}" ${i.value === interval ? 'selected' : ''}>${i.label}</option>
+            `).join('')}
+          </select>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="fund-balance">Ahorrado hasta ahora</label>
+          <input type="number" id="fund-balance" name="balance" class="form-input" 
+                 value="${fromMinor(fund?.balance)}" min="0" step="0.01">
+        </div>
+        <button type="submit" class="btn btn-primary" style="width: 100%;">
+          ${isEdit ? 'Guardar Cambios' : 'Guardar'}
+        </button>
+      </form>
+    `,
+    onSubmit: async (data) => {
+      try {
+        validateForm(data, {
+          name: { required: true, type: 'string', label: 'Nombre' },
+          targetAmount: { required: true, type: 'number', min: 0.01, label: 'Monto' },
+          dueDate: { required: true, label: 'Fecha de pago' },
+          balance: { type: 'number', min: 0, label: 'Ahorrado' }
+        });
+        
+        const values = {
+          name: data.name.trim(),
+          targetAmount: toMinor(data.targetAmount),
+          dueDate: data.dueDate,
+          intervalMonths: parseInt(data.intervalMonths) || 0,
+          balance: toMinor(data.balance)
+        };
+        
+        if (isEdit) {
+          await db.updateSinkingFund(fund.id, values);
+          showToast('Fondo actualizado', 'success');
+        } else {
+          await db.createSinkingFund(values);
+          showToast('Fondo agregado', 'success');
+        }
+        
+        closeModal();
+        refreshView();
+      } catch (error) {
+        handleError(error, isEdit ? 'updateSinkingFund' : 'createSinkingFund');
+      }
+    }
+  });
+}
+
+/**
+ * Open modal to record the payment a sinking fund was saving for
+ */
+function openPaySinkingFundModal(fund, refreshView) {
+  openModal({
+    title: `Pagar ${fund.name}`,
+    content: `
+      <form id="pay-fund-form">
+        <div class="form-group">
+          <label class="form-label" for="fund-paid">Monto pagado</label>
+          <input type="number" id="fund-paid" name="amount" class="form-input" 
+                 value="${fromMinor(fund.targetAmount)}" min="0" step="0.01" required>
+          <p class="helper-text">
+            ${fund.intervalMonths 
+              ? 'Se descuenta del fondo y la fecha de pago pasa al siguiente periodo.' 
+              : 'El fondo se cierra después de este pago.'}
+          </p>
+        </div>
+        <button type="submit" class="btn btn-primary" style="width: 100%;">
+          Registrar Pago
+        </button>
+      </form>
+    `,
+    onSubmit: async (data) => {
+      try {
+        validateForm(data, {
+          amount: { required: true, type: 'number', min: 0, label: 'Monto' }
+        });
+        
+        await db.paySinkingFund(fund.id, toMinor(data.amount));
+        showToast('Pago registrado', 'success');
+        closeModal();
+        refreshView();
+      } catch (error) {
+        handleError(error, 'paySinkingFund');
+      }
+    }
+  });
+}
@@ -0,0 +1,272 @@
+/**
+ * Savings Goals Component
+ * Track goals funded by a monthly contribution
+ */
+
+import * as db from '../db/database.js';
+import * as BudgetService from '../services/BudgetService.js';
+import { formatCurrency, getMonthName } from '../utils/helpers.js';
+import { toMinor, fromMinor } from '../utils/money.js';
+import { showToast, handleError, validateForm } from '../utils/errorHandler.js';
+import { getIcon } from './Icons.js';
+import { openModal, closeModal, confirm } from './Modal.js';
+import { CATEGORY_COLORS } from '../db/schema.js';
+
+/**
+ * Render the goals view
+ * @returns {Promise<string>} HTML content
+ */
+export async function renderGoals() {
+  try {
+    const { currency, totalMonthly, goals } = await BudgetService.getGoalsOverview();
+    
+    return `
+      <div class="container">
+        <div class="section-header" style="margin-top: var(--space-md);">
+          <h3 class="section-title">Metas de Ahorro</h3>
+          <button class="btn btn-ghost btn-icon" id="add-goal-btn" aria-label="Agregar meta">
+            ${getIcon('plus')}
+          </button>
+        </div>
+        
+        ${goals.length > 0 ? `
+          <p class="helper-text" style="margin-bottom: var(--space-md);">
+            ${formatCurrency(totalMonthly, currency)} asignado a metas este mes
+          </p>
+          <div id="goals-list">
+            ${goals.map(goal => renderGoalCard(goal, currency)).join('')}
+          </div>
+        ` : `
+          <div class="empty-state">
+            ${getIcon('target')}
+            <h3>Sin metas</h3>
+            <p>Crea una meta como fondo de emergencia, vacaciones o enganche.</p>
+          </div>
+        `}
+      </div>
+    `;
+  } catch (error) {
+    handleError(error, 'renderGoals');
+    return `<div class="container"><p>Error al cargar</p></div>`;
+  }
+}
+
+/**
+ * Render a single goal card
+ */
+function renderGoalCard(goal, currency) {
+  const { id, name, color, balance, targetAmount, monthlyContribution, deadline, percentage } = goal;
+  
+  let projection;
+  if (goal.isCompleted) {
+    projection = `<span class="income">¡Meta cumplida!</span>`;
+  } else if (!goal.projectedMonth) {
+    projection = `Sin aporte mensual`;
+  } else {
+    projection = `A este ritmo: ${getMonthName(goal.projectedMonth)}`;
+  }
+  
+  return `
+    <div class="card goal-card" data-id="${id}">
+      <div class="sinking-fund-header">
+        <div class="category-name">
+          <span class="category-dot" style="background: ${color}"></span>
+          <div class="list-item-content" style="min-width: 0;">
+            <span class="list-item-title">${name}</span>
+            <span class="list-item-subtitle">
+              ${formatCurrency(monthlyContribution, currency)}/mes${deadline ? ` · meta ${getMonthName(deadline)}` : ''}
+            </span>
+          </div>
+        </div>
+        <div class="list-item-right">
+          <button class="btn btn-ghost btn-icon edit-goal-btn" data-id="${id}" aria-label="Editar">
+            ${getIcon('edit')}
+          </button>
+          <button class="btn btn-ghost btn-icon delete-goal-btn" data-id="${id}" aria-label="Eliminar">
+            ${getIcon('trash')}
+          </button>
+        </div>
+      </div>
+      <div class="progress-bar">
+        <div class="progress-fill" style="width: ${percentage}%; background: ${color}"></div>
+      </div>
+      <div class="category-progress-info">
+        <span>${formatCurrency(balance, currency)} de ${formatCurrency(targetAmount, currency)}</span>
+        <span>${projection}</span>
+      </div>
+      ${!goal.isOnTrack ? `
+        <div class="goal-warning">
+          ${getIcon('alertTriangle')}
+          <span>
+            No alcanzas la meta a tiempo. Necesitas ${formatCurrency(goal.requiredMonthly, currency)}/mes
+          </span>
+        </div>
+      ` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Initialize goals view event listeners
+ * @param {Function} refreshView Callback to refresh the view
+ */
+export function initGoals(refreshView) {
+  const addGoalBtn = document.getElementById('add-goal-btn');
+  if (addGoalBtn) {
+    addGoalBtn.addEventListener('click', () => openGoalModal(null, refreshView));
+  }
+  
+  // Edit goal buttons
+  document.querySelectorAll('.edit-goal-btn').forEach(btn => {
+    btn.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      
+      try {
+        const goals = await db.getAllGoals();
+        const goal = goals.find(g => g.id === btn.dataset.id);
+        if (goal) {
+          openGoalModal(goal, refreshView);
+        }
+      } catch (error) {
+        handleError(error, 'loadGoal');
+      }
+    });
+  });
+  
+  // Delete goal buttons
+  document.querySelectorAll('.delete-goal-btn').forEach(btn => {
+    btn.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      
+      const confirmed = await confirm({
+        title: '¿Eliminar meta?',
+        message: 'Los aportes de meses cerrados seguirán en el historial.',
+        confirmText: 'Eliminar',
+        danger: true
+      });
+      
+      if (confirmed) {
+        try {
+          await db.deleteGoal(btn.dataset.id);
+          showToast('Meta eliminada', 'success');
+          refreshView();
+        } catch (error) {
+          handleError(error, 'deleteGoal');
+        }
+      }
+    });
+  });
+}
+
+/**
+ * Open modal to add or edit a goal
+ * @param {Object|null} goal Goal to edit, or null to create one
+ */
+function openGoalModal(goal, refreshView) {
+  const isEdit = !!goal;
+  const selectedColor = goal?.color || CATEGORY_COLORS[3];
+  
+  const colorOptions = CATEGORY_COLORS.map(color => `
+    <div class="color-option ${color === selectedColor ? 'selected' : ''}" 
+         style="background: ${color}" 
+         data-color="${color}"
+         role="radio"
+         aria-checked="${color === selectedColor}">
+    </div>
+  `).join('');
+  
+  openModal({
+    title: isEdit ? 'Editar Meta' : 'Nueva Meta',
+    content: `
+      <form id="goal-form">
+        <div class="form-group">
+          <label class="form-label" for="goal-name">Nombre</label>
+          <input type="text" id="goal-name" name="name" class="form-input" 
+                 value="${goal?.name || ''}" placeholder="Ej: Fondo de emergencia, Vacaciones" required>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="goal-target">Monto objetivo</label>
+          <input type="number" id="goal-target" name="targetAmount" class="form-input" 
+                 value="${goal ? fromMinor(goal.targetAmount) : ''}" placeholder="0.00" min="0.01" step="0.01" required>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="goal-deadline">Fecha límite</label>
+          <input type="month" id="goal-deadline" name="deadline" class="form-input" 
+                 value="${goal?.deadline || ''}" min="${db.getCurrentMonth()}">
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="goal-contribution">Aporte mensual</label>
+          <input type="number" id="goal-contribution" name="monthlyContribution" class="form-input" 
+                 value="${goal ? fromMinor(goal.monthlyContribution) : ''}" placeholder="0.00" min="0" step="0.01" required>
+          <p class="helper-text">Se asigna cada mes como una línea del presupuesto</p>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="goal-initial">Ahorrado antes de empezar</label>
+          <input type="number" id="goal-initial" name="initialBalance" class="form-input" 
+                 value="${fromMinor(goal?.initialBalance)}" min="0" step="0.01">
+        </div>
+        <div class="form-group">
+          <label class="form-label">Color</label>
+          <div class="color-options" id="color-picker">
+            ${colorOptions}
+          </div>
+          <input type="hidden" name="color" id="goal-color" value="${selectedColor}">
+        </div>
+        <button type="submit" class="btn btn-primary" style="width: 100%;">
+          ${isEdit ? 'Guardar Cambios' : 'Crear Meta'}
+        </button>
+      </form>
+    `,
+    onSubmit: async (data) => {
+      try {
+        validateForm(data, {
+          name: { required: true, type: 'string', label: 'Nombre' },
+          targetAmount: { required: true, type: 'number', min: 0.01, label: 'Monto objetivo' },
+          monthlyContribution: { required: true, type: 'number', min: 0, label: 'Aporte mensual' },
+          initialBalance: { type: 'number', min: 0, label: 'Ahorrado' }
+        });
+        
+        const values = {
+          name: data.name.trim(),
+          targetAmount: toMinor(data.targetAmount),
+          deadline: data.deadline || null,
+          monthlyContribution: toMinor(data.monthlyContribution),
+          initialBalance: toMinor(data.initialBalance),
+          color: data.color
+        };
+        
+        if (isEdit) {
+          await db.updateGoal(goal.id, values);
+          showToast('Meta actualizada', 'success');
+        } else {
+          await db.createGoal(values);
+          showToast('Meta creada', 'success');
+        }
+        
+        closeModal();
+        refreshView();
+      } catch (error) {
+        handleError(error, isEdit ? 'updateGoal' : 'createGoal');
+      }
+    }
+  });
+  
+  // Color picker logic
+  setTimeout(() => {
+    const colorPicker = document.getElementById('color-picker');
+    const colorInput = document.getElementById('goal-color');
+    
+    colorPicker?.addEventListener('click', (e) => {
+      const option = e.target.closest('.color-option');
+      if (option) {
+        colorPicker.querySelectorAll('.color-option').forEach(opt => {
+          opt.classList.remove('selected');
+          opt.setAttribute('aria-checked', 'false');
+        });
+        option.classList.add('selected');
+        option.setAttribute('aria-checked', 'true');
+        colorInput.value = option.dataset.color;
+      }
+    });
+  }, 100);
+}
@@ -1,12 +1,16 @@
 /**
  * History Component
- * View archived months and their details
+ * View archived months, correct their expenses or reopen them
  */
 
 import * as db from '../db/database.js';
-import { formatCurrency, getMonthName, getProgressStatus } from '../utils/helpers.js';
-import { handleError } from '../utils/errorHandler.js';
+import { formatCurrency, formatDate, getMonthName, getProgressStatus, sanitizeHTML } from '../utils/helpers.js';
+import { toMinor } from '../utils/money.js';
+import { showToast, handleError, validateForm } from '../utils/errorHandler.js';
+import { getCurrentRoute, navigate } from '../utils/router.js';
 import { getIcon } from './Icons.js';
+import { openModal, closeModal, confirm } from './Modal.js';
+import { renderExpenseCurrencyField, renderOriginalAmount, getPaidAmount } from './ExpenseCurrency.js';
 
 /**
  * Render the history view
@@ -20,6 +24,11 @@ export async function renderHistory() {
       <div class="container">
         <div class="section-header" style="margin-top: var(--space-md);">
           <h3 class="section-title">Historial de Meses</h3>
+          ${archives.length > 0 ? `
+            <button class="btn btn-ghost" id="annual-report-btn" style="font-size: var(--font-size-sm);">
+              ${getIcon('download')} Informe anual
+            </button>
+          ` : ''}
         </div>
         
         ${archives.length > 0 ? `
@@ -46,7 +55,7 @@ export async function renderHistory() {
  */
 function renderArchiveItem(archive) {
   const { month, summary, closedAt } = archive;
-  const { monthlyIncome, totalSpent, totalSaved, currency } = summary;
+  const { monthlyIncome, irregularIncome, totalSpent, totalSaved, currency } = summary;
   
   const savedClass = totalSaved >= 0 ? 'income' : 'expense';
   const closedDate = new Date(closedAt).toLocaleDateString('es-GT', {
@@ -80,6 +89,9 @@ function renderArchiveItem(archive) {
         <!-- Mini summary -->
         <div style="display: flex; flex-wrap: wrap; gap: var(--space-sm) var(--space-lg); font-size: var(--font-size-sm); color: var(--text-secondary); margin-bottom: var(--space-md);">
           <span>Ingreso: <span class="income">${formatCurrency(monthlyIncome, currency)}</span></span>
+          ${irregularIncome > 0 ? `
+            <span>Extra: <span class="income">${formatCurrency(irregularIncome, currency)}</span></span>
+          ` : ''}
           <span>Gastado: <span class="expense">${formatCurrency(totalSpent, currency)}</span></span>
         </div>
         
@@ -99,8 +111,28 @@ function renderArchiveItem(archive) {
 
 /**
  * Initialize history event listeners
+ * @param {Function} refreshView Callback to refresh the view
  */
-export function initHistory() {
+export function initHistory(refreshView) {
+  document.getElementById('annual-report-btn')?.addEventListener('click', async () => {
+    try {
+      const archives = await db.getAllArchives();
+      const years = [...new Set(archives.map(a => a.month.slice(0, 4)))].sort().reverse();
+      
+      if (years.length === 1) {
+        const { printAnnualReport } = await import('./PrintReport.js');
+        await printAnnualReport(years[0]);
+      } else {
+        openAnnualReportModal(years);
+      }
+    } catch (error) {
+      handleError(error, 'printAnnualReport');
+    }
+  });
+  
+  // Re-render; the expanded archive is in the route, so it stays open
+  const refreshArchive = () => refreshView();
+  
   // Expand/collapse archive details
   document.querySelectorAll('.archive-expand-btn').forEach(btn => {
     btn.addEventListener('click', async () => {
@@ -111,19 +143,29 @@ export function initHistory() {
       if (isExpanded) {
         detailsContainer.style.display = 'none';
         btn.innerHTML = `Ver detalle ${getIcon('chevronDown')}`;
+        navigate({ view: 'history' }, { replace: true, silent: true });
       } else {
-        await loadArchiveDetails(month, detailsContainer);
+        await loadArchiveDetails(month, detailsContainer, refreshArchive);
         detailsContainer.style.display = 'block';
         btn.innerHTML = `Ocultar detalle ${getIcon('chevronDown')}`;
+        navigate({ view: 'history', month }, { replace: true, silent: true });
       }
     });
   });
+  
+  // Open the archive linked in the URL (#/history/2026-08)
+  const { month } = getCurrentRoute();
+  const linkedBtn = month && document.querySelector(`.archive-expand-btn[data-month="${month}"]`);
+  if (linkedBtn) {
+    linkedBtn.click();
+    linkedBtn.scrollIntoView({ block: 'start' });
+  }
 }
 
 /**
  * Load full details for an archive
  */
-async function loadArchiveDetails(month, container) {
+async function loadArchiveDetails(month, container, refreshArchive) {
   try {
     const archive = await db.getArchive(month);
     if (!archive) {
@@ -131,8 +173,10 @@ async function loadArchiveDetails(month, container) {
       return;
     }
     
-    const { summary, categories, fixedExpenses } = archive;
+    const { summary, categories, fixedExpenses, expenses } = archive;
     const { currency } = summary;
+    const sortedExpenses = [...expenses].sort((a, b) => b.date.localeCompare(a.date));
+    const categoryById = Object.fromEntries(categories.map(c => [c.id, c]));
     
     container.innerHTML = `
       <div style="margin-top: var(--space-lg); border-top: 1px solid var(--bg-tertiary); padding-top: var(--space-lg);">
@@ -174,6 +218,7 @@ async function loadArchiveDetails(month, container) {
                     <div class="category-amounts">
                       <span class="amount-spent">${formatCurrency(cat.spent, currency)}</span>
                       <span class="amount-budget">de ${formatCurrency(cat.budgetLimit, currency)}</span>
+                      ${cat.carried ? `<span class="amount-carried ${cat.carried < 0 ? 'negative' : ''}">${cat.carried > 0 ? '+' : '-'}${formatCurrency(Math.abs(cat.carried), currency)} arrastrado</span>` : ''}
                     </div>
                   </div>
                 </div>
@@ -181,14 +226,259 @@ async function loadArchiveDetails(month, container) {
                   <div class="progress-fill ${getProgressStatus(cat.percentage)}" 
                        style="width: ${Math.min(100, cat.percentage)}%; background: ${cat.color}"></div>
                 </div>
+                ${cat.rolledOver ? `
+                  <div class="category-progress-info">
+                    <span>Pasó al mes siguiente</span>
+                    <span class="remaining-amount">${cat.rolledOver > 0 ? '+' : '-'}${formatCurrency(Math.abs(cat.rolledOver), currency)}</span>
+                  </div>
+                ` : ''}
               </div>
             `).join('')}
           </div>
         </div>
+        
+        <!-- Expenses -->
+        <div style="margin-top: var(--space-lg);">
+          <div class="section-header" style="margin: 0 0 var(--space-sm) 0;">
+            <h5 style="color: var(--text-secondary); font-size: var(--font-size-sm); margin: 0;">
+              Gastos (${formatCurrency(summary.totalSpent, currency)})
+            </h5>
+            <button class="btn btn-ghost btn-icon add-archived-expense-btn" aria-label="Agregar gasto">
+              ${getIcon('plus')}
+            </button>
+          </div>
+          ${sortedExpenses.length > 0 ? `
+            <ul class="list">
+              ${sortedExpenses.map(exp => `
+                <li class="list-item expense-item expense-item-editable" data-id="${exp.id}" 
+                    role="button" tabindex="0" aria-label="Editar gasto" style="padding: var(--space-sm);">
+                  <div class="list-item-left">
+                    <span class="category-dot" style="background: ${categoryById[exp.categoryId]?.color || 'var(--text-tertiary)'}"></span>
+                    <div class="list-item-content">
+                      <span class="list-item-title">${sanitizeHTML(exp.description || 'Sin descripción')}</span>
+                      <span class="list-item-subtitle">
+                        ${categoryById[exp.categoryId]?.name || 'Sin categoría'} · ${formatDate(exp.date)}
+                      </span>
+                    </div>
+                  </div>
+                  <div class="list-item-right">
+                    <div class="expense-amounts">
+                      <span class="list-item-amount expense">${formatCurrency(exp.amount, currency)}</span>
+                      ${renderOriginalAmount(exp)}
+                    </div>
+                    <button class="btn btn-ghost btn-icon delete-archived-expense-btn" data-id="${exp.id}" aria-label="Eliminar">
+                      ${getIcon('trash')}
+                    </button>
+                  </div>
+                </li>
+              `).join('')}
+            </ul>
+          ` : `
+            <p class="helper-text">Sin gastos registrados</p>
+          `}
+        </div>
+        
+        <button class="btn btn-secondary print-report-btn" style="width: 100%; margin-top: var(--space-lg);">
+          ${getIcon('download')} Imprimir informe
+        </button>
+        <p class="helper-text">
+          Para guardarlo como PDF, elige "Guardar como PDF" al imprimir
+        </p>
+        
+        <button class="btn btn-secondary reopen-month-btn" style="width: 100%; margin-top: var(--space-md);">
+          ${getIcon('history')} Reabrir mes
+        </button>
+        <p class="helper-text">
+          Los gastos vuelven al mes activo. Se guarda una copia del cierre actual.
+        </p>
       </div>
     `;
+    
+    initArchiveDetails(archive, container, refreshArchive);
   } catch (error) {
     handleError(error, 'loadArchiveDetails');
     container.innerHTML = '<p style="color: var(--accent-danger);">Error al cargar detalles</p>';
   }
 }
+
+/**
+ * Choose the year of the annual report
+ * @param {string[]} years Years with closed months, newest first
+ */
+function openAnnualReportModal(years) {
+  openModal({
+    title: 'Informe Anual',
+    content: `
+      <form id="annual-report-form">
+        <div class="form-group">
+          <label class="form-label" for="annual-report-year">Año</label>
+          <select id="annual-report-year" name="year" class="form-input form-select">
+            ${years.map(year => `<option value="${year}">${year}</option>`).join('')}
+          </select>
+        </div>
+        <button type="submit" class="btn btn-primary" style="width: 100%;">
+          Imprimir Informe
+        </button>
+      </form>
+    `,
+    onSubmit: async (data) => {
+      try {
+        closeModal();
+        const { printAnnualReport } = await import('./PrintReport.js');
+        await printAnnualReport(data.year);
+      } catch (error) {
+        handleError(error, 'printAnnualReport');
+      }
+    }
+  });
+}
+
+/**
+ * Initialize the actions inside an archive's details
+ */
+function initArchiveDetails(archive, container, refreshArchive) {
+  const { month } = archive;
+  
+  container.querySelector('.print-report-btn')?.addEventListener('click', async () => {
+    try {
+      const { printMonthlyReport } = await import('./PrintReport.js');
+      await printMonthlyReport(month);
+    } catch (error) {
+      handleError(error, 'printMonthlyReport');
+    }
+  });
+  
+  container.querySelector('.add-archived-expense-btn')?.addEventListener('click', () => {
+    openArchivedExpenseModal(archive, null, refreshArchive);
+  });
+  
+  // Tap an expense to edit it
+  container.querySelectorAll('.expense-item-editable').forEach(item => {
+    item.addEventListener('click', (e) => {
+      if (e.target.closest('button')) return;
+      const expense = archive.expenses.find(exp => exp.id === item.dataset.id);
+      if (expense) {
+        openArchivedExpenseModal(archive, expense, refreshArchive);
+      }
+    });
+    
+    // Keyboard accessibility
+    item.addEventListener('keydown', (e) => {
+      if (e.target !== item) return;
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        item.click();
+      }
+    });
+  });
+  
+  container.querySelectorAll('.delete-archived-expense-btn').forEach(btn => {
+    btn.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      
+      try {
+        await db.deleteArchivedExpense(month, btn.dataset.id);
+        showToast('Gasto eliminado', 'success');
+        await refreshArchive(month);
+      } catch (error) {
+        handleError(error, 'deleteArchivedExpense');
+      }
+    });
+  });
+  
+  container.querySelector('.reopen-month-btn')?.addEventListener('click', async () => {
+    const confirmed = await confirm({
+      title: `¿Reabrir ${getMonthName(month)}?`,
+      message: 'Sus gastos vuelven a estar activos y tendrás que cerrarlo de nuevo. Los saldos que pasaron al mes siguiente se revierten.',
+      confirmText: 'Reabrir',
+      cancelText: 'Cancelar'
+    });
+    
+    if (!confirmed) return;
+    
+    try {
+      await db.reopenMonth(month);
+      showToast(`${getMonthName(month)} reabierto`, 'success');
+      navigate({ view: 'dashboard' });
+    } catch (error) {
+      handleError(error, 'reopenMonth');
+    }
+  });
+}
+
+/**
+ * Open modal to add or edit an expense inside an archive
+ * Categories come from the archive snapshot so deleted ones still resolve
+ * @param {Object|null} expense Expense to edit, or null to add one
+ */
+function openArchivedExpenseModal(archive, expense, refreshArchive) {
+  const { month, categories } = archive;
+  const isEdit = !!expense;
+  const { start, end } = db.getPeriodRange(month);
+  
+  openModal({
+    title: isEdit ? 'Editar Gasto' : `Gasto de ${getMonthName(month)}`,
+    content: `
+      <form id="archived-expense-form">
+        <div class="form-group">
+          <label class="form-label" for="expense-amount">Monto</label>
+          <input type="number" id="expense-amount" name="amount" class="form-input form-input-large" 
+                 value="${expense ? getPaidAmount(expense) : ''}" placeholder="0.00" min="0" step="0.01" required>
+        </div>
+        ${renderExpenseCurrencyField(expense)}
+        <div class="form-group">
+          <label class="form-label" for="expense-desc">Descripción (opcional)</label>
+          <input type="text" id="expense-desc" name="description" class="form-input" 
+                 value="${sanitizeHTML(expense?.description || '')}" placeholder="Ej: Almuerzo, Uber, Supermercado">
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="expense-date">Fecha</label>
+          <input type="date" id="expense-date" name="date" class="form-input" 
+                 value="${expense?.date || end}" 
+                 min="${start}" max="${end}" required>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="expense-category">Categoría</label>
+          <select id="expense-category" name="categoryId" class="form-input form-select" required>
+            ${categories.map(cat => `
+              <option value="${cat.id}" ${cat.id === expense?.categoryId ? 'selected' : ''}>${cat.name}</option>
+            `).join('')}
+          </select>
+        </div>
+        <button type="submit" class="btn btn-primary" style="width: 100%;">
+          ${isEdit ? 'Guardar Cambios' : 'Agregar Gasto'}
+        </button>
+      </form>
+    `,
+    onSubmit: async (data) => {
+      try {
+        validateForm(data, {
+          amount: { required: true, type: 'number', min: 0.01, label: 'Monto' },
+          date: { required: true, label: 'Fecha' },
+          categoryId: { required: true, label: 'Categoría' }
+        });
+        
+        const values = {
+          categoryId: data.categoryId,
+          description: data.description?.trim() || '',
+          amount: toMinor(data.amount),
+          currency: data.currency || null,
+          date: data.date
+        };
+        
+        if (isEdit) {
+          await db.updateArchivedExpense(month, expense.id, values);
+          showToast('Gasto actualizado', 'success');
+        } else {
+          await db.addArchivedExpense(month, values);
+          showToast('Gasto agregado', 'success');
+        }
+        
+        closeModal();
+        await refreshArchive(month);
+      } catch (error) {
+        handleError(error, isEdit ? 'updateArchivedExpense' : 'addArchivedExpense');
+      }
+    }
+  });
+}
@@ -0,0 +1,179 @@
+/**
+ * Print Report Component
+ * Printable monthly and annual reports of closed months.
+ * The report is rendered outside the app and the print stylesheet hides
+ * everything else, so "Guardar como PDF" in the print dialog files it.
+ */
+
+import Chart from 'chart.js/auto';
+import * as ReportService from '../services/ReportService.js';
+import { formatCurrency, formatDate, getMonthName, sanitizeHTML } from '../utils/helpers.js';
+import { CHART_THEMES, getDistributionChartConfig, getComparisonChartConfig } from './Charts.js';
+
+/**
+ * Print the report of a closed month
+ * @param {string} month - Month in YYYY-MM format
+ */
+export async function printMonthlyReport(month) {
+  printReport(await ReportService.getMonthlyReport(month));
+}
+
+/**
+ * Print the report of a year's closed months
+ * @param {number|string} year - Year (2026)
+ */
+export async function printAnnualReport(year) {
+  printReport(await ReportService.getAnnualReport(year));
+}
+
+/**
+ * Render the report HTML
+ */
+function renderReport(report) {
+  const { title, closedAt, currency, summary, categories, expenses, months } = report;
+  const money = (amount) => formatCurrency(amount, currency);
+  
+  return `
+    <header class="print-report-header">
+      <div>
+        <h1>${title}</h1>
+        <p>Presupuesto Base 0${closedAt ? ` · Cerrado ${formatDate(closedAt)}` : ''} · Impreso ${formatDate(new Date().toISOString())}</p>
+      </div>
+    </header>
+    
+    <section class="print-report-section">
+      <h2>Resumen</h2>
+      <div class="print-report-summary">
+        <div><span>Ingreso</span><strong>${money(summary.income)}</strong></div>
+        <div><span>Gastos fijos</span><strong>${money(summary.fixed)}</strong></div>
+        <div><span>Gastado</span><strong>${money(summary.spent)}</strong></div>
+        <div><span>${summary.saved >= 0 ? 'Ahorrado' : 'Excedido'}</span><strong>${money(summary.saved)}</strong></div>
+      </div>
+      ${summary.receivedIncome !== summary.income || summary.goals > 0 ? `
+        <p class="print-report-note">
+          Ingreso recibido: ${money(summary.receivedIncome)}${summary.goals > 0 ? ` · Aportes a metas: ${money(summary.goals)}` : ''}
+        </p>
+      ` : ''}
+    </section>
+    
+    ${months.length > 0 ? `
+      <section class="print-report-section">
+        <h2>Por mes</h2>
+        <table>
+          <thead>
+            <tr><th>Mes</th><th>Ingreso</th><th>Fijos</th><th>Gastado</th><th>Ahorrado</th></tr>
+          </thead>
+          <tbody>
+            ${months.map(row => `
+              <tr>
+                <td class="print-report-capitalize">${getMonthName(row.month)}</td>
+                <td>${money(row.income)}</td>
+                <td>${money(row.fixed)}</td>
+                <td>${money(row.spent)}</td>
+                <td>${money(row.saved)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </section>
+    ` : ''}
+    
+    <section class="print-report-section">
+      <h2>Presupuesto vs real</h2>
+      <table>
+        <thead>
+          <tr><th>Categoría</th><th>Presupuesto</th><th>Gastado</th><th>Diferencia</th></tr>
+        </thead>
+        <tbody>
+          ${categories.map(cat => `
+            <tr>
+              <td><span class="category-dot" style="background: ${cat.color}"></span> ${sanitizeHTML(cat.name)}</td>
+              <td>${money(cat.budget)}</td>
+              <td>${money(cat.actual)}</td>
+              <td class="${cat.difference < 0 ? 'print-report-negative' : ''}">${money(cat.difference)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </section>
+    
+    ${report.distribution.length > 0 ? `
+      <section class="print-report-section print-report-charts">
+        <div>
+          <h2>Gastos por categoría</h2>
+          <canvas data-chart="distribution" width="320" height="240"></canvas>
+        </div>
+        <div>
+          <h2>Presupuesto vs gastado</h2>
+          <canvas data-chart="comparison" width="420" height="${Math.max(160, categories.length * 28 + 60)}"></canvas>
+        </div>
+      </section>
+    ` : ''}
+    
+    <section class="print-report-section">
+      <h2>Gastos (${expenses.length})</h2>
+      ${expenses.length > 0 ? `
+        <table>
+          <thead>
+            <tr><th>Fecha</th><th>Categoría</th><th>Descripción</th><th>Monto</th></tr>
+          </thead>
+          <tbody>
+            ${expenses.map(expense => `
+              <tr>
+                <td>${formatDate(`${expense.date}T00:00:00`)}</td>
+                <td>${sanitizeHTML(expense.category)}</td>
+                <td>${sanitizeHTML(expense.description)}</td>
+                <td>${money(expense.amount)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      ` : '<p class="print-report-note">Sin gastos registrados</p>'}
+    </section>
+  `;
+}
+
+/**
+ * Draw the report charts and swap them for images,
+ * which print reliably at any page size
+ */
+function renderCharts(container, report) {
+  const configs = {
+    distribution: getDistributionChartConfig(report.distribution, report.currency, CHART_THEMES.print),
+    comparison: getComparisonChartConfig(report.comparison, report.currency, CHART_THEMES.print)
+  };
+  
+  container.querySelectorAll('canvas[data-chart]').forEach(canvas => {
+    const config = configs[canvas.dataset.chart];
+    const width = canvas.width;
+    const chart = new Chart(canvas, {
+      ...config,
+      options: { ...config.options, responsive: false, animation: false, devicePixelRatio: 2 }
+    });
+    
+    const image = document.createElement('img');
+    image.src = chart.toBase64Image();
+    image.alt = canvas.previousElementSibling?.textContent || '';
+    image.style.width = `${width}px`;
+    chart.destroy();
+    canvas.replaceWith(image);
+  });
+}
+
+/**
+ * Show the report to the print stylesheet and open the print dialog
+ */
+function printReport(report) {
+  document.getElementById('print-report')?.remove();
+  
+  const container = document.createElement('div');
+  container.id = 'print-report';
+  container.className = 'print-report';
+  container.innerHTML = renderReport(report);
+  document.body.appendChild(container);
+  
+  renderCharts(container, report);
+  
+  window.addEventListener('afterprint', () => container.remove(), { once: true });
+  window.print();
+}
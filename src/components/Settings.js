@@ -4,11 +4,13 @@
  */
 
 import * as db from '../db/database.js';
-import { AVAILABLE_CURRENCIES } from '../db/schema.js';
-import { formatCurrency, getMonthName } from '../utils/helpers.js';
-import { showToast, handleError } from '../utils/errorHandler.js';
+import { AVAILABLE_CURRENCIES, AUTO_CLOSE_OPTIONS, SNAPSHOT_LIMIT } from '../db/schema.js';
+import { formatCurrency, formatDate, formatDateTime, getMonthName, getTodayDate, sanitizeHTML, downloadFile } from '../utils/helpers.js';
+import { isEncryptedBackup, encryptBackup, decryptBackup } from '../utils/backupCrypto.js';
+import { showToast, handleError, validateForm, ValidationError, CorruptBackupError, WrongPassphraseError } from '../utils/errorHandler.js';
+import { navigate } from '../utils/router.js';
 import { getIcon } from './Icons.js';
-import { confirm } from './Modal.js';
+import { openModal, closeModal, confirm } from './Modal.js';
 
 /**
  * Render the settings view
@@ -16,17 +18,15 @@ import { confirm } from './Modal.js';
  */
 export async function renderSettings() {
   try {
-    const [settings, overview] = await Promise.all([
+    const [settings, overview, exchangeRates] = await Promise.all([
       db.getSettings(),
-      import('../services/BudgetService.js').then(m => m.getBudgetOverview())
+      import('../services/BudgetService.js').then(m => m.getBudgetOverview()),
+      db.getAllExchangeRates()
     ]);
     
-    const { currency, currentMonth } = settings || {};
+    const { currency, currentMonth, autoCloseGraceDays = null, periodStartDay = 1 } = settings || {};
     const { realAvailable } = overview;
     
-    // Find current currency info
-    const currentCurrency = AVAILABLE_CURRENCIES.find(c => c.code === currency || c.symbol === currency) || AVAILABLE_CURRENCIES[0];
-    
     return `
       <div class="container">
         <!-- Current Month Status -->
@@ -52,6 +52,19 @@ export async function renderSettings() {
           <p class="helper-text">
             Archiva el mes actual y reinicia gastos
           </p>
+          <button class="btn btn-secondary" id="history-btn" style="width: 100%; margin-top: var(--space-md);">
+            ${getIcon('history')} Ver meses cerrados
+          </button>
+          <div class="form-group" style="margin: var(--space-md) 0 0 0;">
+            <label class="form-label" for="auto-close-select">Al terminar el mes sin cerrarlo</label>
+            <select id="auto-close-select" class="form-input form-select" style="cursor: pointer;">
+              ${AUTO_CLOSE_OPTIONS.map(option => `
+                <option value="${option.value ?? ''}" ${option.value === autoCloseGraceDays ? 'selected' : ''}>
+                  ${option.label}
+                </option>
+              `).join('')}
+            </select>
+          </div>
         </div>
         
         <!-- App Settings (PWA) -->
@@ -79,7 +92,7 @@ export async function renderSettings() {
             <label class="form-label" for="currency-select">Selecciona tu moneda</label>
             <select id="currency-select" class="form-input form-select" style="cursor: pointer;">
               ${AVAILABLE_CURRENCIES.map(curr => `
-                <option value="${curr.code}" ${(currency === curr.code || currency === curr.symbol) ? 'selected' : ''}>
+                <option value="${curr.code}" ${curr.code === currency ? 'selected' : ''}>
                   ${curr.symbol} - ${curr.name} (${curr.country})
                 </option>
               `).join('')}
@@ -87,6 +100,63 @@ export async function renderSettings() {
           </div>
         </div>
         
+        <!-- Exchange Rates -->
+        <div class="section-header">
+          <h3 class="section-title">Tipos de Cambio</h3>
+          <button class="btn btn-ghost btn-icon" id="add-rate-btn" aria-label="Agregar tipo de cambio">
+            ${getIcon('plus')}
+          </button>
+        </div>
+        
+        <div class="card">
+          ${exchangeRates.length > 0 ? `
+            <ul class="list">
+              ${exchangeRates.map(rate => `
+                <li class="list-item" data-id="${rate.id}">
+                  <div class="list-item-left">
+                    <div class="list-item-content">
+                      <span class="list-item-title">1 ${rate.currency} = ${rate.rate} ${currency}</span>
+                      <span class="list-item-subtitle">Desde ${formatDate(`${rate.effectiveDate}T00:00:00`)}</span>
+                    </div>
+                  </div>
+                  <div class="list-item-right">
+                    <button class="btn btn-ghost btn-icon edit-rate-btn" data-id="${rate.id}" aria-label="Editar">
+                      ${getIcon('edit')}
+                    </button>
+                    <button class="btn btn-ghost btn-icon delete-rate-btn" data-id="${rate.id}" aria-label="Eliminar">
+                      ${getIcon('trash')}
+                    </button>
+                  </div>
+                </li>
+              `).join('')}
+            </ul>
+          ` : ''}
+          <p class="helper-text" style="margin-top: ${exchangeRates.length > 0 ? 'var(--space-md)' : '0'};">
+            Para gastos en otra moneda. Cada gasto usa el tipo de cambio vigente en su fecha.
+          </p>
+        </div>
+        
+        <!-- Budget Period -->
+        <div class="section-header">
+          <h3 class="section-title">Periodo</h3>
+        </div>
+        
+        <div class="card">
+          <div class="form-group" style="margin: 0;">
+            <label class="form-label" for="period-start-select">El mes empieza el día</label>
+            <select id="period-start-select" class="form-input form-select" style="cursor: pointer;">
+              ${Array.from({ length: 28 }, (_, i) => i + 1).map(day => `
+                <option value="${day}" ${day === periodStartDay ? 'selected' : ''}>
+                  ${day === 1 ? '1 (mes calendario)' : day}
+                </option>
+              `).join('')}
+            </select>
+          </div>
+          <p class="helper-text" style="margin-top: var(--space-md);">
+            Útil si te pagan a fin de mes: con el día 25, el periodo de octubre va del 25 de septiembre al 24 de octubre
+          </p>
+        </div>
+        
         <!-- Data Management -->
         <div class="section-header">
           <h3 class="section-title">Datos</h3>
@@ -108,7 +178,33 @@ export async function renderSettings() {
           </div>
           
           <p class="helper-text" style="margin-top: var(--space-md);">
-            Backup JSON con todos tus datos
+            Backup con todos tus datos, cifrado (.pbc) o en JSON
+          </p>
+          
+          <button class="btn btn-secondary" id="spreadsheet-export-btn" style="width: 100%; margin-top: var(--space-md);">
+            Exportar para Excel
+          </button>
+          <p class="helper-text">
+            Gastos y meses cerrados en XLSX o CSV para tu contador
+          </p>
+          
+          <div style="position: relative; margin-top: var(--space-md);">
+            <button class="btn btn-secondary" id="statement-import-trigger" style="width: 100%;">
+              Importar Estado de Cuenta
+            </button>
+            <input type="file" id="statement-file-input" accept=".csv,.txt,.ofx,.qfx,.qif" 
+                   style="position: absolute; inset: 0; opacity: 0; cursor: pointer;">
+          </div>
+          
+          <p class="helper-text" style="margin-top: var(--space-md);">
+            CSV de Banco Industrial, BAM, Banrural u otro banco, OFX o QIF
+          </p>
+          
+          <button class="btn btn-secondary" id="snapshots-btn" style="width: 100%; margin-top: var(--space-md);">
+            ${getIcon('history')} Copias automáticas
+          </button>
+          <p class="helper-text">
+            Se guardan cada día, antes de cerrar un mes y antes de importar
           </p>
         </div>
         
@@ -130,44 +226,123 @@ export async function renderSettings() {
  * @param {Function} refreshView Callback to refresh the view
  */
 export function initSettings(refreshView) {
-  // Close Month button
+  // Close Month button: preview first, then close
+  // Months left open at a rollover close first, oldest first
   const closeMonthBtn = document.getElementById('close-month-btn');
   closeMonthBtn?.addEventListener('click', async () => {
+    try {
+      const [pendingMonth] = await db.getUnclosedMonths();
+      const preview = await db.previewCloseMonth(pendingMonth);
+      openClosePreviewModal(preview, refreshView);
+    } catch (error) {
+      handleError(error, 'previewCloseMonth');
+    }
+  });
+  
+  // Closed months (edit or reopen)
+  document.getElementById('history-btn')?.addEventListener('click', () => {
+    navigate({ view: 'history' });
+  });
+  
+  // Automatic close of past months
+  const autoCloseSelect = document.getElementById('auto-close-select');
+  autoCloseSelect?.addEventListener('change', async (e) => {
+    try {
+      const value = e.target.value;
+      await db.updateSettings({ autoCloseGraceDays: value === '' ? null : parseInt(value) });
+      showToast('Preferencia guardada', 'success');
+    } catch (error) {
+      handleError(error, 'updateAutoClose');
+    }
+  });
+  
+  // Exchange rates
+  document.getElementById('add-rate-btn')?.addEventListener('click', async () => {
     const settings = await db.getSettings();
-    const currentMonth = settings?.currentMonth || db.getCurrentMonth();
-    
-    const confirmed = await confirm({
-      title: '¿Cerrar el mes?',
-      message: `Se archivará "${getMonthName(currentMonth)}" y los gastos se reiniciarán para el nuevo mes. Esta acción no se puede deshacer.`,
-      confirmText: 'Cerrar Mes',
-      cancelText: 'Cancelar'
-    });
-    
-    if (confirmed) {
+    openExchangeRateModal(null, settings?.currency, refreshView);
+  });
+  
+  document.querySelectorAll('.edit-rate-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
       try {
-        closeMonthBtn.disabled = true;
-        closeMonthBtn.innerHTML = 'Cerrando...';
-        
-        const archive = await db.closeMonth();
-        
-        showToast(`Mes cerrado: ${formatCurrency(archive.summary.totalSaved, archive.summary.currency)} ${archive.summary.totalSaved >= 0 ? 'ahorrado' : 'excedido'}`, 'success');
-        refreshView();
+        const [rates, settings] = await Promise.all([db.getAllExchangeRates(), db.getSettings()]);
+        const rate = rates.find(r => r.id === btn.dataset.id);
+        if (rate) {
+          openExchangeRateModal(rate, settings?.currency, refreshView);
+        }
       } catch (error) {
-        handleError(error, 'closeMonth');
-        closeMonthBtn.disabled = false;
-        closeMonthBtn.innerHTML = 'Cerrar Mes';
+        handleError(error, 'loadExchangeRate');
+      }
+    });
+  });
+  
+  document.querySelectorAll('.delete-rate-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const confirmed = await confirm({
+        title: '¿Eliminar tipo de cambio?',
+        message: 'Los gastos ya registrados conservan el tipo de cambio con el que se convirtieron.',
+        confirmText: 'Eliminar',
+        danger: true
+      });
+      
+      if (confirmed) {
+        try {
+          await db.deleteExchangeRate(btn.dataset.id);
+          showToast('Tipo de cambio eliminado', 'success');
+          refreshView();
+        } catch (error) {
+          handleError(error, 'deleteExchangeRate');
+        }
       }
+    });
+  });
+  
+  // Budget period start day
+  const periodStartSelect = document.getElementById('period-start-select');
+  periodStartSelect?.addEventListener('change', async (e) => {
+    const day = parseInt(e.target.value);
+    const confirmed = await confirm({
+      title: 'Cambiar inicio del periodo',
+      message: `Los periodos empezarán el día ${day}. Los gastos del mes abierto se moverán al periodo que les corresponde según su fecha; los meses cerrados no cambian. Si algún gasto quedara en un mes cerrado, no se hará el cambio.`,
+      confirmText: 'Cambiar'
+    });
+    
+    if (!confirmed) {
+      e.target.value = db.getPeriodStartDay();
+      return;
+    }
+    
+    try {
+      const { updated } = await db.setPeriodStartDay(day);
+      showToast(updated > 0 ? `Periodo actualizado (${updated} gasto(s) movidos)` : 'Periodo actualizado', 'success');
+      refreshView();
+    } catch (error) {
+      handleError(error, 'setPeriodStartDay');
+      e.target.value = db.getPeriodStartDay();
     }
   });
   
   // Currency selector
   const currencySelect = document.getElementById('currency-select');
   currencySelect?.addEventListener('change', async (e) => {
+    const currency = e.target.value;
+    
     try {
-      await db.saveSettings({ currency: e.target.value });
-      showToast('Moneda actualizada');
-      // Force reload to update all currency displays
-      window.location.reload();
+      const settings = await db.getSettings();
+      const preview = await db.previewBaseCurrencyChange(currency);
+      const resetSelect = () => { currencySelect.value = settings.currency; };
+      
+      // Nothing to convert yet: just relabel
+      if (preview.isEmpty) {
+        await db.updateSettings({ currency });
+        showToast('Moneda actualizada');
+        // Force reload to update all currency displays
+        window.location.reload();
+        return;
+      }
+      
+      const latestRate = await db.getExchangeRate(currency, getTodayDate());
+      openBaseCurrencyRateModal(preview, latestRate?.rate, resetSelect);
     } catch (error) {
       handleError(error, 'updateCurrency');
     }
@@ -208,33 +383,43 @@ export function initSettings(refreshView) {
   
   // Export button
   const exportBtn = document.getElementById('export-btn');
-  exportBtn?.addEventListener('click', async () => {
+  exportBtn?.addEventListener('click', () => {
+    openExportModal();
+  });
+  
+  // Spreadsheet export
+  document.getElementById('spreadsheet-export-btn')?.addEventListener('click', async () => {
     try {
-      exportBtn.disabled = true;
-      exportBtn.innerHTML = 'Exportando...';
-      
-      const data = await db.exportData();
-      const json = JSON.stringify(data, null, 2);
-      const blob = new Blob([json], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
-      
-      const date = new Date().toISOString().split('T')[0];
-      const filename = `presupuesto-backup-${date}.json`;
-      
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = filename;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
-      
-      showToast('Backup exportado correctamente', 'success');
+      const { openSpreadsheetExport } = await import('./SpreadsheetExport.js');
+      await openSpreadsheetExport();
+    } catch (error) {
+      handleError(error, 'openSpreadsheetExport');
+    }
+  });
+  
+  // Automatic snapshots
+  document.getElementById('snapshots-btn')?.addEventListener('click', async () => {
+    try {
+      const snapshots = await db.getAllSnapshots();
+      openSnapshotsModal(snapshots);
+    } catch (error) {
+      handleError(error, 'getAllSnapshots');
+    }
+  });
+  
+  // Bank statement import
+  const statementInput = document.getElementById('statement-file-input');
+  statementInput?.addEventListener('change', async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    
+    try {
+      const { openStatementImport } = await import('./StatementImport.js');
+      await openStatementImport(file, refreshView);
     } catch (error) {
-      handleError(error, 'exportData');
+      handleError(error, 'openStatementImport');
     } finally {
-      exportBtn.disabled = false;
-      exportBtn.innerHTML = 'Exportar';
+      statementInput.value = '';
     }
   });
   
@@ -244,29 +429,17 @@ export function initSettings(refreshView) {
     const file = e.target.files?.[0];
     if (!file) return;
     
-    const confirmed = await confirm({
-      title: '¿Importar backup?',
-      message: 'Esto reemplazará TODOS tus datos actuales con los del backup. Esta acción no se puede deshacer.',
-      confirmText: 'Importar',
-      cancelText: 'Cancelar',
-      danger: true
-    });
-    
-    if (!confirmed) {
-      importInput.value = '';
-      return;
-    }
-    
     try {
-      const text = await file.text();
-      const data = JSON.parse(text);
-      
-      await db.importData(data);
-      
-      showToast('Backup importado correctamente', 'success');
+      const buffer = await file.arrayBuffer();
       
-      // Reload app to reflect changes
-      setTimeout(() => location.reload(), 1000);
+      if (isEncryptedBackup(buffer)) {
+        openBackupPassphraseModal(buffer);
+      } else if (file.name.toLowerCase().endsWith('.pbc')) {
+        throw new CorruptBackupError('El archivo no es un backup cifrado válido');
+      } else {
+        const data = JSON.parse(new TextDecoder().decode(buffer));
+        openImportModeModal(data);
+      }
     } catch (error) {
       handleError(error, 'importData');
     }
@@ -274,3 +447,748 @@ export function initSettings(refreshView) {
     importInput.value = '';
   });
 }
+
+/**
+ * Labels of the backup sections shown in the merge summary
+ */
+const BACKUP_LABELS = {
+  settings: 'Ajustes',
+  fixedExpenses: 'Gastos fijos',
+  categories: 'Categorías',
+  expenses: 'Gastos',
+  monthlyArchives: 'Meses cerrados',
+  monthlyBudgets: 'Planes mensuales',
+  incomes: 'Ingresos',
+  sinkingFunds: 'Fondos',
+  goals: 'Metas',
+  archiveRevisions: 'Revisiones de meses',
+  exchangeRates: 'Tipos de cambio',
+  importProfiles: 'Perfiles de importación'
+};
+
+/**
+ * Why each automatic snapshot was taken
+ */
+const SNAPSHOT_REASON_LABELS = {
+  scheduled: 'Copia diaria',
+  closeMonth: 'Antes de cerrar',
+  import: 'Antes de importar'
+};
+
+/**
+ * Sections summarized in each row of the snapshot list
+ */
+const SNAPSHOT_SUMMARY_KEYS = ['expenses', 'categories', 'monthlyArchives'];
+
+/**
+ * List the automatic snapshots and restore one through the import flow
+ * @param {Array} snapshots Snapshots without their backups, newest first
+ */
+function openSnapshotsModal(snapshots) {
+  openModal({
+    title: 'Copias Automáticas',
+    content: snapshots.length > 0 ? `
+      <ul class="list">
+        ${snapshots.map(snapshot => `
+          <li class="list-item">
+            <div class="list-item-left">
+              <div class="list-item-content">
+                <span class="list-item-title">${formatDateTime(snapshot.createdAt)}</span>
+                <span class="list-item-subtitle">
+                  ${SNAPSHOT_REASON_LABELS[snapshot.reason] || snapshot.reason}${snapshot.month ? ` ${getMonthName(snapshot.month)}` : ''}
+                  · ${SNAPSHOT_SUMMARY_KEYS.map(key => `${snapshot.counts[key] || 0} ${BACKUP_LABELS[key].toLowerCase()}`).join(', ')}
+                </span>
+              </div>
+            </div>
+            <div class="list-item-right">
+              <button class="btn btn-secondary restore-snapshot-btn" data-id="${snapshot.id}">
+                Restaurar
+              </button>
+            </div>
+          </li>
+        `).join('')}
+      </ul>
+      <p class="helper-text" style="margin-top: var(--space-md);">
+        Se conservan las últimas ${SNAPSHOT_LIMIT} copias en este dispositivo
+      </p>
+    ` : `
+      <p class="helper-text">
+        Aún no hay copias. La primera se guarda al abrir la app.
+      </p>
+    `
+  });
+  
+  setTimeout(() => {
+    document.querySelectorAll('.restore-snapshot-btn').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        try {
+          const snapshot = await db.getSnapshot(btn.dataset.id);
+          openImportModeModal(snapshot.backup);
+        } catch (error) {
+          handleError(error, 'getSnapshot');
+        }
+      });
+    });
+  }, 100);
+}
+
+/**
+ * Labels of the settings that can conflict in a merge
+ */
+const SETTING_LABELS = {
+  currency: 'Moneda',
+  periodStartDay: 'Inicio del periodo'
+};
+
+/**
+ * Shortest passphrase accepted for encrypted backups
+ */
+const MIN_PASSPHRASE_LENGTH = 8;
+
+/**
+ * Export a backup, encrypted with a passphrase (.pbc) or as plain JSON
+ */
+function openExportModal() {
+  openModal({
+    title: 'Exportar Backup',
+    content: `
+      <form id="export-form">
+        <div class="form-group">
+          <label class="form-label" for="export-format">Formato</label>
+          <select id="export-format" name="format" class="form-input form-select">
+            <option value="encrypted">Cifrado con contraseña (.pbc)</option>
+            <option value="plain">Sin cifrar (.json)</option>
+          </select>
+        </div>
+        
+        <div id="export-passphrase-fields">
+          <div class="form-group">
+            <label class="form-label" for="export-passphrase">Contraseña</label>
+            <input type="password" id="export-passphrase" name="passphrase" class="form-input" 
+                   autocomplete="new-password">
+          </div>
+          <div class="form-group">
+            <label class="form-label" for="export-passphrase-confirm">Repite la contraseña</label>
+            <input type="password" id="export-passphrase-confirm" name="passphraseConfirm" class="form-input" 
+                   autocomplete="new-password">
+          </div>
+          <p class="helper-text" style="margin-bottom: var(--space-md);">
+            Sin esta contraseña no podrás recuperar el backup. No se guarda en ningún lado.
+          </p>
+        </div>
+        
+        <p class="helper-text" id="export-plain-warning" style="display: none; margin-bottom: var(--space-md);">
+          Cualquiera que tenga el archivo podrá leer todos tus datos
+        </p>
+        
+        <button type="submit" class="btn btn-primary" id="export-submit" style="width: 100%;">
+          Exportar
+        </button>
+      </form>
+    `,
+    onSubmit: async (data) => {
+      const submitBtn = document.getElementById('export-submit');
+      
+      try {
+        const encrypted = data.format === 'encrypted';
+        
+        if (encrypted) {
+          validateForm(data, {
+            passphrase: { required: true, type: 'string', minLength: MIN_PASSPHRASE_LENGTH, label: 'Contraseña' }
+          });
+          if (data.passphrase !== data.passphraseConfirm) {
+            throw new ValidationError('Las contraseñas no coinciden');
+          }
+        }
+        
+        submitBtn.disabled = true;
+        submitBtn.innerHTML = encrypted ? 'Cifrando...' : 'Exportando...';
+        
+        const backup = await db.exportData();
+        const date = new Date().toISOString().split('T')[0];
+        
+        if (encrypted) {
+          const file = await encryptBackup(backup, data.passphrase);
+          downloadFile(
+            new Blob([file], { type: 'application/octet-stream' }),
+            `presupuesto-backup-${date}.pbc`
+          );
+        } else {
+          downloadFile(
+            new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' }),
+            `presupuesto-backup-${date}.json`
+          );
+        }
+        
+        showToast('Backup exportado correctamente', 'success');
+        closeModal();
+      } catch (error) {
+        handleError(error, 'exportData');
+        submitBtn.disabled = false;
+        submitBtn.innerHTML = 'Exportar';
+      }
+    }
+  });
+  
+  setTimeout(() => {
+    const formatSelect = document.getElementById('export-format');
+    formatSelect?.addEventListener('change', () => {
+      const encrypted = formatSelect.value === 'encrypted';
+      document.getElementById('export-passphrase-fields').style.display = encrypted ? '' : 'none';
+      document.getElementById('export-plain-warning').style.display = encrypted ? 'none' : '';
+    });
+  }, 100);
+}
+
+/**
+ * Ask for the passphrase of an encrypted backup, then continue with the import
+ * A wrong passphrase keeps the modal open; a damaged file closes it
+ * @param {ArrayBuffer} buffer .pbc file content
+ */
+function openBackupPassphraseModal(buffer) {
+  openModal({
+    title: 'Backup Cifrado',
+    content: `
+      <form id="backup-passphrase-form">
+        <div class="form-group">
+          <label class="form-label" for="backup-passphrase">Contraseña del backup</label>
+          <input type="password" id="backup-passphrase" name="passphrase" class="form-input" 
+                 autocomplete="current-password" required>
+        </div>
+        <button type="submit" class="btn btn-primary" id="backup-passphrase-submit" style="width: 100%;">
+          Abrir Backup
+        </button>
+      </form>
+    `,
+    onSubmit: async (data) => {
+      const submitBtn = document.getElementById('backup-passphrase-submit');
+      
+      try {
+        submitBtn.disabled = true;
+        submitBtn.innerHTML = 'Descifrando...';
+        
+        const backup = await decryptBackup(buffer, data.passphrase);
+        openImportModeModal(backup);
+      } catch (error) {
+        handleError(error, 'decryptBackup');
+        
+        if (error instanceof WrongPassphraseError) {
+          submitBtn.disabled = false;
+          submitBtn.innerHTML = 'Abrir Backup';
+          document.getElementById('backup-passphrase')?.select();
+        } else {
+          closeModal();
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Most problems listed in the import report; the rest are summarized
+ */
+const MAX_LISTED_PROBLEMS = 20;
+
+/**
+ * Show the backup's dry-run report and, when it is valid,
+ * let the user choose between merging it and replacing everything
+ * @param {Object} backup Parsed backup file
+ */
+function openImportModeModal(backup) {
+  const { version, migrations, counts, problems } = db.dryRunImport(backup);
+  const records = Object.entries(counts).filter(([, count]) => count > 0);
+  
+  const describeProblem = (problem) => {
+    const where = [
+      BACKUP_LABELS[problem.section],
+      problem.index !== null ? `#${problem.index + 1}` : '',
+      problem.id !== null ? `(${problem.id})` : ''
+    ].filter(Boolean).join(' ');
+    return where ? `${where}: ${problem.message}` : problem.message;
+  };
+  
+  openModal({
+    title: 'Importar Backup',
+    content: `
+      <p class="helper-text" style="margin-bottom: var(--space-md);">
+        Backup de la versión ${version}${migrations.length > 0 ? `, se actualizará al formato actual (${migrations.join(', ')})` : ''}
+      </p>
+      
+      ${records.length > 0 ? `
+        <ul class="list">
+          ${records.map(([key, count]) => `
+            <li class="list-item" style="padding: var(--space-sm);">
+              <span class="list-item-title">${BACKUP_LABELS[key] || key}</span>
+              <span class="list-item-subtitle">${count}</span>
+            </li>
+          `).join('')}
+        </ul>
+      ` : ''}
+      
+      ${problems.length > 0 ? `
+        <ul class="close-preview-problems">
+          ${problems.slice(0, MAX_LISTED_PROBLEMS).map(problem => `
+            <li class="close-preview-problem danger">
+              ${getIcon('alertTriangle')}
+              <span>${sanitizeHTML(describeProblem(problem))}</span>
+            </li>
+          `).join('')}
+          ${problems.length > MAX_LISTED_PROBLEMS ? `
+            <li class="close-preview-problem danger">
+              ${getIcon('alertTriangle')}
+              <span>Y ${problems.length - MAX_LISTED_PROBLEMS} problema(s) más</span>
+            </li>
+          ` : ''}
+        </ul>
+        <p class="helper-text">
+          El backup tiene registros inválidos. Corrige el archivo o usa otro backup; no se importó nada.
+        </p>
+      ` : `
+        <button type="button" class="btn btn-primary" id="import-merge-btn" style="width: 100%; margin-top: var(--space-md);">
+          Combinar con mis datos
+        </button>
+        <p class="helper-text" style="margin-bottom: var(--space-lg);">
+          Agrega lo que falta y conserva la versión más reciente de cada registro
+        </p>
+        <button type="button" class="btn btn-danger" id="import-replace-btn" style="width: 100%;">
+          Reemplazar todo
+        </button>
+        <p class="helper-text">
+          Borra TODOS tus datos actuales y los cambia por los del backup
+        </p>
+      `}
+    `
+  });
+  
+  setTimeout(() => {
+    document.getElementById('import-merge-btn')?.addEventListener('click', async () => {
+      try {
+        const preview = await db.previewMergeImport(backup);
+        openMergePreviewModal(backup, preview);
+      } catch (error) {
+        handleError(error, 'previewMergeImport');
+      }
+    });
+    
+    document.getElementById('import-replace-btn')?.addEventListener('click', async () => {
+      const confirmed = await confirm({
+        title: '¿Reemplazar todo?',
+        message: 'Esto reemplazará TODOS tus datos actuales con los del backup. Esta acción no se puede deshacer.',
+        confirmText: 'Reemplazar',
+        cancelText: 'Cancelar',
+        danger: true
+      });
+      
+      if (!confirmed) return;
+      
+      try {
+        await db.importData(backup);
+        closeModal();
+        
+        showToast('Backup importado correctamente', 'success');
+        
+        // Reload app to reflect changes
+        setTimeout(() => location.reload(), 1000);
+      } catch (error) {
+        handleError(error, 'importData');
+      }
+    });
+  }, 100);
+}
+
+/**
+ * Show what a merge will change and let the user settle each conflict
+ * @param {Object} backup Parsed backup file
+ * @param {Object} preview Result of db.previewMergeImport()
+ */
+function openMergePreviewModal(backup, preview) {
+  const { counts, conflicts, incompatible } = preview;
+  const changes = Object.entries(counts).filter(([, c]) => c.added > 0 || c.updated > 0);
+  
+  // Amounts and months can't be combined across these settings
+  if (incompatible.length > 0) {
+    openModal({
+      title: 'Combinar Backup',
+      content: `
+        <ul class="close-preview-problems">
+          ${incompatible.map(({ field, local, backup: backupValue }) => `
+            <li class="close-preview-problem danger">
+              ${getIcon('alertTriangle')}
+              <span>${SETTING_LABELS[field]}: ${sanitizeHTML(String(local ?? '-'))} aquí, ${sanitizeHTML(String(backupValue ?? '-'))} en el backup</span>
+            </li>
+          `).join('')}
+        </ul>
+        <p class="helper-text">
+          Los montos y los meses de los gastos no coinciden, así que no se pueden combinar.
+          Usa "Reemplazar todo" o iguala estos ajustes en ambos dispositivos antes de combinar.
+        </p>
+      `
+    });
+    return;
+  }
+  
+  const describeConflict = (conflict) => {
+    const note = conflict.store === 'categories' ? ' Los gastos de la otra pasan a la que elijas.' : '';
+    return `Existe aquí y en el backup con distinto id.${note}`;
+  };
+  
+  openModal({
+    title: 'Combinar Backup',
+    content: `
+      <form id="merge-import-form">
+        ${changes.length > 0 ? `
+          <ul class="list">
+            ${changes.map(([key, c]) => `
+              <li class="list-item" style="padding: var(--space-sm);">
+                <span class="list-item-title">${BACKUP_LABELS[key] || key}</span>
+                <span class="list-item-subtitle">
+                  ${[c.added > 0 ? `${c.added} nuevo(s)` : '', c.updated > 0 ? `${c.updated} actualizado(s)` : ''].filter(Boolean).join(', ')}
+                </span>
+              </li>
+            `).join('')}
+          </ul>
+        ` : `
+          <p class="helper-text" style="margin-bottom: var(--space-md);">El backup no trae nada nuevo.</p>
+        `}
+        
+        ${conflicts.length > 0 ? `
+          <h5 class="close-preview-heading">Conflictos</h5>
+          ${conflicts.map(conflict => `
+            <div class="form-group">
+              <label class="form-label" for="conflict-${conflict.id}">${conflict.label}</label>
+              <select id="conflict-${conflict.id}" name="${conflict.id}" class="form-input form-select">
+                <option value="local">Mantener el de este dispositivo</option>
+                <option value="backup">Usar el del backup</option>
+              </select>
+              <p class="helper-text" style="text-align: left;">${describeConflict(conflict)}</p>
+            </div>
+          `).join('')}
+        ` : ''}
+        
+        <p class="helper-text" style="margin-bottom: var(--space-md);">
+          Lo que solo existe en este dispositivo se conserva.
+        </p>
+        
+        <button type="submit" class="btn btn-primary" id="merge-import-submit" style="width: 100%;">
+          Combinar
+        </button>
+      </form>
+    `,
+    onSubmit: async (choices) => {
+      const submitBtn = document.getElementById('merge-import-submit');
+      
+      try {
+        submitBtn.disabled = true;
+        submitBtn.innerHTML = 'Combinando...';
+        
+        await db.mergeImportData(backup, choices);
+        closeModal();
+        
+        showToast('Backup combinado correctamente', 'success');
+        
+        // Reload app to reflect changes
+        setTimeout(() => location.reload(), 1000);
+      } catch (error) {
+        handleError(error, 'mergeImportData');
+        submitBtn.disabled = false;
+        submitBtn.innerHTML = 'Combinar';
+      }
+    }
+  });
+}
+
+/**
+ * Show what closing the month will archive and let the user confirm
+ * @param {Object} preview Result of db.previewCloseMonth()
+ */
+function openClosePreviewModal(preview, refreshView) {
+  const { month, archive, problems, overspentCategories, orphanedExpenses, futureExpenses } = preview;
+  const { summary } = archive;
+  const { currency } = summary;
+  const hasUnassigned = problems.some(p => p.type === 'unassigned');
+  
+  const renderExpenseRows = (expenses) => expenses.map(exp => `
+    <li class="list-item" style="padding: var(--space-sm);">
+      <div class="list-item-content">
+        <span class="list-item-title">${exp.description || 'Sin descripción'}</span>
+        <span class="list-item-subtitle">${formatDate(exp.date)}</span>
+      </div>
+      <span class="list-item-amount expense">${formatCurrency(exp.amount, currency)}</span>
+    </li>
+  `).join('');
+  
+  openModal({
+    title: `Cerrar ${getMonthName(month)}`,
+    content: `
+      <form id="close-month-form">
+        <div class="summary-grid">
+          <div class="summary-card">
+            <div class="summary-card-label">Ingreso</div>
+            <div class="summary-card-value income">${formatCurrency(summary.monthlyIncome, currency)}</div>
+          </div>
+          <div class="summary-card">
+            <div class="summary-card-label">Gastos Fijos</div>
+            <div class="summary-card-value expense">${formatCurrency(summary.totalFixedExpenses, currency)}</div>
+          </div>
+          <div class="summary-card">
+            <div class="summary-card-label">Gastado</div>
+            <div class="summary-card-value expense">${formatCurrency(summary.totalSpent, currency)}</div>
+          </div>
+          <div class="summary-card">
+            <div class="summary-card-label">${summary.totalSaved >= 0 ? 'Ahorrado' : 'Excedido'}</div>
+            <div class="summary-card-value ${summary.totalSaved >= 0 ? 'income' : 'expense'}">
+              ${formatCurrency(Math.abs(summary.totalSaved), currency)}
+            </div>
+          </div>
+        </div>
+        
+        ${problems.length > 0 ? `
+          <ul class="close-preview-problems">
+            ${problems.map(problem => `
+              <li class="close-preview-problem ${problem.type === 'unassigned' ? 'danger' : ''}">
+                ${getIcon('alertTriangle')}
+                <span>${problem.message}</span>
+              </li>
+            `).join('')}
+          </ul>
+        ` : `
+          <p class="helper-text" style="margin-bottom: var(--space-md);">Todo en orden. No hay nada que revisar.</p>
+        `}
+        
+        ${overspentCategories.length > 0 ? `
+          <h5 class="close-preview-heading">Categorías excedidas</h5>
+          <ul class="list">
+            ${overspentCategories.map(cat => `
+              <li class="list-item" style="padding: var(--space-sm);">
+                <div class="list-item-left">
+                  <span class="category-dot" style="background: ${cat.color}"></span>
+                  <span class="list-item-title">${cat.name}</span>
+                </div>
+                <span class="list-item-amount expense">-${formatCurrency(Math.abs(cat.remaining), currency)}</span>
+              </li>
+            `).join('')}
+          </ul>
+        ` : ''}
+        
+        ${orphanedExpenses.length > 0 ? `
+          <h5 class="close-preview-heading">Gastos sin categoría</h5>
+          <ul class="list">${renderExpenseRows(orphanedExpenses)}</ul>
+        ` : ''}
+        
+        ${futureExpenses.length > 0 ? `
+          <h5 class="close-preview-heading">Gastos con fecha futura</h5>
+          <ul class="list">${renderExpenseRows(futureExpenses)}</ul>
+        ` : ''}
+        
+        <p class="helper-text" style="margin-bottom: var(--space-md);">
+          Los gastos del mes se archivarán y se reiniciarán para el nuevo mes.
+        </p>
+        
+        ${hasUnassigned ? `
+          <button type="button" class="btn btn-secondary" id="close-preview-assign-btn" style="width: 100%; margin-bottom: var(--space-sm);">
+            Asignar dinero
+          </button>
+        ` : ''}
+        <button type="submit" class="btn ${hasUnassigned ? 'btn-danger' : 'btn-primary'}" id="close-preview-submit" style="width: 100%;">
+          ${hasUnassigned ? 'Cerrar de todos modos' : 'Cerrar Mes'}
+        </button>
+      </form>
+    `,
+    onSubmit: async () => {
+      const submitBtn = document.getElementById('close-preview-submit');
+      const submitLabel = submitBtn.innerHTML;
+      
+      try {
+        submitBtn.disabled = true;
+        submitBtn.innerHTML = 'Cerrando...';
+        
+        // Unassigned money was shown above, so submitting is the explicit override
+        const closed = await db.closeMonth(month, { allowUnassigned: hasUnassigned });
+        
+        closeModal();
+        showToast(`Mes cerrado: ${formatCurrency(closed.summary.totalSaved, closed.summary.currency)} ${closed.summary.totalSaved >= 0 ? 'ahorrado' : 'excedido'}`, 'success');
+        refreshView();
+      } catch (error) {
+        handleError(error, 'closeMonth');
+        submitBtn.disabled = false;
+        submitBtn.innerHTML = submitLabel;
+      }
+    }
+  });
+  
+  setTimeout(() => {
+    document.getElementById('close-preview-assign-btn')?.addEventListener('click', () => {
+      closeModal();
+      navigate({ view: 'assign' });
+    });
+  }, 100);
+}
+
+/**
+ * Ask for the rate used to convert everything to a new base currency
+ * @param {Object} preview Result of db.previewBaseCurrencyChange() without a rate
+ * @param {number} [suggestedRate] Latest stored rate of the new currency
+ * @param {Function} onCancel Called when the user backs out
+ */
+function openBaseCurrencyRateModal(preview, suggestedRate, onCancel) {
+  const { from, to } = preview;
+  
+  openModal({
+    title: `Cambiar moneda a ${to}`,
+    content: `
+      <form id="base-currency-rate-form">
+        <p class="helper-text" style="margin-bottom: var(--space-md);">
+          Tu ingreso, gastos fijos, límites y gastos del mes abierto se convertirán a ${to}.
+          Los meses cerrados se quedan en su moneda original.
+        </p>
+        <div class="form-group">
+          <label class="form-label" for="base-rate-value">Valor de 1 ${to} en ${from}</label>
+          <input type="number" id="base-rate-value" name="rate" class="form-input" 
+                 value="${suggestedRate ?? ''}" placeholder="0.0000" min="0.0001" step="0.0001" required>
+        </div>
+        <button type="submit" class="btn btn-primary" style="width: 100%;">
+          Ver cambios
+        </button>
+      </form>
+    `,
+    onSubmit: async (data) => {
+      try {
+        validateForm(data, {
+          rate: { required: true, type: 'number', min: 0.0001, label: 'Tipo de cambio' }
+        });
+        
+        const withRate = await db.previewBaseCurrencyChange(to, parseFloat(data.rate));
+        openBaseCurrencyPreviewModal(withRate, onCancel);
+      } catch (error) {
+        handleError(error, 'previewBaseCurrencyChange');
+      }
+    },
+    onClose: onCancel
+  });
+}
+
+/**
+ * Show amounts before and after a base currency change and let the user confirm
+ * @param {Object} preview Result of db.previewBaseCurrencyChange()
+ * @param {Function} onCancel Called when the user backs out
+ */
+function openBaseCurrencyPreviewModal(preview, onCancel) {
+  const { from, to, rate, lines, counts } = preview;
+  
+  openModal({
+    title: `Convertir a ${to}`,
+    content: `
+      <form id="base-currency-preview-form">
+        <p class="helper-text" style="margin-bottom: var(--space-md);">
+          1 ${to} = ${rate} ${from}
+        </p>
+        <ul class="list">
+          ${lines.map(line => `
+            <li class="list-item" style="padding: var(--space-sm);">
+              <div class="list-item-content">
+                <span class="list-item-title">${line.label}</span>
+                <span class="list-item-subtitle">${formatCurrency(line.before, from)}</span>
+              </div>
+              <span class="list-item-amount">${formatCurrency(line.after, to)}</span>
+            </li>
+          `).join('')}
+        </ul>
+        <p class="helper-text" style="margin: var(--space-md) 0;">
+          Se convertirán ${counts.fixedExpenses} gasto(s) fijo(s), ${counts.categories} categoría(s),
+          ${counts.expenses} gasto(s) y ${counts.exchangeRates} tipo(s) de cambio. Los meses cerrados no cambian.
+        </p>
+        <button type="submit" class="btn btn-primary" id="base-currency-submit" style="width: 100%;">
+          Convertir
+        </button>
+      </form>
+    `,
+    onSubmit: async () => {
+      const submitBtn = document.getElementById('base-currency-submit');
+      
+      try {
+        submitBtn.disabled = true;
+        submitBtn.innerHTML = 'Convirtiendo...';
+        
+        await db.changeBaseCurrency(to, rate);
+        
+        showToast('Moneda actualizada');
+        // Force reload to update all currency displays
+        window.location.reload();
+      } catch (error) {
+        handleError(error, 'changeBaseCurrency');
+        submitBtn.disabled = false;
+        submitBtn.innerHTML = 'Convertir';
+      }
+    },
+    onClose: onCancel
+  });
+}
+
+/**
+ * Open modal to add or edit an exchange rate
+ * @param {Object|null} rate Rate to edit, or null to add one
+ * @param {string} budgetCurrency ISO code the rate converts to
+ */
+function openExchangeRateModal(rate, budgetCurrency, refreshView) {
+  const isEdit = !!rate;
+  const foreignCurrencies = AVAILABLE_CURRENCIES.filter(c => c.code !== budgetCurrency);
+  
+  openModal({
+    title: isEdit ? 'Editar Tipo de Cambio' : 'Nuevo Tipo de Cambio',
+    content: `
+      <form id="exchange-rate-form">
+        <div class="form-group">
+          <label class="form-label" for="rate-currency">Moneda</label>
+          <select id="rate-currency" name="currency" class="form-input form-select" required>
+            ${foreignCurrencies.map(curr => `
+              <option value="${curr.code}" ${curr.code === rate?.currency ? 'selected' : ''}>
+                ${curr.code} - ${curr.name}
+              </option>
+            `).join('')}
+          </select>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="rate-value">Valor de 1 unidad en ${budgetCurrency}</label>
+          <input type="number" id="rate-value" name="rate" class="form-input" 
+                 value="${rate?.rate ?? ''}" placeholder="0.0000" min="0.0001" step="0.0001" required>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="rate-date">Vigente desde</label>
+          <input type="date" id="rate-date" name="effectiveDate" class="form-input" 
+                 value="${rate?.effectiveDate || getTodayDate()}" required>
+        </div>
+        <button type="submit" class="btn btn-primary" style="width: 100%;">
+          ${isEdit ? 'Guardar Cambios' : 'Agregar'}
+        </button>
+      </form>
+    `,
+    onSubmit: async (data) => {
+      try {
+        validateForm(data, {
+          currency: { required: true, label: 'Moneda' },
+          rate: { required: true, type: 'number', min: 0.0001, label: 'Tipo de cambio' },
+          effectiveDate: { required: true, label: 'Fecha' }
+        });
+        
+        const values = {
+          currency: data.currency,
+          rate: parseFloat(data.rate),
+          effectiveDate: data.effectiveDate
+        };
+        
+        if (isEdit) {
+          await db.updateExchangeRate(rate.id, values);
+          showToast('Tipo de cambio actualizado', 'success');
+        } else {
+          await db.createExchangeRate(values);
+          showToast('Tipo de cambio agregado', 'success');
+        }
+        
+        closeModal();
+        refreshView();
+      } catch (error) {
+        handleError(error, 'saveExchangeRate');
+      }
+    }
+  });
+}
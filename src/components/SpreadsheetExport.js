@@ -0,0 +1,136 @@
+/**
+ * Spreadsheet Export Component
+ * CSV and XLSX export of expenses, a per-category summary and fixed
+ * expenses for a date range or a set of closed months
+ */
+
+import * as db from '../db/database.js';
+import * as ExportService from '../services/ExportService.js';
+import { getMonthName, getTodayDate, downloadFile } from '../utils/helpers.js';
+import { showToast, handleError, ValidationError } from '../utils/errorHandler.js';
+import { createXLSX } from '../utils/xlsx.js';
+import { openModal, closeModal } from './Modal.js';
+
+/**
+ * Open the export form
+ */
+export async function openSpreadsheetExport() {
+  const archives = (await db.getAllArchives())
+    .sort((a, b) => b.month.localeCompare(a.month));
+  const today = getTodayDate();
+  
+  openModal({
+    title: 'Exportar para Excel',
+    content: `
+      <form id="spreadsheet-export-form">
+        <div class="form-group">
+          <label class="form-label" for="spreadsheet-format">Formato</label>
+          <select id="spreadsheet-format" name="format" class="form-input form-select">
+            <option value="xlsx">Excel (.xlsx)</option>
+            <option value="csv">CSV (un archivo por hoja)</option>
+          </select>
+        </div>
+        
+        <div class="form-group">
+          <label class="form-label" for="spreadsheet-scope">Periodo</label>
+          <select id="spreadsheet-scope" name="scope" class="form-input form-select">
+            <option value="range">Rango de fechas</option>
+            <option value="months" ${archives.length === 0 ? 'disabled' : ''}>Meses cerrados</option>
+          </select>
+        </div>
+        
+        <div id="spreadsheet-range-fields">
+          <div class="form-group">
+            <label class="form-label" for="spreadsheet-from">Desde</label>
+            <input type="date" id="spreadsheet-from" name="from" class="form-input"
+                   value="${today.slice(0, 4)}-01-01">
+          </div>
+          <div class="form-group">
+            <label class="form-label" for="spreadsheet-to">Hasta</label>
+            <input type="date" id="spreadsheet-to" name="to" class="form-input" value="${today}">
+          </div>
+        </div>
+        
+        <div class="form-group" id="spreadsheet-month-fields" style="display: none;">
+          <label class="form-label">Meses</label>
+          <ul class="list">
+            ${archives.map(archive => `
+              <li class="list-item" style="padding: var(--space-sm);">
+                <label style="display: flex; align-items: center; gap: var(--space-sm); width: 100%;">
+                  <input type="checkbox" name="month-${archive.month}" value="${archive.month}" checked>
+                  <span class="list-item-title">${getMonthName(archive.month)}</span>
+                </label>
+              </li>
+            `).join('')}
+          </ul>
+        </div>
+        
+        <p class="helper-text" style="margin-bottom: var(--space-md);">
+          Incluye los gastos, un resumen por categoría y los gastos fijos
+        </p>
+        
+        <button type="submit" class="btn btn-primary" id="spreadsheet-export-submit" style="width: 100%;">
+          Exportar
+        </button>
+      </form>
+    `,
+    onSubmit: async (data) => {
+      try {
+        const options = {};
+        
+        if (data.scope === 'months') {
+          options.months = Object.keys(data)
+            .filter(key => key.startsWith('month-'))
+            .map(key => data[key]);
+          if (options.months.length === 0) {
+            throw new ValidationError('Elige al menos un mes');
+          }
+        } else {
+          if (!data.from || !data.to) {
+            throw new ValidationError('Elige las fechas del periodo');
+          }
+          if (data.from > data.to) {
+            throw new ValidationError('La fecha inicial debe ser anterior a la final');
+          }
+          options.from = data.from;
+          options.to = data.to;
+        }
+        
+        const { sheets, expenseCount } = await ExportService.buildSpreadsheetExport(options);
+        if (sheets.every(sheet => sheet.rows.length === 0)) {
+          throw new ValidationError('No hay gastos en el periodo elegido');
+        }
+        
+        const label = options.months
+          ? [...new Set([options.months[options.months.length - 1], options.months[0]])].join('_')
+          : `${options.from}_${options.to}`;
+        
+        if (data.format === 'csv') {
+          sheets.forEach(sheet => downloadFile(
+            new Blob([ExportService.sheetToCSV(sheet)], { type: 'text/csv;charset=utf-8' }),
+            `presupuesto-${sheet.file}-${label}.csv`
+          ));
+        } else {
+          downloadFile(
+            new Blob([createXLSX(sheets)], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }),
+            `presupuesto-gastos-${label}.xlsx`
+          );
+        }
+        
+        showToast(`${expenseCount} gasto(s) exportado(s)`, 'success');
+        closeModal();
+      } catch (error) {
+        handleError(error, 'buildSpreadsheetExport');
+      }
+    }
+  });
+  
+  setTimeout(() => {
+    const scopeSelect = document.getElementById('spreadsheet-scope');
+    scopeSelect?.addEventListener('change', () => {
+      const byMonth = scopeSelect.value === 'months';
+      document.getElementById('spreadsheet-range-fields').style.display = byMonth ? 'none' : '';
+      document.getElementById('spreadsheet-month-fields').style.display = byMonth ? '' : 'none';
+    });
+  }, 100);
+}
@@ -0,0 +1,362 @@
+/**
+ * Statement Import Component
+ * Bank statement import (CSV, OFX, QIF): column mapping for CSV,
+ * saved profiles and a review table
+ */
+
+import * as db from '../db/database.js';
+import * as ImportService from '../services/ImportService.js';
+import {
+  BANK_IMPORT_PRESETS,
+  IMPORT_DATE_FORMATS,
+  IMPORT_DECIMAL_FORMATS,
+  IMPORT_AMOUNT_SIGNS,
+  IMPORT_PROFILE_SCHEMA,
+  DEFAULT_CURRENCY
+} from '../db/schema.js';
+import { formatCurrency, formatDate, sanitizeHTML } from '../utils/helpers.js';
+import { showToast, handleError, validateForm } from '../utils/errorHandler.js';
+import { isOFX } from '../utils/ofx.js';
+import { isQIF } from '../utils/qif.js';
+import { getIcon } from './Icons.js';
+import { openModal, closeModal } from './Modal.js';
+
+/**
+ * Profile fields edited in the mapping form
+ */
+const MAPPING_FIELDS = ['dateColumn', 'descriptionColumn', 'amountColumn', 'amountSign', 'dateFormat', 'decimalFormat'];
+
+/**
+ * Review row notes by duplicate type
+ */
+const DUPLICATE_LABELS = {
+  imported: ' • Ya importado',
+  similar: ' • Posible duplicado'
+};
+
+/**
+ * Start importing a statement
+ * OFX and QIF files go straight to the review table; CSV files need a column mapping first
+ * @param {File} file - Statement chosen by the user
+ * @param {Function} refreshView - Callback to refresh the view
+ */
+export async function openStatementImport(file, refreshView) {
+  const text = ImportService.decodeStatement(await file.arrayBuffer());
+  const [profiles, settings] = await Promise.all([db.getAllImportProfiles(), db.getSettings()]);
+  const currency = settings?.currency || DEFAULT_CURRENCY;
+  
+  if (isOFX(text) || isQIF(text)) {
+    const result = isOFX(text) ? ImportService.readOFXStatement(text) : ImportService.readQIFStatement(text);
+    if (result.transactions.length === 0) {
+      throw new Error('El archivo no tiene gastos para importar');
+    }
+    
+    const rows = await ImportService.prepareReview(result.transactions);
+    openReviewModal({ rows, result, currency }, refreshView);
+    return;
+  }
+  
+  const statement = ImportService.readCSVStatement(text);
+  
+  if (statement.rows.length === 0) {
+    throw new Error('El archivo no tiene movimientos');
+  }
+  
+  const profile = ImportService.guessProfile(statement.headers, profiles);
+  openMappingModal({ text, profiles, profile, currency }, refreshView);
+}
+
+/**
+ * Render the column and format selects for a profile
+ * @param {Object} statement - { headers, rows } read with the profile
+ * @param {Object} profile - Profile whose values are selected
+ * @returns {string} HTML content
+ */
+function renderMappingFields(statement, profile) {
+  const { headers } = statement;
+  const columnSelect = (name, label) => {
+    const selected = ImportService.matchHeader(headers, profile[name]);
+    return `
+      <div class="form-group">
+        <label class="form-label" for="import-${name}">${label}</label>
+        <select id="import-${name}" name="${name}" class="form-input form-select" required>
+          <option value="">Selecciona una columna</option>
+          ${headers.map(header => `
+            <option value="${sanitizeHTML(header)}" ${header === selected ? 'selected' : ''}>
+              ${sanitizeHTML(header || '(sin nombre)')}
+            </option>
+          `).join('')}
+        </select>
+      </div>
+    `;
+  };
+  const optionSelect = (name, label, options) => `
+    <div class="form-group">
+      <label class="form-label" for="import-${name}">${label}</label>
+      <select id="import-${name}" name="${name}" class="form-input form-select">
+        ${options.map(option => `
+          <option value="${option.value}" ${option.value === profile[name] ? 'selected' : ''}>
+            ${option.label}
+          </option>
+        `).join('')}
+      </select>
+    </div>
+  `;
+  
+  return `
+    ${columnSelect('dateColumn', 'Columna de fecha')}
+    ${columnSelect('descriptionColumn', 'Columna de descripción')}
+    ${columnSelect('amountColumn', 'Columna de monto')}
+    ${optionSelect('amountSign', 'Los gastos aparecen como', IMPORT_AMOUNT_SIGNS)}
+    ${optionSelect('dateFormat', 'Formato de fecha', IMPORT_DATE_FORMATS)}
+    ${optionSelect('decimalFormat', 'Formato de números', IMPORT_DECIMAL_FORMATS)}
+  `;
+}
+
+/**
+ * Let the user map the statement's columns, optionally saving the mapping
+ * @param {Object} context - { text, profiles, profile, currency }
+ * @param {Function} refreshView - Callback to refresh the view
+ */
+function openMappingModal({ text, profiles, profile, currency }, refreshView) {
+  const initial = profile || IMPORT_PROFILE_SCHEMA;
+  let statement = ImportService.readCSVStatement(text, initial);
+  const findProfile = (id) => [...BANK_IMPORT_PRESETS, ...profiles].find(p => p.id === id);
+  const isSaved = (id) => profiles.some(p => p.id === id);
+  
+  openModal({
+    title: 'Importar Estado de Cuenta',
+    content: `
+      <form id="statement-mapping-form">
+        <div class="form-group">
+          <label class="form-label" for="import-profile">Perfil</label>
+          <select id="import-profile" name="profileId" class="form-input form-select">
+            <option value="">Personalizado</option>
+            <optgroup label="Bancos">
+              ${BANK_IMPORT_PRESETS.map(preset => `
+                <option value="${preset.id}" ${preset.id === profile?.id ? 'selected' : ''}>${preset.name}</option>
+              `).join('')}
+            </optgroup>
+            ${profiles.length > 0 ? `
+              <optgroup label="Mis perfiles">
+                ${profiles.map(saved => `
+                  <option value="${saved.id}" ${saved.id === profile?.id ? 'selected' : ''}>${sanitizeHTML(saved.name)}</option>
+                `).join('')}
+              </optgroup>
+            ` : ''}
+          </select>
+        </div>
+        
+        <div id="import-mapping-fields">
+          ${renderMappingFields(statement, initial)}
+        </div>
+        
+        <h5 class="close-preview-heading">Vista previa</h5>
+        <ul class="list" id="import-sample"></ul>
+        
+        <div class="form-group" style="margin-top: var(--space-md);">
+          <label class="form-label" for="import-profile-name">Guardar perfil como (opcional)</label>
+          <input type="text" id="import-profile-name" name="profileName" class="form-input"
+                 value="${isSaved(profile?.id) ? sanitizeHTML(profile.name) : ''}" placeholder="Ej: Monetaria BI">
+        </div>
+        
+        <button type="submit" class="btn btn-primary" style="width: 100%;">
+          Revisar Movimientos
+        </button>
+      </form>
+    `,
+    onSubmit: async (data) => {
+      try {
+        validateForm(data, {
+          dateColumn: { required: true, label: 'Columna de fecha' },
+          descriptionColumn: { required: true, label: 'Columna de descripción' },
+          amountColumn: { required: true, label: 'Columna de monto' }
+        });
+        
+        const mapping = Object.fromEntries(MAPPING_FIELDS.map(field => [field, data[field]]));
+        const result = ImportService.mapStatementRows(statement, mapping);
+        
+        if (result.transactions.length === 0) {
+          throw new Error('No se encontraron gastos con este formato. Revisa la columna de monto y el signo.');
+        }
+        
+        const profileName = data.profileName?.trim();
+        if (profileName) {
+          const existing = profiles.find(p => p.name.toLowerCase() === profileName.toLowerCase());
+          if (existing) {
+            await db.updateImportProfile(existing.id, mapping);
+          } else {
+            await db.createImportProfile({ ...mapping, name: profileName });
+          }
+        }
+        
+        const rows = await ImportService.prepareReview(result.transactions);
+        openReviewModal({ rows, result, currency }, refreshView);
+      } catch (error) {
+        handleError(error, 'mapStatement');
+      }
+    }
+  });
+  
+  setTimeout(() => {
+    const form = document.getElementById('statement-mapping-form');
+    const fields = document.getElementById('import-mapping-fields');
+    const sample = document.getElementById('import-sample');
+    if (!form) return;
+    
+    const updateSample = () => {
+      const data = Object.fromEntries(new FormData(form).entries());
+      const mapping = Object.fromEntries(MAPPING_FIELDS.map(field => [field, data[field]]));
+      
+      try {
+        const { transactions } = ImportService.mapStatementRows(statement, mapping);
+        sample.innerHTML = transactions.length > 0
+          ? transactions.slice(0, 3).map(t => `
+            <li class="list-item" style="padding: var(--space-sm);">
+              <div class="list-item-content">
+                <span class="list-item-title">${sanitizeHTML(t.description || 'Sin descripción')}</span>
+                <span class="list-item-subtitle">${formatDate(`${t.date}T00:00:00`)}</span>
+              </div>
+              <span class="list-item-amount expense">${formatCurrency(t.amount, currency)}</span>
+            </li>
+          `).join('')
+          : '<p class="helper-text">Ninguna fila se pudo leer con este formato</p>';
+      } catch {
+        sample.innerHTML = '<p class="helper-text">Selecciona las columnas para ver una vista previa</p>';
+      }
+    };
+    
+    // Picking a profile fills every field with its mapping
+    document.getElementById('import-profile')?.addEventListener('change', (e) => {
+      const selected = findProfile(e.target.value) || IMPORT_PROFILE_SCHEMA;
+      statement = ImportService.readCSVStatement(text, selected);
+      fields.innerHTML = renderMappingFields(statement, selected);
+      document.getElementById('import-profile-name').value = isSaved(selected.id) ? selected.name : '';
+      updateSample();
+    });
+    
+    fields.addEventListener('change', updateSample);
+    updateSample();
+  }, 100);
+}
+
+/**
+ * Show the statement's expenses for a final check before writing them
+ * @param {Object} review - { rows, result, currency }
+ * @param {Function} refreshView - Callback to refresh the view
+ */
+async function openReviewModal({ rows, result, currency }, refreshView) {
+  const categories = await db.getAllCategories();
+  const imported = rows.filter(row => row.duplicate === 'imported').length;
+  const similar = rows.filter(row => row.duplicate === 'similar').length;
+  const closed = rows.filter(row => row.closed).length;
+  
+  openModal({
+    title: 'Revisar Movimientos',
+    content: `
+      <form id="statement-review-form">
+        <p class="helper-text" style="margin-bottom: var(--space-md);">
+          ${rows.length} gasto(s)${result.skipped > 0 ? `, ${result.skipped} fila(s) omitidas (créditos o sin monto)` : ''}.
+          Marca los que quieres importar y elige su categoría.
+        </p>
+        
+        ${imported > 0 || similar > 0 || closed > 0 || result.errors.length > 0 ? `
+          <ul class="close-preview-problems">
+            ${imported > 0 ? `
+              <li class="close-preview-problem">
+                ${getIcon('alertTriangle')}
+                <span>${imported} movimiento(s) ya importados antes</span>
+              </li>
+            ` : ''}
+            ${similar > 0 ? `
+              <li class="close-preview-problem">
+                ${getIcon('alertTriangle')}
+                <span>${similar} posible(s) duplicado(s): ya hay un gasto con la misma fecha y monto</span>
+              </li>
+            ` : ''}
+            ${closed > 0 ? `
+              <li class="close-preview-problem">
+                ${getIcon('alertTriangle')}
+                <span>${closed} gasto(s) de meses cerrados. Agrégalos desde Historial.</span>
+              </li>
+            ` : ''}
+            ${result.errors.map(error => `
+              <li class="close-preview-problem danger">
+                ${getIcon('alertTriangle')}
+                <span>Fila ${error.line}: ${sanitizeHTML(error.message)}</span>
+              </li>
+            `).join('')}
+          </ul>
+        ` : ''}
+        
+        <ul class="list">
+          ${rows.map((row, index) => `
+            <li class="list-item import-review-row ${row.duplicate ? 'is-duplicate' : ''}">
+              <input type="checkbox" class="import-review-check" name="select-${index}"
+                     ${row.selected ? 'checked' : ''} ${row.closed ? 'disabled' : ''} aria-label="Importar gasto">
+              <div class="list-item-content import-review-content">
+                <span class="list-item-title">${sanitizeHTML(row.description || 'Sin descripción')}</span>
+                <span class="list-item-subtitle">
+                  ${formatDate(`${row.date}T00:00:00`)}${DUPLICATE_LABELS[row.duplicate] || ''}${row.closed ? ' • Mes cerrado' : ''}
+                </span>
+                <select name="category-${index}" class="form-input form-select import-review-category"
+                        data-key="${sanitizeHTML(row.key)}" aria-label="Categoría" ${row.closed ? 'disabled' : ''}>
+                  <option value="">Sin categoría</option>
+                  ${categories.map(cat => `
+                    <option value="${cat.id}" ${cat.id === row.categoryId ? 'selected' : ''}>${cat.name}</option>
+                  `).join('')}
+                </select>
+              </div>
+              <span class="list-item-amount expense">${formatCurrency(row.amount, row.currency || currency)}</span>
+            </li>
+          `).join('')}
+        </ul>
+        
+        <button type="submit" class="btn btn-primary" id="statement-review-submit" style="width: 100%; margin-top: var(--space-md);">
+          Importar Seleccionados
+        </button>
+      </form>
+    `,
+    onSubmit: async (data) => {
+      const submitBtn = document.getElementById('statement-review-submit');
+      
+      try {
+        const selected = rows
+          .map((row, index) => ({ ...row, categoryId: data[`category-${index}`] }))
+          .filter((row, index) => data[`select-${index}`]);
+        
+        if (selected.length === 0) {
+          throw new Error('Selecciona al menos un gasto');
+        }
+        if (selected.some(row => !row.categoryId)) {
+          throw new Error('Elige una categoría para cada gasto seleccionado');
+        }
+        
+        submitBtn.disabled = true;
+        submitBtn.innerHTML = 'Importando...';
+        
+        const created = await ImportService.importReviewedRows(selected);
+        
+        closeModal();
+        showToast(`${created} gasto(s) importados`, 'success');
+        refreshView();
+      } catch (error) {
+        handleError(error, 'importStatement');
+        submitBtn.disabled = false;
+        submitBtn.innerHTML = 'Importar Seleccionados';
+      }
+    }
+  });
+  
+  // Choosing a category fills the other rows with the same description
+  setTimeout(() => {
+    const selects = Array.from(document.querySelectorAll('.import-review-category'));
+    selects.forEach(select => {
+      select.addEventListener('change', () => {
+        selects
+          .filter(other => other !== select && !other.disabled && !other.value && other.dataset.key === select.dataset.key)
+          .forEach(other => { other.value = select.value; });
+      });
+    });
+  }, 100);
+}
@@ -4,10 +4,33 @@
  */
 
 import { openDB } from 'idb';
-import { DB_NAME, DB_VERSION, STORES, STORE_INDEXES, SETTINGS_SCHEMA } from './schema.js';
+import {
+  DB_NAME,
+  DB_VERSION,
+  STORES,
+  STORE_INDEXES,
+  SETTINGS_SCHEMA,
+  MONTHLY_BUDGET_SCHEMA,
+  INCOME_SCHEMA,
+  AMOUNT_FIELDS,
+  ARCHIVE_AMOUNT_FIELDS,
+  IMPORT_PROFILE_SCHEMA,
+  BACKUP_SCHEMA,
+  BACKUP_ARCHIVED_EXPENSE_SCHEMA,
+  SNAPSHOT_SCHEMA,
+  SNAPSHOT_LIMIT,
+  SNAPSHOT_INTERVAL_HOURS,
+  DEFAULT_CURRENCY
+} from './schema.js';
+import { UnassignedMoneyError, InvalidBackupError } from '../utils/errorHandler.js';
+import { getTodayDate } from '../utils/helpers.js';
+import * as money from '../utils/money.js';
 
 let dbInstance = null;
 
+// Day of the month budget periods start on (cached from settings)
+let periodStartDay = 1;
+
 /**
  * Generate a unique ID (UUID v4 compatible)
  */
@@ -20,11 +43,98 @@ export function generateId() {
 }
 
 /**
- * Get current month in YYYY-MM format
+ * Get the day of the month budget periods start on
+ */
+export function getPeriodStartDay() {
+  return periodStartDay;
+}
+
+/**
+ * Get the budget period a date belongs to
+ * With a start day after the 1st, a period is named after the month it ends in
+ * (start day 25: Sep 25 - Oct 24 is "2026-10")
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} [startDay] - Period start day (defaults to the setting)
+ * @returns {string} Period in YYYY-MM format
+ */
+export function getMonthForDate(date, startDay = periodStartDay) {
+  const [year, monthNum, day] = date.split('-').map(Number);
+  const month = `${year}-${String(monthNum).padStart(2, '0')}`;
+  return startDay > 1 && day >= startDay ? getNextMonth(month) : month;
+}
+
+/**
+ * Get the first and last date of a budget period
+ * @param {string} month - Period in YYYY-MM format
+ * @param {number} [startDay] - Period start day (defaults to the setting)
+ * @returns {Object} { start, end } in YYYY-MM-DD format
+ */
+export function getPeriodRange(month, startDay = periodStartDay) {
+  const toDate = (m, day) => `${m}-${String(day).padStart(2, '0')}`;
+  const [year, monthNum] = month.split('-').map(Number);
+  
+  if (startDay <= 1) {
+    return { start: toDate(month, 1), end: toDate(month, new Date(year, monthNum, 0).getDate()) };
+  }
+  
+  return { start: toDate(getPreviousMonth(month), startDay), end: toDate(month, startDay - 1) };
+}
+
+/**
+ * Get current budget period in YYYY-MM format
  */
 export function getCurrentMonth() {
   const now = new Date();
-  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+  const today = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+  return getMonthForDate(today);
+}
+
+/**
+ * Get the month after the given one
+ * @param {string} month - Month in YYYY-MM format
+ * @returns {string} Next month in YYYY-MM format
+ */
+export function getNextMonth(month) {
+  const [year, monthNum] = month.split('-').map(Number);
+  return monthNum === 12 
+    ? `${year + 1}-01` 
+    : `${year}-${String(monthNum + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Get the month before the given one
+ * @param {string} month - Month in YYYY-MM format
+ * @returns {string} Previous month in YYYY-MM format
+ */
+export function getPreviousMonth(month) {
+  const [year, monthNum] = month.split('-').map(Number);
+  return monthNum === 1 
+    ? `${year - 1}-12` 
+    : `${year}-${String(monthNum - 1).padStart(2, '0')}`;
+}
+
+/**
+ * Add a number of months to a month
+ * @param {string} month - Month in YYYY-MM format
+ * @param {number} count - Months to add (may be negative)
+ * @returns {string} Resulting month in YYYY-MM format
+ */
+export function addMonths(month, count) {
+  const [year, monthNum] = month.split('-').map(Number);
+  const date = new Date(year, monthNum - 1 + count, 1);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Count the months from one month to another
+ * @param {string} fromMonth - Month in YYYY-MM format
+ * @param {string} toMonth - Month in YYYY-MM format
+ * @returns {number} Months between them (negative if toMonth is earlier)
+ */
+export function getMonthsBetween(fromMonth, toMonth) {
+  const [fromYear, fromNum] = fromMonth.split('-').map(Number);
+  const [toYear, toNum] = toMonth.split('-').map(Number);
+  return (toYear - fromYear) * 12 + (toNum - fromNum);
 }
 
 /**
@@ -40,6 +150,7 @@ export async function getDB() {
     dbInstance = await openDB(DB_NAME, DB_VERSION, {
       upgrade(db, oldVersion, newVersion, transaction) {
         console.log(`Upgrading database from v${oldVersion} to v${newVersion}`);
+        const seeds = [];
 
         // Create Settings store (simple key-value)
         if (!db.objectStoreNames.contains(STORES.SETTINGS)) {
@@ -77,6 +188,102 @@ export async function getDB() {
             store.createIndex(index.name, index.keyPath);
           });
         }
+        
+        // Create Monthly Budgets store (v4+)
+        if (!db.objectStoreNames.contains(STORES.MONTHLY_BUDGETS)) {
+          const store = db.createObjectStore(STORES.MONTHLY_BUDGETS, { keyPath: 'id' });
+          STORE_INDEXES[STORES.MONTHLY_BUDGETS]?.forEach((index) => {
+            store.createIndex(index.name, index.keyPath);
+          });
+          
+          // Existing installs: seed the current month from the global values
+          if (oldVersion > 0) {
+            seeds.push(seedMonthlyBudget(transaction));
+          }
+        }
+        
+        // Create Sinking Funds store (v6+)
+        if (!db.objectStoreNames.contains(STORES.SINKING_FUNDS)) {
+          const store = db.createObjectStore(STORES.SINKING_FUNDS, { keyPath: 'id' });
+          STORE_INDEXES[STORES.SINKING_FUNDS]?.forEach((index) => {
+            store.createIndex(index.name, index.keyPath);
+          });
+        }
+        
+        // Create Goals store (v7+)
+        if (!db.objectStoreNames.contains(STORES.GOALS)) {
+          const store = db.createObjectStore(STORES.GOALS, { keyPath: 'id' });
+          STORE_INDEXES[STORES.GOALS]?.forEach((index) => {
+            store.createIndex(index.name, index.keyPath);
+          });
+        }
+        
+        // Create Archive Revisions store (v8+)
+        if (!db.objectStoreNames.contains(STORES.ARCHIVE_REVISIONS)) {
+          const store = db.createObjectStore(STORES.ARCHIVE_REVISIONS, { keyPath: 'id' });
+          STORE_INDEXES[STORES.ARCHIVE_REVISIONS]?.forEach((index) => {
+            store.createIndex(index.name, index.keyPath);
+          });
+        }
+        
+        // Create Exchange Rates store (v11+)
+        if (!db.objectStoreNames.contains(STORES.EXCHANGE_RATES)) {
+          const store = db.createObjectStore(STORES.EXCHANGE_RATES, { keyPath: 'id' });
+          STORE_INDEXES[STORES.EXCHANGE_RATES]?.forEach((index) => {
+            store.createIndex(index.name, index.keyPath);
+          });
+        }
+        
+        // Create Import Profiles store (v12+)
+        if (!db.objectStoreNames.contains(STORES.IMPORT_PROFILES)) {
+          const store = db.createObjectStore(STORES.IMPORT_PROFILES, { keyPath: 'id' });
+          STORE_INDEXES[STORES.IMPORT_PROFILES]?.forEach((index) => {
+            store.createIndex(index.name, index.keyPath);
+          });
+        }
+        
+        // Create Snapshots store (v13+)
+        if (!db.objectStoreNames.contains(STORES.SNAPSHOTS)) {
+          const store = db.createObjectStore(STORES.SNAPSHOTS, { keyPath: 'id' });
+          STORE_INDEXES[STORES.SNAPSHOTS]?.forEach((index) => {
+            store.createIndex(index.name, index.keyPath);
+          });
+        }
+        
+        // Create Incomes store (v5+)
+        if (!db.objectStoreNames.contains(STORES.INCOMES)) {
+          const store = db.createObjectStore(STORES.INCOMES, { keyPath: 'id' });
+          STORE_INDEXES[STORES.INCOMES]?.forEach((index) => {
+            store.createIndex(index.name, index.keyPath);
+          });
+          
+          // Existing installs: turn the single monthly income into a source
+          if (oldVersion > 0) {
+            seeds.push(seedIncomeSource(transaction));
+          }
+        }
+        
+        // Data migrations run in order once the seeded records exist
+        const migrations = [];
+        if (oldVersion > 0 && oldVersion < 9) {
+          migrations.push(migrateAmountsToMinor); // Amounts become integer minor units
+        }
+        if (oldVersion > 0 && oldVersion < 10) {
+          migrations.push(migrateCurrencyCodes); // 'Q' becomes 'GTQ'
+        }
+        
+        if (migrations.length > 0) {
+          Promise.all(seeds)
+            .then(async () => {
+              for (const migrate of migrations) {
+                await migrate(transaction);
+              }
+            })
+            .catch((error) => {
+              console.error('Failed to migrate data:', error);
+              transaction.abort();
+            });
+        }
       },
       blocked() {
         console.warn('Database upgrade blocked. Please close other tabs.');
@@ -94,6 +301,9 @@ export async function getDB() {
 
     // Initialize default settings if needed
     await initializeSettings();
+    
+    const settings = await dbInstance.get(STORES.SETTINGS, 'main');
+    periodStartDay = settings?.periodStartDay || 1;
 
     return dbInstance;
   } catch (error) {
@@ -102,6 +312,208 @@ export async function getDB() {
   }
 }
 
+/**
+ * Seed the current month's budget plan from the global income and
+ * category limits (v4 migration, runs inside the upgrade transaction)
+ */
+async function seedMonthlyBudget(transaction) {
+  const [settings, categories] = await Promise.all([
+    transaction.objectStore(STORES.SETTINGS).get('main'),
+    transaction.objectStore(STORES.CATEGORIES).getAll()
+  ]);
+  
+  const month = getCurrentMonth();
+  const now = new Date().toISOString();
+  const allocations = {};
+  categories.forEach(cat => {
+    allocations[cat.id] = cat.budgetLimit || 0;
+  });
+  
+  await transaction.objectStore(STORES.MONTHLY_BUDGETS).put({
+    ...MONTHLY_BUDGET_SCHEMA,
+    id: month,
+    month,
+    monthlyIncome: settings?.monthlyIncome || 0,
+    allocations,
+    createdAt: now,
+    updatedAt: now
+  });
+}
+
+/**
+ * Apply a conversion to every money field of a record
+ * @param {string} storeName - Store the record belongs to
+ * @param {Object} record - Record to convert
+ * @param {Function} convert - Receives an amount and returns the new one
+ * @returns {Object} Converted record
+ */
+function mapAmounts(storeName, record, convert) {
+  if (!record) return record;
+  
+  const convertFields = (item, fields) => {
+    const converted = { ...item };
+    fields.forEach(field => {
+      if (typeof converted[field] === 'number') {
+        converted[field] = convert(converted[field]);
+      }
+    });
+    return converted;
+  };
+  const convertMap = (map) => Object.fromEntries(
+    Object.entries(map || {}).map(([key, value]) => [key, convert(value)])
+  );
+  
+  if (storeName === STORES.MONTHLY_ARCHIVES) {
+    const archive = { ...record, summary: convertFields(record.summary, ARCHIVE_AMOUNT_FIELDS.summary) };
+    Object.entries(ARCHIVE_AMOUNT_FIELDS).forEach(([section, fields]) => {
+      if (Array.isArray(record[section])) {
+        archive[section] = record[section].map(item => convertFields(item, fields));
+      }
+    });
+    return archive;
+  }
+  
+  if (storeName === STORES.ARCHIVE_REVISIONS) {
+    return { ...record, archive: mapAmounts(STORES.MONTHLY_ARCHIVES, record.archive, convert) };
+  }
+  
+  const converted = convertFields(record, AMOUNT_FIELDS[storeName] || []);
+  if (storeName === STORES.MONTHLY_BUDGETS) {
+    converted.allocations = convertMap(record.allocations);
+    converted.carryover = convertMap(record.carryover);
+  }
+  return converted;
+}
+
+/**
+ * Convert a record's money fields from major units to integer minor units
+ * @param {string} storeName - Store the record belongs to
+ * @param {Object} record - Record with amounts in major units
+ * @returns {Object} Record with amounts in minor units
+ */
+function amountsToMinor(storeName, record) {
+  return mapAmounts(storeName, record, money.toMinor);
+}
+
+/**
+ * Convert every stored amount to integer minor units
+ * (v9 migration, runs inside the upgrade transaction)
+ */
+async function migrateAmountsToMinor(transaction) {
+  for (const storeName of Object.values(STORES)) {
+    let cursor = await transaction.objectStore(storeName).openCursor();
+    while (cursor) {
+      await cursor.update(amountsToMinor(storeName, cursor.value));
+      cursor = await cursor.continue();
+    }
+  }
+}
+
+/**
+ * Store currencies as ISO 4217 codes in settings and archive summaries
+ * @param {string} storeName - Store the record belongs to
+ * @param {Object} record - Record that may hold a legacy currency ('Q')
+ * @returns {Object} Record with currency codes
+ */
+function currencyCodesIn(storeName, record) {
+  if (!record) return record;
+  
+  if (storeName === STORES.SETTINGS) {
+    return { ...record, currency: money.toCurrencyCode(record.currency) };
+  }
+  
+  if (storeName === STORES.MONTHLY_ARCHIVES && record.summary) {
+    return { ...record, summary: { ...record.summary, currency: money.toCurrencyCode(record.summary.currency) } };
+  }
+  
+  if (storeName === STORES.ARCHIVE_REVISIONS) {
+    return { ...record, archive: currencyCodesIn(STORES.MONTHLY_ARCHIVES, record.archive) };
+  }
+  
+  return record;
+}
+
+/**
+ * Replace legacy currency values with ISO 4217 codes
+ * (v10 migration, runs inside the upgrade transaction)
+ */
+async function migrateCurrencyCodes(transaction) {
+  for (const storeName of [STORES.SETTINGS, STORES.MONTHLY_ARCHIVES, STORES.ARCHIVE_REVISIONS]) {
+    let cursor = await transaction.objectStore(storeName).openCursor();
+    while (cursor) {
+      await cursor.update(currencyCodesIn(storeName, cursor.value));
+      cursor = await cursor.continue();
+    }
+  }
+}
+
+/**
+ * Backup data keys and the store each one fills
+ */
+const BACKUP_STORES = {
+  settings: STORES.SETTINGS,
+  fixedExpenses: STORES.FIXED_EXPENSES,
+  categories: STORES.CATEGORIES,
+  expenses: STORES.EXPENSES,
+  monthlyArchives: STORES.MONTHLY_ARCHIVES,
+  monthlyBudgets: STORES.MONTHLY_BUDGETS,
+  incomes: STORES.INCOMES,
+  sinkingFunds: STORES.SINKING_FUNDS,
+  goals: STORES.GOALS,
+  archiveRevisions: STORES.ARCHIVE_REVISIONS,
+  exchangeRates: STORES.EXCHANGE_RATES,
+  importProfiles: STORES.IMPORT_PROFILES
+};
+
+/**
+ * Apply a record migration to every record of a backup
+ * @param {Object} data - Backup data section
+ * @param {Function} migrate - Receives (storeName, record) and returns the new record
+ * @returns {Object} Migrated data
+ */
+function migrateBackupRecords(data, migrate) {
+  const converted = { ...data };
+  Object.entries(BACKUP_STORES).forEach(([key, storeName]) => {
+    const value = data[key];
+    if (Array.isArray(value)) {
+      converted[key] = value.map(record => migrate(storeName, record));
+    } else if (value) {
+      converted[key] = migrate(storeName, value);
+    }
+  });
+  return converted;
+}
+
+/**
+ * Turn the existing monthly income into a "Salario" income source
+ * (v5 migration, runs inside the upgrade transaction)
+ */
+async function seedIncomeSource(transaction) {
+  const [settings, plans] = await Promise.all([
+    transaction.objectStore(STORES.SETTINGS).get('main'),
+    transaction.objectStore(STORES.MONTHLY_BUDGETS).getAll()
+  ]);
+  
+  const month = getCurrentMonth();
+  const plan = plans
+    .filter(p => p.month <= month)
+    .sort((a, b) => b.month.localeCompare(a.month))[0];
+  const amount = plan?.monthlyIncome ?? settings?.monthlyIncome ?? 0;
+  
+  if (amount <= 0) return;
+  
+  const now = new Date().toISOString();
+  await transaction.objectStore(STORES.INCOMES).put({
+    ...INCOME_SCHEMA,
+    id: generateId(),
+    name: 'Salario',
+    amount,
+    received: {},
+    createdAt: now,
+    updatedAt: now
+  });
+}
+
 /**
  * Initialize default settings if they don't exist
  */
@@ -150,138 +562,1216 @@ export async function updateSettings(updates) {
   return updated;
 }
 
-// ==========================================
-// Fixed Expenses Operations
-// ==========================================
-
 /**
- * Get all fixed expenses sorted by order
+ * Change the day budget periods start on
+ * Live expenses move to their new period in the same transaction, and the
+ * pending month and the open period's plan follow the current period.
+ * The change is refused while a live expense would land in a closed period.
+ * @param {number} day - Start day (1-28)
+ * @returns {Promise<Object>} { updated } expense count
+ * @throws {Error} Naming the expenses that would land in a closed period
  */
-export async function getAllFixedExpenses() {
+export async function setPeriodStartDay(day) {
+  const startDay = Math.min(28, Math.max(1, parseInt(day) || 1));
   const db = await getDB();
-  const expenses = await db.getAll(STORES.FIXED_EXPENSES);
-  return expenses.sort((a, b) => (a.order || 0) - (b.order || 0));
+  const tx = db.transaction([STORES.SETTINGS, STORES.EXPENSES, STORES.MONTHLY_ARCHIVES, STORES.MONTHLY_BUDGETS], 'readwrite');
+  const now = new Date().toISOString();
+  const today = getTodayDate();
+  const oldCurrent = getMonthForDate(today, periodStartDay);
+  const newCurrent = getMonthForDate(today, startDay);
+  
+  const archived = new Set(await tx.objectStore(STORES.MONTHLY_ARCHIVES).getAllKeys());
+  const expenseStore = tx.objectStore(STORES.EXPENSES);
+  const expenses = await expenseStore.getAll();
+  const moves = expenses
+    .map(expense => ({ expense, month: getMonthForDate(expense.date, startDay) }))
+    .filter(({ expense, month }) => month !== expense.month);
+  
+  // Closed periods can't take new expenses, so don't leave any behind with a stale month
+  const blocked = moves.filter(({ month }) => archived.has(month));
+  if (blocked.length > 0 || archived.has(newCurrent)) {
+    const listed = blocked.slice(0, 3)
+      .map(({ expense, month }) => `${expense.description || 'Sin descripción'} (${expense.date} → ${month})`)
+      .join(', ');
+    throw new Error(blocked.length > 0
+      ? `${blocked.length} gasto(s) quedarían en un mes cerrado: ${listed}${blocked.length > 3 ? '…' : ''}. Reabre ese mes o mueve los gastos antes de cambiar el inicio del periodo.`
+      : `El periodo actual quedaría en ${newCurrent}, que ya está cerrado.`);
+  }
+  
+  for (const { expense, month } of moves) {
+    await expenseStore.put({ ...expense, month, updatedAt: now });
+  }
+  
+  // When the current period moves back, its plan moves with it
+  const budgetStore = tx.objectStore(STORES.MONTHLY_BUDGETS);
+  if (newCurrent < oldCurrent && !await budgetStore.get(newCurrent)) {
+    const plan = await budgetStore.get(oldCurrent);
+    if (plan) {
+      await budgetStore.put({ ...plan, id: newCurrent, month: newCurrent, updatedAt: now });
+      await budgetStore.delete(oldCurrent);
+    }
+  }
+  
+  // The pending month is the oldest open period that still holds expenses
+  const settingsStore = tx.objectStore(STORES.SETTINGS);
+  const settings = await settingsStore.get('main');
+  const liveMonths = expenses.map(expense => getMonthForDate(expense.date, startDay));
+  const currentMonth = [settings?.currentMonth, newCurrent, ...liveMonths]
+    .filter(month => month && !archived.has(month))
+    .sort()[0];
+  
+  await settingsStore.put({ ...settings, periodStartDay: startDay, currentMonth, updatedAt: now });
+  
+  await tx.done;
+  periodStartDay = startDay;
+  
+  return { updated: moves.length };
 }
 
+// ==========================================
+// Monthly Budget Operations
+// ==========================================
+
 /**
- * Create a fixed expense
+ * Get the budget plan for a month
+ * Months without a saved plan inherit the latest earlier plan,
+ * falling back to the global income and category limits
+ * @param {string} [month] - Month in YYYY-MM format (defaults to current)
+ * @returns {Promise<Object>} Budget plan
  */
-export async function createFixedExpense(data) {
+export async function getMonthlyBudget(month = null) {
   const db = await getDB();
-  const now = new Date().toISOString();
+  const targetMonth = month || getCurrentMonth();
   
-  // Get max order
-  const all = await db.getAll(STORES.FIXED_EXPENSES);
-  const maxOrder = all.reduce((max, item) => Math.max(max, item.order || 0), 0);
+  const saved = await db.get(STORES.MONTHLY_BUDGETS, targetMonth);
+  if (saved) {
+    return saved;
+  }
   
-  const expense = {
-    id: generateId(),
-    name: data.name?.trim() || '',
-    amount: parseFloat(data.amount) || 0,
-    order: maxOrder + 1,
-    createdAt: now,
-    updatedAt: now
-  };
+  const plans = await db.getAll(STORES.MONTHLY_BUDGETS);
+  const previous = plans
+    .filter(plan => plan.month < targetMonth)
+    .sort((a, b) => b.month.localeCompare(a.month))[0];
   
-  await db.add(STORES.FIXED_EXPENSES, expense);
-  return expense;
+  if (previous) {
+    return {
+      ...previous,
+      id: targetMonth,
+      month: targetMonth,
+      carryover: {}, // Carried balances belong only to the month they were closed into
+      createdAt: null,
+      updatedAt: null
+    };
+  }
+  
+  const settings = await getSettings();
+  return {
+    ...MONTHLY_BUDGET_SCHEMA,
+    id: targetMonth,
+    month: targetMonth,
+    monthlyIncome: settings?.monthlyIncome || 0,
+    allocations: {},
+    carryover: {}
+  };
 }
 
 /**
- * Update a fixed expense
+ * Save changes to a month's budget plan
+ * @param {string} month - Month in YYYY-MM format
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} Saved plan
  */
-export async function updateFixedExpense(id, updates) {
+export async function saveMonthlyBudget(month, updates) {
   const db = await getDB();
-  const current = await db.get(STORES.FIXED_EXPENSES, id);
-  
-  if (!current) {
-    throw new Error('Gasto fijo no encontrado');
-  }
+  const current = await getMonthlyBudget(month);
+  const now = new Date().toISOString();
   
   const updated = {
     ...current,
     ...updates,
-    updatedAt: new Date().toISOString()
+    id: current.month,
+    month: current.month,
+    createdAt: current.createdAt || now,
+    updatedAt: now
   };
   
-  await db.put(STORES.FIXED_EXPENSES, updated);
+  await db.put(STORES.MONTHLY_BUDGETS, updated);
   return updated;
 }
 
 /**
- * Delete a fixed expense
+ * Set a category's allocation in a month's budget plan
+ * @param {string} month - Month in YYYY-MM format
+ * @param {string} categoryId - Category ID
+ * @param {number} amount - Allocated amount
  */
-export async function deleteFixedExpense(id) {
-  const db = await getDB();
-  await db.delete(STORES.FIXED_EXPENSES, id);
+export async function setCategoryAllocation(month, categoryId, amount) {
+  const plan = await getMonthlyBudget(month);
+  return saveMonthlyBudget(plan.month, {
+    allocations: {
+      ...plan.allocations,
+      [categoryId]: money.normalize(amount)
+    }
+  });
 }
 
 /**
- * Reorder fixed expenses
- * @param {Array} orderedIds - Array of IDs in new order
+ * Get all categories with their budgetLimit taken from a month's plan
+ * `carried` is the balance rolled over from the previous month and
+ * `available` the total that can be spent (budgetLimit + carried)
+ * @param {string} [month] - Month in YYYY-MM format (defaults to current)
+ * @returns {Promise<Array>} Categories sorted by order
  */
-export async function reorderFixedExpenses(orderedIds) {
-  const db = await getDB();
-  const tx = db.transaction(STORES.FIXED_EXPENSES, 'readwrite');
-  const store = tx.objectStore(STORES.FIXED_EXPENSES);
-  
-  for (let i = 0; i < orderedIds.length; i++) {
-    const item = await store.get(orderedIds[i]);
-    if (item) {
-      item.order = i;
-      item.updatedAt = new Date().toISOString();
-      await store.put(item);
-    }
-  }
+export async function getCategoriesForMonth(month = null) {
+  const [categories, plan] = await Promise.all([
+    getAllCategories(),
+    getMonthlyBudget(month)
+  ]);
   
-  await tx.done;
+  return categories.map(cat => {
+    const budgetLimit = plan.allocations?.[cat.id] ?? cat.budgetLimit;
+    const carried = plan.carryover?.[cat.id] || 0;
+    return {
+      ...cat,
+      budgetLimit,
+      carried,
+      available: budgetLimit + carried
+    };
+  });
 }
 
-// ==========================================
-// Categories Operations
-// ==========================================
-
 /**
- * Get all categories sorted by order
+ * Calculate how much of a category's balance rolls into the next month
+ * @param {string} [mode] - Category rollover mode
+ * @param {number} remaining - Balance left at month close (negative if overspent)
+ * @returns {number} Amount to carry (0 when nothing rolls over)
  */
-export async function getAllCategories() {
-  const db = await getDB();
-  const categories = await db.getAll(STORES.CATEGORIES);
-  return categories.sort((a, b) => (a.order || 0) - (b.order || 0));
+export function calculateRollover(mode, remaining) {
+  if (mode === 'surplus') return Math.max(0, remaining);
+  if (mode === 'deficit') return Math.min(0, remaining);
+  return 0;
 }
 
+// ==========================================
+// Income Operations
+// ==========================================
+
 /**
- * Get a single category by ID
+ * Get all income sources sorted by order
  */
-export async function getCategory(id) {
+export async function getAllIncomes() {
   const db = await getDB();
-  return db.get(STORES.CATEGORIES, id);
+  const incomes = await db.getAll(STORES.INCOMES);
+  return incomes.sort((a, b) => (a.order || 0) - (b.order || 0));
 }
 
 /**
- * Create a category
+ * Create an income source
  */
-export async function createCategory(data) {
+export async function createIncome(data) {
   const db = await getDB();
   const now = new Date().toISOString();
   
   // Get max order
-  const all = await db.getAll(STORES.CATEGORIES);
+  const all = await db.getAll(STORES.INCOMES);
   const maxOrder = all.reduce((max, item) => Math.max(max, item.order || 0), 0);
   
-  const category = {
+  const income = {
     id: generateId(),
     name: data.name?.trim() || '',
-    budgetLimit: parseFloat(data.budgetLimit) || 0,
-    color: data.color || '#00d4aa',
-    icon: data.icon || null,
+    amount: money.normalize(data.amount),
+    payDay: Math.min(31, Math.max(1, parseInt(data.payDay) || 31)),
+    frequency: data.frequency === 'annual' ? 'annual' : 'monthly',
+    payMonth: data.frequency === 'annual' 
+      ? Math.min(12, Math.max(1, parseInt(data.payMonth) || 12)) 
+      : null,
+    distribution: data.distribution === 'spread' ? 'spread' : 'lump',
+    received: {},
     order: maxOrder + 1,
     createdAt: now,
     updatedAt: now
   };
   
-  await db.add(STORES.CATEGORIES, category);
-  return category;
+  await db.add(STORES.INCOMES, income);
+  return income;
+}
+
+/**
+ * Update an income source
+ */
+export async function updateIncome(id, updates) {
+  const db = await getDB();
+  const current = await db.get(STORES.INCOMES, id);
+  
+  if (!current) {
+    throw new Error('Ingreso no encontrado');
+  }
+  
+  const updated = {
+    ...current,
+    ...updates,
+    updatedAt: new Date().toISOString()
+  };
+  
+  await db.put(STORES.INCOMES, updated);
+  return updated;
+}
+
+/**
+ * Delete an income source
+ */
+export async function deleteIncome(id) {
+  const db = await getDB();
+  await db.delete(STORES.INCOMES, id);
+}
+
+/**
+ * Mark an income source as received (or not) for a month
+ * @param {string} id - Income ID
+ * @param {string} month - Month in YYYY-MM format
+ * @param {boolean} received - Whether the money arrived
+ */
+export async function setIncomeReceived(id, month, received) {
+  const db = await getDB();
+  const current = await db.get(STORES.INCOMES, id);
+  
+  if (!current) {
+    throw new Error('Ingreso no encontrado');
+  }
+  
+  const receivedMonths = { ...current.received };
+  if (received) {
+    receivedMonths[month] = new Date().toISOString();
+  } else {
+    delete receivedMonths[month];
+  }
+  
+  return updateIncome(id, { received: receivedMonths });
+}
+
+/**
+ * Get the pay date of an income source in a budget period
+ * Pay days past the end of a calendar month fall on its last day;
+ * with a custom period start, pay days on or after it fall in the previous month.
+ * @param {string} month - Period in YYYY-MM format
+ * @param {number} payDay - Day of the month
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+export function getPayDate(month, payDay) {
+  const calendarMonth = periodStartDay > 1 && payDay >= periodStartDay 
+    ? getPreviousMonth(month) 
+    : month;
+  const [year, monthNum] = calendarMonth.split('-').map(Number);
+  const lastDay = new Date(year, monthNum, 0).getDate();
+  const day = Math.min(payDay || lastDay, lastDay);
+  return `${calendarMonth}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Get how much of an income source counts toward a month
+ * Annual income counts in full in its month (lump) or a twelfth every month (spread)
+ * @param {Object} income - Income source
+ * @param {string} month - Month in YYYY-MM format
+ * @returns {number} Amount budgeted for the month (0 if it does not apply)
+ */
+export function getIncomeAmountForMonth(income, month) {
+  if (income.frequency !== 'annual') {
+    return income.amount;
+  }
+  
+  if (income.distribution === 'spread') {
+    return money.divide(income.amount, 12);
+  }
+  
+  return Number(month.split('-')[1]) === income.payMonth ? income.amount : 0;
+}
+
+/**
+ * Get expected and received income for a month
+ * Without income sources the month's plan income is used (and counted as received).
+ * Spread annual income is a virtual contribution, so it always counts as received.
+ * @param {string} [month] - Month in YYYY-MM format (defaults to current)
+ * @returns {Promise<Object>} { expected, received, regular, irregular, sources }
+ */
+export async function getIncomeForMonth(month = null) {
+  const targetMonth = month || getCurrentMonth();
+  const [incomes, plan] = await Promise.all([
+    getAllIncomes(),
+    getMonthlyBudget(targetMonth)
+  ]);
+  
+  if (incomes.length === 0) {
+    const planned = plan.monthlyIncome || 0;
+    return { expected: planned, received: planned, regular: planned, irregular: 0, sources: [] };
+  }
+  
+  const [year] = targetMonth.split('-');
+  const sources = incomes
+    .map(income => {
+      const isIrregular = income.frequency === 'annual';
+      const isSpread = isIrregular && income.distribution === 'spread';
+      const payMonth = isIrregular 
+        ? `${year}-${String(income.payMonth).padStart(2, '0')}` 
+        : targetMonth;
+      
+      return {
+        ...income,
+        budgetedAmount: getIncomeAmountForMonth(income, targetMonth),
+        payDate: getPayDate(payMonth, income.payDay),
+        isIrregular,
+        isSpread,
+        isReceived: isSpread || !!income.received?.[targetMonth]
+      };
+    })
+    .filter(source => source.budgetedAmount > 0)
+    .sort((a, b) => a.payDate.localeCompare(b.payDate));
+  
+  const sum = (list) => money.sumBy(list, 'budgetedAmount');
+  
+  return {
+    expected: sum(sources),
+    received: sum(sources.filter(s => s.isReceived)),
+    regular: sum(sources.filter(s => !s.isIrregular)),
+    irregular: sum(sources.filter(s => s.isIrregular)),
+    sources
+  };
+}
+
+// ==========================================
+// Fixed Expenses Operations
+// ==========================================
+
+/**
+ * Get all fixed expenses sorted by order
+ */
+export async function getAllFixedExpenses() {
+  const db = await getDB();
+  const expenses = await db.getAll(STORES.FIXED_EXPENSES);
+  return expenses.sort((a, b) => (a.order || 0) - (b.order || 0));
+}
+
+/**
+ * Create a fixed expense
+ */
+export async function createFixedExpense(data) {
+  const db = await getDB();
+  const now = new Date().toISOString();
+  
+  // Get max order
+  const all = await db.getAll(STORES.FIXED_EXPENSES);
+  const maxOrder = all.reduce((max, item) => Math.max(max, item.order || 0), 0);
+  
+  const expense = {
+    id: generateId(),
+    name: data.name?.trim() || '',
+    amount: money.normalize(data.amount),
+    order: maxOrder + 1,
+    createdAt: now,
+    updatedAt: now
+  };
+  
+  await db.add(STORES.FIXED_EXPENSES, expense);
+  return expense;
+}
+
+/**
+ * Update a fixed expense
+ */
+export async function updateFixedExpense(id, updates) {
+  const db = await getDB();
+  const current = await db.get(STORES.FIXED_EXPENSES, id);
+  
+  if (!current) {
+    throw new Error('Gasto fijo no encontrado');
+  }
+  
+  const updated = {
+    ...current,
+    ...updates,
+    updatedAt: new Date().toISOString()
+  };
+  
+  await db.put(STORES.FIXED_EXPENSES, updated);
+  return updated;
+}
+
+/**
+ * Delete a fixed expense
+ */
+export async function deleteFixedExpense(id) {
+  const db = await getDB();
+  await db.delete(STORES.FIXED_EXPENSES, id);
+}
+
+/**
+ * Reorder fixed expenses
+ * @param {Array} orderedIds - Array of IDs in new order
+ */
+export async function reorderFixedExpenses(orderedIds) {
+  const db = await getDB();
+  const tx = db.transaction(STORES.FIXED_EXPENSES, 'readwrite');
+  const store = tx.objectStore(STORES.FIXED_EXPENSES);
+  
+  for (let i = 0; i < orderedIds.length; i++) {
+    const item = await store.get(orderedIds[i]);
+    if (item) {
+      item.order = i;
+      item.updatedAt = new Date().toISOString();
+      await store.put(item);
+    }
+  }
+  
+  await tx.done;
+}
+
+// ==========================================
+// Sinking Funds Operations
+// ==========================================
+
+/**
+ * Get all sinking funds sorted by due date
+ */
+export async function getAllSinkingFunds() {
+  const db = await getDB();
+  const funds = await db.getAll(STORES.SINKING_FUNDS);
+  return funds.sort((a, b) => (a.dueDate || '').localeCompare(b.dueDate || ''));
+}
+
+/**
+ * Create a sinking fund
+ */
+export async function createSinkingFund(data) {
+  const db = await getDB();
+  const now = new Date().toISOString();
+  
+  // Get max order
+  const all = await db.getAll(STORES.SINKING_FUNDS);
+  const maxOrder = all.reduce((max, item) => Math.max(max, item.order || 0), 0);
+  
+  const fund = {
+    id: generateId(),
+    name: data.name?.trim() || '',
+    targetAmount: money.normalize(data.targetAmount),
+    dueDate: data.dueDate,
+    intervalMonths: parseInt(data.intervalMonths) || 0,
+    balance: money.normalize(data.balance),
+    order: maxOrder + 1,
+    createdAt: now,
+    updatedAt: now
+  };
+  
+  await db.add(STORES.SINKING_FUNDS, fund);
+  return fund;
+}
+
+/**
+ * Update a sinking fund
+ */
+export async function updateSinkingFund(id, updates) {
+  const db = await getDB();
+  const current = await db.get(STORES.SINKING_FUNDS, id);
+  
+  if (!current) {
+    throw new Error('Fondo no encontrado');
+  }
+  
+  const updated = {
+    ...current,
+    ...updates,
+    updatedAt: new Date().toISOString()
+  };
+  
+  await db.put(STORES.SINKING_FUNDS, updated);
+  return updated;
+}
+
+/**
+ * Delete a sinking fund
+ */
+export async function deleteSinkingFund(id) {
+  const db = await getDB();
+  await db.delete(STORES.SINKING_FUNDS, id);
+}
+
+/**
+ * Calculate a sinking fund's contribution for a month
+ * What is missing is split evenly over the months left, including the due month.
+ * Overdue funds ask for everything that is missing.
+ * @param {Object} fund - Sinking fund
+ * @param {string} month - Month in YYYY-MM format
+ * @returns {number} Monthly contribution
+ */
+export function getSinkingFundContribution(fund, month) {
+  const missing = Math.max(0, fund.targetAmount - (fund.balance || 0));
+  if (missing === 0 || !fund.dueDate) return 0;
+  
+  const monthsLeft = Math.max(1, getMonthsBetween(month, getMonthForDate(fund.dueDate)) + 1);
+  return money.divide(missing, monthsLeft, 'ceil');
+}
+
+/**
+ * Get sinking funds with their contribution for a month
+ * @param {string} [month] - Month in YYYY-MM format (defaults to current)
+ * @returns {Promise<Object>} { total, funds }
+ */
+export async function getSinkingFundsForMonth(month = null) {
+  const targetMonth = month || getCurrentMonth();
+  const funds = (await getAllSinkingFunds()).map(fund => ({
+    ...fund,
+    balance: fund.balance || 0,
+    contribution: getSinkingFundContribution(fund, targetMonth),
+    percentage: money.percentage(fund.balance || 0, fund.targetAmount)
+  }));
+  
+  return {
+    total: money.sumBy(funds, 'contribution'),
+    funds
+  };
+}
+
+/**
+ * Pay the expense a sinking fund was saving for
+ * The amount leaves the balance and recurring funds move to their next due date;
+ * one-time funds are removed.
+ * @param {string} id - Sinking fund ID
+ * @param {number} amount - Amount paid
+ */
+export async function paySinkingFund(id, amount) {
+  const db = await getDB();
+  const fund = await db.get(STORES.SINKING_FUNDS, id);
+  
+  if (!fund) {
+    throw new Error('Fondo no encontrado');
+  }
+  
+  if (!fund.intervalMonths) {
+    await deleteSinkingFund(id);
+    return null;
+  }
+  
+  const [year, monthNum, day] = fund.dueDate.split('-').map(Number);
+  const next = new Date(year, monthNum - 1 + fund.intervalMonths, 1);
+  const lastDay = new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate();
+  const nextDueDate = `${next.getFullYear()}-${String(next.getMonth() + 1).padStart(2, '0')}-${String(Math.min(day, lastDay)).padStart(2, '0')}`;
+  
+  return updateSinkingFund(id, {
+    balance: Math.max(0, (fund.balance || 0) - money.normalize(amount)),
+    dueDate: nextDueDate
+  });
+}
+
+// ==========================================
+// Exchange Rate Operations
+// ==========================================
+
+/**
+ * Get all exchange rates, newest effective date first
+ */
+export async function getAllExchangeRates() {
+  const db = await getDB();
+  const rates = await db.getAll(STORES.EXCHANGE_RATES);
+  return rates.sort((a, b) => 
+    a.currency.localeCompare(b.currency) || b.effectiveDate.localeCompare(a.effectiveDate)
+  );
+}
+
+/**
+ * Create an exchange rate
+ * @param {Object} data - { currency, rate, effectiveDate }
+ */
+export async function createExchangeRate(data) {
+  const db = await getDB();
+  const now = new Date().toISOString();
+  
+  const rate = {
+    id: generateId(),
+    currency: data.currency,
+    rate: parseFloat(data.rate) || 0,
+    effectiveDate: data.effectiveDate || getTodayDate(),
+    createdAt: now,
+    updatedAt: now
+  };
+  
+  await db.add(STORES.EXCHANGE_RATES, rate);
+  return rate;
+}
+
+/**
+ * Update an exchange rate
+ * Expenses already saved keep the rate they were converted with
+ */
+export async function updateExchangeRate(id, updates) {
+  const db = await getDB();
+  const current = await db.get(STORES.EXCHANGE_RATES, id);
+  
+  if (!current) {
+    throw new Error('Tipo de cambio no encontrado');
+  }
+  
+  const updated = {
+    ...current,
+    ...updates,
+    updatedAt: new Date().toISOString()
+  };
+  
+  await db.put(STORES.EXCHANGE_RATES, updated);
+  return updated;
+}
+
+/**
+ * Delete an exchange rate
+ */
+export async function deleteExchangeRate(id) {
+  const db = await getDB();
+  await db.delete(STORES.EXCHANGE_RATES, id);
+}
+
+/**
+ * Get the rate of a currency effective on a date
+ * @param {string} currency - ISO 4217 code
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Promise<Object|null>} Latest rate effective on or before the date
+ */
+export async function getExchangeRate(currency, date) {
+  const db = await getDB();
+  const rates = await db.getAllFromIndex(STORES.EXCHANGE_RATES, 'currency', currency);
+  return rates
+    .filter(r => r.effectiveDate <= date)
+    .sort((a, b) => b.effectiveDate.localeCompare(a.effectiveDate))[0] || null;
+}
+
+/**
+ * Work out the stored amount of an expense
+ * `amount` is in the currency it was paid in; other currencies than the budget's
+ * are converted with the rate effective on the expense date and the original is kept.
+ * @param {Object} data - { amount, currency, date } with amount in minor units
+ * @param {string} budgetCurrency - ISO 4217 code of the budget
+ * @returns {Promise<Object>} { amount, originalCurrency, originalAmount, exchangeRate }
+ */
+async function convertExpenseAmount({ amount, currency, date }, budgetCurrency) {
+  const paid = money.normalize(amount);
+  
+  if (!currency || currency === budgetCurrency) {
+    return { amount: paid, originalCurrency: null, originalAmount: null, exchangeRate: null };
+  }
+  
+  const rate = await getExchangeRate(currency, date);
+  if (!rate) {
+    throw new Error(`No hay tipo de cambio de ${currency} vigente al ${date}. Agrégalo en Ajustes.`);
+  }
+  
+  return {
+    amount: money.multiply(paid, rate.rate),
+    originalCurrency: currency,
+    originalAmount: paid,
+    exchangeRate: rate.rate
+  };
+}
+
+/**
+ * Merge expense updates, converting again when the amount, currency or date changes
+ * @param {Object} current - Stored expense
+ * @param {Object} updates - Fields to change (amount in the paid currency)
+ * @param {string} budgetCurrency - ISO 4217 code of the budget
+ * @returns {Promise<Object>} Updated expense
+ */
+async function applyExpenseUpdates(current, updates, budgetCurrency) {
+  const { currency, ...changes } = updates;
+  const paidCurrency = currency !== undefined ? currency : current.originalCurrency;
+  const needsConversion = changes.amount !== undefined || 
+    currency !== undefined || 
+    (changes.date && current.originalCurrency);
+  
+  if (!needsConversion) {
+    return { ...current, ...changes };
+  }
+  
+  const conversion = await convertExpenseAmount({
+    amount: changes.amount ?? current.originalAmount ?? current.amount,
+    currency: paidCurrency,
+    date: changes.date || current.date
+  }, budgetCurrency);
+  
+  return { ...current, ...changes, ...conversion };
+}
+
+/**
+ * Get the budget currency from settings
+ */
+async function getBudgetCurrency() {
+  const settings = await getSettings();
+  return settings?.currency || DEFAULT_CURRENCY;
+}
+
+// ==========================================
+// Import Profile Operations
+// ==========================================
+
+/**
+ * Get all saved import profiles, sorted by name
+ */
+export async function getAllImportProfiles() {
+  const db = await getDB();
+  const profiles = await db.getAll(STORES.IMPORT_PROFILES);
+  return profiles.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Create an import profile
+ * @param {Object} data - Mapping fields from IMPORT_PROFILE_SCHEMA
+ */
+export async function createImportProfile(data) {
+  const db = await getDB();
+  const now = new Date().toISOString();
+  
+  const profile = {
+    ...IMPORT_PROFILE_SCHEMA,
+    ...data,
+    id: generateId(),
+    name: data.name?.trim() || '',
+    createdAt: now,
+    updatedAt: now
+  };
+  
+  await db.add(STORES.IMPORT_PROFILES, profile);
+  return profile;
+}
+
+/**
+ * Update an import profile
+ */
+export async function updateImportProfile(id, updates) {
+  const db = await getDB();
+  const current = await db.get(STORES.IMPORT_PROFILES, id);
+  
+  if (!current) {
+    throw new Error('Perfil de importación no encontrado');
+  }
+  
+  const updated = {
+    ...current,
+    ...updates,
+    updatedAt: new Date().toISOString()
+  };
+  
+  await db.put(STORES.IMPORT_PROFILES, updated);
+  return updated;
+}
+
+/**
+ * Delete an import profile
+ */
+export async function deleteImportProfile(id) {
+  const db = await getDB();
+  await db.delete(STORES.IMPORT_PROFILES, id);
+}
+
+// ==========================================
+// Base Currency Operations
+// ==========================================
+
+/**
+ * Stores rewritten when the base currency changes
+ * Archives are left out: they keep the currency they were closed in
+ */
+const BASE_CURRENCY_STORES = [
+  STORES.SETTINGS,
+  STORES.INCOMES,
+  STORES.FIXED_EXPENSES,
+  STORES.CATEGORIES,
+  STORES.MONTHLY_BUDGETS,
+  STORES.SINKING_FUNDS,
+  STORES.GOALS,
+  STORES.EXPENSES,
+  STORES.EXCHANGE_RATES
+];
+
+/**
+ * Round an exchange rate to the precision the rate form accepts
+ */
+function roundRate(rate) {
+  return Math.round(rate * 10000) / 10000;
+}
+
+/**
+ * Move a live expense to the new base currency
+ * Expenses paid in the new currency get their original amount back;
+ * the rest remember what they cost in the old base currency.
+ * @param {Object} expense - Stored expense
+ * @param {Object} change - { from, to, rate, now }
+ * @returns {Object} Converted expense
+ */
+function rebaseExpense(expense, { from, to, rate, now }) {
+  if (expense.originalCurrency === to) {
+    return {
+      ...expense,
+      amount: expense.originalAmount,
+      originalCurrency: null,
+      originalAmount: null,
+      exchangeRate: null,
+      updatedAt: now
+    };
+  }
+  
+  const amount = money.divide(expense.amount, rate);
+  if (expense.originalCurrency) {
+    return { ...expense, amount, exchangeRate: roundRate(expense.exchangeRate / rate), updatedAt: now };
+  }
+  
+  return {
+    ...expense,
+    amount,
+    originalCurrency: from,
+    originalAmount: expense.amount,
+    exchangeRate: roundRate(1 / rate),
+    updatedAt: now
+  };
+}
+
+/**
+ * Work out a base currency change without writing anything
+ * `rate` is the value of 1 unit of the new currency in the current one,
+ * the same way exchange rates are stored.
+ * @param {string} currency - ISO 4217 code of the new base currency
+ * @param {number} [rate] - Current-currency units per new-currency unit
+ * @returns {Promise<Object>} { from, to, rate, isEmpty, lines, counts, records, deletedRateIds }
+ */
+export async function previewBaseCurrencyChange(currency, rate = 1) {
+  const factor = parseFloat(rate);
+  if (!(factor > 0)) {
+    throw new Error('El tipo de cambio debe ser mayor que cero');
+  }
+  
+  const db = await getDB();
+  const from = await getBudgetCurrency();
+  const to = money.toCurrencyCode(currency);
+  const month = getCurrentMonth();
+  const now = new Date().toISOString();
+  const change = { from, to, rate: factor, now };
+  const convert = (amount) => money.divide(amount, factor);
+  const convertStore = async (storeName) => {
+    const records = await db.getAll(storeName);
+    return records.map(record => ({ ...mapAmounts(storeName, record, convert), updatedAt: now }));
+  };
+  
+  const [settings, categoriesForMonth, fixedExpenses, incomes, categories, monthlyBudgets, sinkingFunds, goals, expenses, exchangeRates] =
+    await Promise.all([
+      getSettings(),
+      getCategoriesForMonth(month),
+      db.getAll(STORES.FIXED_EXPENSES),
+      db.getAll(STORES.INCOMES),
+      convertStore(STORES.CATEGORIES),
+      convertStore(STORES.MONTHLY_BUDGETS),
+      convertStore(STORES.SINKING_FUNDS),
+      convertStore(STORES.GOALS),
+      db.getAll(STORES.EXPENSES),
+      db.getAll(STORES.EXCHANGE_RATES)
+    ]);
+  
+  // Rates are re-expressed in the new currency; the old one becomes a foreign rate
+  const deletedRateIds = exchangeRates.filter(r => r.currency === to).map(r => r.id);
+  const rebasedRates = exchangeRates
+    .filter(r => r.currency !== to)
+    .map(r => ({ ...r, rate: roundRate(r.rate / factor), updatedAt: now }));
+  if (from !== to) {
+    rebasedRates.push({
+      id: generateId(),
+      currency: from,
+      rate: roundRate(1 / factor),
+      effectiveDate: getTodayDate(),
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+  
+  const rebasedIncomes = incomes.map(income => ({
+    ...mapAmounts(STORES.INCOMES, income, convert),
+    updatedAt: now
+  }));
+  const rebasedFixedExpenses = fixedExpenses.map(fixed => ({
+    ...mapAmounts(STORES.FIXED_EXPENSES, fixed, convert),
+    updatedAt: now
+  }));
+  const rebasedExpenses = expenses.map(expense => rebaseExpense(expense, change));
+  const monthExpenses = expenses.filter(e => e.month === month);
+  const rebasedMonthExpenses = rebasedExpenses.filter(e => e.month === month);
+  
+  const lines = [
+    {
+      label: 'Ingresos',
+      before: money.sumBy(incomes, 'amount'),
+      after: money.sumBy(rebasedIncomes, 'amount')
+    },
+    {
+      label: 'Gastos fijos',
+      before: money.sumBy(fixedExpenses, 'amount'),
+      after: money.sumBy(rebasedFixedExpenses, 'amount')
+    },
+    {
+      label: 'Límites de categorías',
+      before: money.sumBy(categoriesForMonth, 'budgetLimit'),
+      after: money.sumBy(categoriesForMonth, cat => convert(cat.budgetLimit))
+    },
+    {
+      label: 'Gastos del mes',
+      before: money.sumBy(monthExpenses, 'amount'),
+      after: money.sumBy(rebasedMonthExpenses, 'amount')
+    }
+  ];
+  
+  const records = {
+    [STORES.SETTINGS]: [{
+      ...mapAmounts(STORES.SETTINGS, settings, convert),
+      currency: to,
+      updatedAt: now
+    }],
+    [STORES.INCOMES]: rebasedIncomes,
+    [STORES.FIXED_EXPENSES]: rebasedFixedExpenses,
+    [STORES.CATEGORIES]: categories,
+    [STORES.MONTHLY_BUDGETS]: monthlyBudgets,
+    [STORES.SINKING_FUNDS]: sinkingFunds,
+    [STORES.GOALS]: goals,
+    [STORES.EXPENSES]: rebasedExpenses,
+    [STORES.EXCHANGE_RATES]: rebasedRates
+  };
+  
+  const hasAmounts = (storeName) => records[storeName].some(record => 
+    (AMOUNT_FIELDS[storeName] || []).some(field => record[field])
+  );
+  
+  return {
+    from,
+    to,
+    rate: factor,
+    // Any plan or rate needs the rebase path, even without amounts elsewhere
+    isEmpty: expenses.length === 0 && monthlyBudgets.length === 0 && exchangeRates.length === 0 && ![
+      STORES.SETTINGS,
+      STORES.INCOMES,
+      STORES.FIXED_EXPENSES,
+      STORES.CATEGORIES,
+      STORES.SINKING_FUNDS,
+      STORES.GOALS
+    ].some(hasAmounts),
+    lines,
+    counts: {
+      fixedExpenses: fixedExpenses.length,
+      categories: categories.length,
+      expenses: expenses.length,
+      exchangeRates: exchangeRates.length
+    },
+    records,
+    deletedRateIds
+  };
+}
+
+/**
+ * Change the base currency, converting every live amount with one rate
+ * Everything is rewritten in a single transaction; archives are not touched.
+ * @param {string} currency - ISO 4217 code of the new base currency
+ * @param {number} rate - Current-currency units per new-currency unit
+ * @returns {Promise<Object>} The applied preview
+ */
+export async function changeBaseCurrency(currency, rate) {
+  const preview = await previewBaseCurrencyChange(currency, rate);
+  
+  if (preview.from === preview.to) {
+    return preview;
+  }
+  
+  const db = await getDB();
+  const tx = db.transaction(BASE_CURRENCY_STORES, 'readwrite');
+  
+  for (const storeName of BASE_CURRENCY_STORES) {
+    const store = tx.objectStore(storeName);
+    for (const record of preview.records[storeName]) {
+      await store.put(record);
+    }
+  }
+  
+  const rateStore = tx.objectStore(STORES.EXCHANGE_RATES);
+  for (const id of preview.deletedRateIds) {
+    await rateStore.delete(id);
+  }
+  
+  await tx.done;
+  return preview;
+}
+
+// ==========================================
+// Savings Goals Operations
+// ==========================================
+
+/**
+ * Get all savings goals sorted by order
+ */
+export async function getAllGoals() {
+  const db = await getDB();
+  const goals = await db.getAll(STORES.GOALS);
+  return goals.sort((a, b) => (a.order || 0) - (b.order || 0));
+}
+
+/**
+ * Create a savings goal
+ */
+export async function createGoal(data) {
+  const db = await getDB();
+  const now = new Date().toISOString();
+  
+  // Get max order
+  const all = await db.getAll(STORES.GOALS);
+  const maxOrder = all.reduce((max, item) => Math.max(max, item.order || 0), 0);
+  
+  const goal = {
+    id: generateId(),
+    name: data.name?.trim() || '',
+    targetAmount: money.normalize(data.targetAmount),
+    deadline: data.deadline || null,
+    monthlyContribution: money.normalize(data.monthlyContribution),
+    initialBalance: money.normalize(data.initialBalance),
+    color: data.color || '#22c55e',
+    order: maxOrder + 1,
+    createdAt: now,
+    updatedAt: now
+  };
+  
+  await db.add(STORES.GOALS, goal);
+  return goal;
+}
+
+/**
+ * Update a savings goal
+ */
+export async function updateGoal(id, updates) {
+  const db = await getDB();
+  const current = await db.get(STORES.GOALS, id);
+  
+  if (!current) {
+    throw new Error('Meta no encontrada');
+  }
+  
+  const updated = {
+    ...current,
+    ...updates,
+    updatedAt: new Date().toISOString()
+  };
+  
+  await db.put(STORES.GOALS, updated);
+  return updated;
+}
+
+/**
+ * Delete a savings goal
+ * Archived contributions stay in their archives
+ */
+export async function deleteGoal(id) {
+  const db = await getDB();
+  await db.delete(STORES.GOALS, id);
+}
+
+/**
+ * Get each goal's balance: initial balance plus contributions of archived months
+ * @param {string} [beforeMonth] - Only count archives before this month
+ * @returns {Promise<Object>} Map of goal ID to balance
+ */
+export async function getGoalBalances(beforeMonth = null) {
+  const [goals, archives] = await Promise.all([
+    getAllGoals(),
+    getAllArchives()
+  ]);
+  
+  const balances = {};
+  goals.forEach(goal => {
+    balances[goal.id] = goal.initialBalance || 0;
+  });
+  
+  archives
+    .filter(archive => !beforeMonth || archive.month < beforeMonth)
+    .forEach(archive => {
+      (archive.goals || []).forEach(goal => {
+        if (balances[goal.id] !== undefined) {
+          balances[goal.id] += goal.contribution || 0;
+        }
+      });
+    });
+  
+  return balances;
+}
+
+/**
+ * Get savings goals with their contribution for a month
+ * Contributions stop once a goal reaches its target
+ * @param {string} [month] - Month in YYYY-MM format (defaults to current)
+ * @returns {Promise<Object>} { total, goals }
+ */
+export async function getGoalsForMonth(month = null) {
+  const targetMonth = month || getCurrentMonth();
+  const [goals, balances] = await Promise.all([
+    getAllGoals(),
+    getGoalBalances(targetMonth)
+  ]);
+  
+  const withContribution = goals.map(goal => {
+    const balance = balances[goal.id] || 0;
+    const missing = Math.max(0, goal.targetAmount - balance);
+    return {
+      ...goal,
+      balance,
+      contribution: Math.min(goal.monthlyContribution || 0, missing)
+    };
+  });
+  
+  return {
+    total: money.sumBy(withContribution, 'contribution'),
+    goals: withContribution
+  };
+}
+
+// ==========================================
+// Categories Operations
+// ==========================================
+
+/**
+ * Get all categories sorted by order
+ */
+export async function getAllCategories() {
+  const db = await getDB();
+  const categories = await db.getAll(STORES.CATEGORIES);
+  return categories.sort((a, b) => (a.order || 0) - (b.order || 0));
+}
+
+/**
+ * Get a single category by ID
+ */
+export async function getCategory(id) {
+  const db = await getDB();
+  return db.get(STORES.CATEGORIES, id);
+}
+
+/**
+ * Create a category
+ */
+export async function createCategory(data) {
+  const db = await getDB();
+  const now = new Date().toISOString();
+  
+  // Get max order
+  const all = await db.getAll(STORES.CATEGORIES);
+  const maxOrder = all.reduce((max, item) => Math.max(max, item.order || 0), 0);
+  
+  const category = {
+    id: generateId(),
+    name: data.name?.trim() || '',
+    budgetLimit: money.normalize(data.budgetLimit),
+    color: data.color || '#00d4aa',
+    icon: data.icon || null,
+    rolloverMode: data.rolloverMode || 'reset',
+    order: maxOrder + 1,
+    createdAt: now,
+    updatedAt: now
+  };
+  
+  await db.add(STORES.CATEGORIES, category);
+  return category;
 }
 
 /**
@@ -372,20 +1862,25 @@ export async function getExpensesByCategory(categoryId, month = null) {
 
 /**
  * Create an expense
+ * Pass `currency` when it was paid in another currency than the budget's
  */
 export async function createExpense(data) {
   const db = await getDB();
   const now = new Date().toISOString();
   const expenseDate = data.date || now.split('T')[0];
-  const [year, month] = expenseDate.split('-');
+  const conversion = await convertExpenseAmount(
+    { amount: data.amount, currency: data.currency, date: expenseDate },
+    await getBudgetCurrency()
+  );
   
   const expense = {
     id: generateId(),
     categoryId: data.categoryId,
     description: data.description?.trim() || '',
-    amount: parseFloat(data.amount) || 0,
+    ...conversion,
+    importId: data.importId || null,
     date: expenseDate,
-    month: `${year}-${month}`,
+    month: getMonthForDate(expenseDate),
     createdAt: now,
     updatedAt: now
   };
@@ -406,15 +1901,15 @@ export async function updateExpense(id, updates) {
   }
   
   // Recalculate month if date changed
-  let month = current.month;
-  if (updates.date) {
-    const [year, m] = updates.date.split('-');
-    month = `${year}-${m}`;
+  const month = updates.date ? getMonthForDate(updates.date) : current.month;
+  
+  // Expenses of a closed month only live inside its archive
+  if (month !== current.month && await isMonthArchived(month)) {
+    throw new Error(`El mes ${month} ya fue cerrado. Elige otra fecha.`);
   }
   
   const updated = {
-    ...current,
-    ...updates,
+    ...await applyExpenseUpdates(current, updates, await getBudgetCurrency()),
     month,
     updatedAt: new Date().toISOString()
   };
@@ -436,27 +1931,32 @@ export async function deleteExpense(id) {
 // ==========================================
 
 /**
- * Get total fixed expenses
+ * Get total fixed expenses, including the month's sinking fund contributions
  */
-export async function getTotalFixedExpenses() {
-  const expenses = await getAllFixedExpenses();
-  return expenses.reduce((sum, e) => sum + e.amount, 0);
+export async function getTotalFixedExpenses(month = null) {
+  const [expenses, sinkingFunds] = await Promise.all([
+    getAllFixedExpenses(),
+    getSinkingFundsForMonth(month)
+  ]);
+  return money.sumBy(expenses, 'amount') + sinkingFunds.total;
 }
 
 /**
- * Get total budgeted amount (sum of category limits)
+ * Get total budgeted amount (sum of category limits for the month)
  */
-export async function getTotalBudgeted() {
-  const categories = await getAllCategories();
-  return categories.reduce((sum, c) => sum + c.budgetLimit, 0);
+export async function getTotalBudgeted(month = null) {
+  const categories = await getCategoriesForMonth(month);
+  return money.sumBy(categories, 'budgetLimit');
 }
 
 /**
  * Get spending summary for current month
+ * Amounts are in the budget currency; expenses paid in another currency
+ * keep originalAmount and originalCurrency for display
  */
 export async function getMonthlySpendingSummary(month = null) {
   const [categories, expenses] = await Promise.all([
-    getAllCategories(),
+    getCategoriesForMonth(month),
     getExpensesForMonth(month)
   ]);
   
@@ -465,7 +1965,7 @@ export async function getMonthlySpendingSummary(month = null) {
     categorySpending[cat.id] = {
       category: cat,
       spent: 0,
-      remaining: cat.budgetLimit,
+      remaining: cat.available,
       percentage: 0,
       expenses: []
     };
@@ -475,10 +1975,8 @@ export async function getMonthlySpendingSummary(month = null) {
     if (categorySpending[expense.categoryId]) {
       const catData = categorySpending[expense.categoryId];
       catData.spent += expense.amount;
-      catData.remaining = catData.category.budgetLimit - catData.spent;
-      catData.percentage = catData.category.budgetLimit > 0 
-        ? (catData.spent / catData.category.budgetLimit) * 100 
-        : 0;
+      catData.remaining = catData.category.available - catData.spent;
+      catData.percentage = money.percentage(catData.spent, catData.category.available);
       catData.expenses.push(expense);
     }
   });
@@ -493,12 +1991,32 @@ export async function getMonthlySpendingSummary(month = null) {
 export async function exportData() {
   const db = await getDB();
   
-  const [settings, fixedExpenses, categories, allExpenses, archives] = await Promise.all([
+  const [
+    settings, 
+    fixedExpenses, 
+    categories, 
+    allExpenses, 
+    archives, 
+    budgets, 
+    incomes, 
+    sinkingFunds, 
+    goals, 
+    archiveRevisions, 
+    exchangeRates, 
+    importProfiles
+  ] = await Promise.all([
     getSettings(),
     getAllFixedExpenses(),
     getAllCategories(),
     db.getAll(STORES.EXPENSES), // Get ALL expenses, not just current month
-    db.getAll(STORES.MONTHLY_ARCHIVES)
+    db.getAll(STORES.MONTHLY_ARCHIVES),
+    db.getAll(STORES.MONTHLY_BUDGETS),
+    getAllIncomes(),
+    getAllSinkingFunds(),
+    getAllGoals(),
+    db.getAll(STORES.ARCHIVE_REVISIONS),
+    getAllExchangeRates(),
+    getAllImportProfiles()
   ]);
   
   return {
@@ -510,74 +2028,618 @@ export async function exportData() {
       fixedExpenses,
       categories,
       expenses: allExpenses,
-      monthlyArchives: archives
+      monthlyArchives: archives,
+      monthlyBudgets: budgets,
+      incomes,
+      sinkingFunds,
+      goals,
+      archiveRevisions,
+      exchangeRates,
+      importProfiles
+    }
+  };
+}
+
+/**
+ * Import data from backup
+ * Supports retrocompatibility with old export formats:
+ * - v1: No monthlyArchives
+ * - v2+: With monthlyArchives
+ * - v4+: With monthlyBudgets (older backups fall back to global limits)
+ * - v5+: With incomes (older backups fall back to the plan's income)
+ * - v6+: With sinkingFunds
+ * - v7+: With goals
+ * - v8+: With archiveRevisions
+ * - v9+: Amounts in integer minor units (older backups are converted)
+ * - v10+: Currencies as ISO 4217 codes (older backups are converted)
+ * - v11+: With exchangeRates
+ * - v12+: With importProfiles
+ * - Ensures all expenses have proper month field
+ * Older versions go through BACKUP_MIGRATIONS and the result is validated
+ * against BACKUP_SCHEMA; nothing is written when a record is invalid.
+ * A snapshot of the current data is taken before replacing it.
+ */
+export async function importData(backup) {
+  const data = prepareBackupData(backup);
+  await takeSnapshot('import');
+  const db = await getDB();
+  
+  const { 
+    settings, 
+    fixedExpenses, 
+    categories, 
+    expenses, 
+    monthlyArchives, 
+    monthlyBudgets, 
+    incomes, 
+    sinkingFunds, 
+    goals, 
+    archiveRevisions, 
+    exchangeRates, 
+    importProfiles 
+  } = data;
+  const backupStartDay = settings?.periodStartDay || 1;
+  
+  // Clear existing data
+  const stores = [STORES.SETTINGS, STORES.FIXED_EXPENSES, STORES.CATEGORIES, STORES.EXPENSES];
+  if (db.objectStoreNames.contains(STORES.MONTHLY_ARCHIVES)) {
+    stores.push(STORES.MONTHLY_ARCHIVES);
+  }
+  if (db.objectStoreNames.contains(STORES.MONTHLY_BUDGETS)) {
+    stores.push(STORES.MONTHLY_BUDGETS);
+  }
+  if (db.objectStoreNames.contains(STORES.INCOMES)) {
+    stores.push(STORES.INCOMES);
+  }
+  if (db.objectStoreNames.contains(STORES.SINKING_FUNDS)) {
+    stores.push(STORES.SINKING_FUNDS);
+  }
+  if (db.objectStoreNames.contains(STORES.GOALS)) {
+    stores.push(STORES.GOALS);
+  }
+  if (db.objectStoreNames.contains(STORES.ARCHIVE_REVISIONS)) {
+    stores.push(STORES.ARCHIVE_REVISIONS);
+  }
+  if (db.objectStoreNames.contains(STORES.EXCHANGE_RATES)) {
+    stores.push(STORES.EXCHANGE_RATES);
+  }
+  if (db.objectStoreNames.contains(STORES.IMPORT_PROFILES)) {
+    stores.push(STORES.IMPORT_PROFILES);
+  }
+  
+  const tx = db.transaction(stores, 'readwrite');
+  
+  await Promise.all(stores.map(store => tx.objectStore(store).clear()));
+  
+  // Import all data
+  if (settings) {
+    await tx.objectStore(STORES.SETTINGS).put(settings);
+  }
+  
+  for (const item of fixedExpenses || []) {
+    await tx.objectStore(STORES.FIXED_EXPENSES).put(item);
+  }
+  
+  for (const item of categories || []) {
+    await tx.objectStore(STORES.CATEGORIES).put(item);
+  }
+  
+  for (const item of expenses) {
+    await tx.objectStore(STORES.EXPENSES).put(item);
+  }
+  
+  // Import archives if store exists (retrocompatibility: old exports may not have this)
+  if (db.objectStoreNames.contains(STORES.MONTHLY_ARCHIVES) && monthlyArchives) {
+    for (const item of monthlyArchives) {
+      await tx.objectStore(STORES.MONTHLY_ARCHIVES).put(item);
+    }
+  }
+  
+  if (db.objectStoreNames.contains(STORES.MONTHLY_BUDGETS) && monthlyBudgets) {
+    for (const item of monthlyBudgets) {
+      await tx.objectStore(STORES.MONTHLY_BUDGETS).put(item);
+    }
+  }
+  
+  if (db.objectStoreNames.contains(STORES.INCOMES) && incomes) {
+    for (const item of incomes) {
+      await tx.objectStore(STORES.INCOMES).put(item);
+    }
+  }
+  
+  if (db.objectStoreNames.contains(STORES.SINKING_FUNDS) && sinkingFunds) {
+    for (const item of sinkingFunds) {
+      await tx.objectStore(STORES.SINKING_FUNDS).put(item);
+    }
+  }
+  
+  if (db.objectStoreNames.contains(STORES.GOALS) && goals) {
+    for (const item of goals) {
+      await tx.objectStore(STORES.GOALS).put(item);
+    }
+  }
+  
+  if (db.objectStoreNames.contains(STORES.ARCHIVE_REVISIONS) && archiveRevisions) {
+    for (const item of archiveRevisions) {
+      await tx.objectStore(STORES.ARCHIVE_REVISIONS).put(item);
+    }
+  }
+  
+  if (db.objectStoreNames.contains(STORES.EXCHANGE_RATES) && exchangeRates) {
+    for (const item of exchangeRates) {
+      await tx.objectStore(STORES.EXCHANGE_RATES).put(item);
+    }
+  }
+  
+  if (db.objectStoreNames.contains(STORES.IMPORT_PROFILES) && importProfiles) {
+    for (const item of importProfiles) {
+      await tx.objectStore(STORES.IMPORT_PROFILES).put(item);
+    }
+  }
+  
+  await tx.done;
+  periodStartDay = backupStartDay;
+  
+  console.log(`Imported data: ${fixedExpenses?.length || 0} fixed expenses, ${categories?.length || 0} categories, ${expenses.length} expenses, ${monthlyArchives?.length || 0} archives, ${monthlyBudgets?.length || 0} budget plans, ${incomes?.length || 0} incomes, ${sinkingFunds?.length || 0} sinking funds, ${goals?.length || 0} goals, ${archiveRevisions?.length || 0} archive revisions, ${exchangeRates?.length || 0} exchange rates, ${importProfiles?.length || 0} import profiles`);
+}
+
+/**
+ * Add an empty section to backups made before it existed
+ */
+function addBackupSection(key) {
+  return (data) => ({ ...data, [key]: data[key] || [] });
+}
+
+/**
+ * Give records made before drag-drop their position in the list
+ */
+function addOrder(records) {
+  return (records || []).map((record, index) => ({ ...record, order: record.order ?? index }));
+}
+
+/**
+ * Steps that bring a backup to the current format
+ * Each step upgrades a backup of `version - 1` to `version`
+ */
+const BACKUP_MIGRATIONS = [
+  { version: 2, description: 'Meses cerrados', migrate: addBackupSection('monthlyArchives') },
+  {
+    version: 3,
+    description: 'Orden de categorías y gastos fijos',
+    migrate: (data) => ({ ...data, categories: addOrder(data.categories), fixedExpenses: addOrder(data.fixedExpenses) })
+  },
+  { version: 4, description: 'Planes mensuales', migrate: addBackupSection('monthlyBudgets') },
+  { version: 5, description: 'Fuentes de ingreso', migrate: addBackupSection('incomes') },
+  { version: 6, description: 'Fondos', migrate: addBackupSection('sinkingFunds') },
+  { version: 7, description: 'Metas de ahorro', migrate: addBackupSection('goals') },
+  { version: 8, description: 'Revisiones de meses cerrados', migrate: addBackupSection('archiveRevisions') },
+  { version: 9, description: 'Montos en centavos', migrate: (data) => migrateBackupRecords(data, amountsToMinor) },
+  { version: 10, description: 'Monedas como códigos ISO', migrate: (data) => migrateBackupRecords(data, currencyCodesIn) },
+  { version: 11, description: 'Tipos de cambio', migrate: addBackupSection('exchangeRates') },
+  { version: 12, description: 'Perfiles de importación', migrate: addBackupSection('importProfiles') }
+];
+
+/**
+ * Check one value against a BACKUP_SCHEMA field type
+ * @returns {string|null} Problem description, or null when valid
+ */
+function checkBackupField(value, type, field) {
+  const optional = type.endsWith('?');
+  const baseType = type.replace('?', '');
+  
+  if (value === undefined || value === null || value === '') {
+    return optional ? null : `falta "${field}"`;
+  }
+  
+  switch (baseType) {
+    case 'id':
+      return typeof value === 'string' || typeof value === 'number' ? null : `"${field}" debe ser un id`;
+    case 'text':
+      return typeof value === 'string' ? null : `"${field}" debe ser texto`;
+    case 'amount':
+      return Number.isInteger(value) ? null : `"${field}" debe ser un monto entero en centavos (tiene ${JSON.stringify(value)})`;
+    case 'number':
+      return typeof value === 'number' && isFinite(value) ? null : `"${field}" debe ser un número`;
+    case 'date':
+      return /^\d{4}-\d{2}-\d{2}$/.test(value) ? null : `"${field}" debe ser una fecha AAAA-MM-DD`;
+    case 'month':
+      return /^\d{4}-\d{2}$/.test(value) ? null : `"${field}" debe ser un mes AAAA-MM`;
+    case 'object':
+      return typeof value === 'object' && !Array.isArray(value) ? null : `"${field}" debe ser un objeto`;
+    case 'array':
+      return Array.isArray(value) ? null : `"${field}" debe ser una lista`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check records against a schema
+ * @returns {Object[]} Problems: { section, index, id, message }
+ */
+function checkBackupRecords(section, records, schema) {
+  const problems = [];
+  records.forEach((record, index) => {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      problems.push({ section, index, id: null, message: 'no es un registro' });
+      return;
+    }
+    Object.entries(schema).forEach(([field, type]) => {
+      const message = checkBackupField(record[field], type, field);
+      if (message) {
+        problems.push({ section, index, id: record.id ?? null, message });
+      }
+    });
+  });
+  return problems;
+}
+
+/**
+ * Check that every backup section has the right shape (before migrating)
+ */
+function checkBackupSections(data) {
+  const problems = [];
+  Object.keys(BACKUP_SCHEMA).forEach(section => {
+    const value = data[section];
+    if (value === undefined || value === null) return;
+    
+    if (section === 'settings') {
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        problems.push({ section, index: null, id: null, message: 'debe ser un objeto' });
+      }
+    } else if (!Array.isArray(value)) {
+      problems.push({ section, index: null, id: null, message: 'debe ser una lista' });
+    } else {
+      value.forEach((record, index) => {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+          problems.push({ section, index, id: null, message: 'no es un registro' });
+        }
+      });
+    }
+  });
+  return problems;
+}
+
+/**
+ * Check a backup without writing anything
+ * The backup is migrated to the current format first, so problems and
+ * counts describe what an import would write.
+ * @param {Object} backup - Parsed backup file
+ * @returns {Object} { version, migrations, counts, problems, data }
+ */
+export function dryRunImport(backup) {
+  if (!backup?.data || typeof backup.data !== 'object') {
+    throw new Error('Archivo de backup inválido');
+  }
+  
+  const version = backup.version || 1;
+  const report = { version, migrations: [], counts: {}, problems: [], data: null };
+  
+  if (version > DB_VERSION) {
+    report.problems.push({
+      section: null,
+      index: null,
+      id: null,
+      message: `El backup es de una versión más nueva de la app (v${version}). Actualiza la app antes de importarlo.`
+    });
+    return report;
+  }
+  
+  report.problems = checkBackupSections(backup.data);
+  if (report.problems.length > 0) {
+    return report;
+  }
+  
+  // Bring older backups up to the current record format
+  let data = backup.data;
+  BACKUP_MIGRATIONS
+    .filter(step => step.version > version)
+    .forEach(step => {
+      data = step.migrate(data);
+      report.migrations.push(step.description);
+    });
+  
+  // Handle retrocompatibility: ensure expenses have month field
+  const backupStartDay = data.settings?.periodStartDay || 1;
+  data = {
+    ...data,
+    settings: data.settings && { ...data.settings, id: data.settings.id || 'main' },
+    expenses: (data.expenses || []).map(expense => {
+      if (!expense.month && expense.date) {
+        return { ...expense, month: getMonthForDate(expense.date, backupStartDay) };
+      }
+      return expense;
+    })
+  };
+  
+  Object.entries(BACKUP_SCHEMA).forEach(([section, schema]) => {
+    const records = section === 'settings' ? [data.settings].filter(Boolean) : (data[section] || []);
+    report.counts[section] = records.length;
+    report.problems.push(...checkBackupRecords(section, records, schema));
+  });
+  
+  (data.monthlyArchives || []).forEach((archive, index) => {
+    if (!Array.isArray(archive.expenses)) return;
+    checkBackupRecords('monthlyArchives', archive.expenses, BACKUP_ARCHIVED_EXPENSE_SCHEMA)
+      .forEach(problem => report.problems.push({
+        ...problem,
+        index,
+        id: archive.id,
+        message: `gasto ${problem.index + 1}: ${problem.message}`
+      }));
+  });
+  
+  report.data = data;
+  return report;
+}
+
+/**
+ * Validate a backup and bring its records to the current format
+ * @param {Object} backup - Parsed backup file
+ * @returns {Object} Backup data section
+ * @throws {InvalidBackupError} When any record doesn't match BACKUP_SCHEMA
+ */
+function prepareBackupData(backup) {
+  const report = dryRunImport(backup);
+  if (report.problems.length > 0) {
+    throw new InvalidBackupError(report.problems);
+  }
+  return report.data;
+}
+
+/**
+ * Backup stores whose records conflict when they share a name but not an id
+ */
+const NAMED_BACKUP_STORES = {
+  categories: 'Categoría',
+  fixedExpenses: 'Gasto fijo',
+  incomes: 'Ingreso',
+  sinkingFunds: 'Fondo',
+  goals: 'Meta',
+  importProfiles: 'Perfil de importación'
+};
+
+/**
+ * Settings that make the two sides incompatible when they differ:
+ * amounts and expense months can't be merged across them
+ */
+const CONFLICTING_SETTINGS = ['currency', 'periodStartDay'];
+
+/**
+ * Timestamp used to tell which copy of a record is newer
+ */
+function recordVersion(record) {
+  return record.updatedAt || record.closedAt || record.createdAt || '';
+}
+
+/**
+ * Work out a merge import without writing anything
+ * Records are matched by id and the newer `updatedAt` wins. Records that
+ * can't be matched that way are returned as conflicts for the user to settle:
+ * same-name records with different ids. When the settings that change how
+ * amounts and months are read differ (currency, period start day), they are
+ * listed in `incompatible` and the backup can only replace the data.
+ * @param {Object} backup - Parsed backup file
+ * @returns {Promise<Object>} { counts, conflicts, incompatible, merged, local }
+ */
+export async function previewMergeImport(backup) {
+  const data = prepareBackupData(backup);
+  const db = await getDB();
+  const keys = Object.keys(BACKUP_STORES).filter(key => db.objectStoreNames.contains(BACKUP_STORES[key]));
+  
+  const local = {};
+  await Promise.all(keys.map(async key => {
+    local[key] = await db.getAll(BACKUP_STORES[key]);
+  }));
+  
+  const merged = {};
+  const counts = {};
+  const conflicts = [];
+  
+  keys.forEach(key => {
+    const incoming = key === 'settings' ? [data.settings].filter(Boolean) : (data[key] || []);
+    const records = new Map(local[key].map(record => [record.id, record]));
+    const storeCounts = { added: 0, updated: 0, unchanged: 0 };
+    
+    incoming.forEach(record => {
+      const current = records.get(record.id);
+      if (!current) {
+        records.set(record.id, record);
+        storeCounts.added++;
+      } else if (recordVersion(record) > recordVersion(current)) {
+        records.set(record.id, record);
+        storeCounts.updated++;
+      } else {
+        storeCounts.unchanged++;
+      }
+    });
+    
+    merged[key] = records;
+    counts[key] = storeCounts;
+    
+    // Same name, different ids: probably the same thing created on each device
+    if (NAMED_BACKUP_STORES[key]) {
+      const localIds = new Set(local[key].map(r => r.id));
+      const incomingIds = new Set(incoming.map(r => r.id));
+      const sameName = (a, b) => a.name?.trim().toLowerCase() === b.name?.trim().toLowerCase();
+      
+      incoming.filter(r => !localIds.has(r.id)).forEach(record => {
+        const match = local[key].find(r => !incomingIds.has(r.id) && sameName(r, record));
+        if (match) {
+          conflicts.push({
+            id: `${key}:${record.id}`,
+            store: key,
+            label: `${NAMED_BACKUP_STORES[key]} "${record.name}"`,
+            local: match,
+            backup: record
+          });
+        }
+      });
     }
-  };
+  });
+  
+  const localSettings = local.settings?.[0];
+  const incompatible = CONFLICTING_SETTINGS
+    .filter(field => localSettings && data.settings && (localSettings[field] ?? null) !== (data.settings[field] ?? null))
+    .map(field => ({ field, local: localSettings[field] ?? null, backup: data.settings[field] ?? null }));
+  
+  return { counts, conflicts, incompatible, merged, local };
 }
 
 /**
- * Import data from backup
- * Supports retrocompatibility with old export formats:
- * - v1: No monthlyArchives
- * - v2+: With monthlyArchives
- * - Ensures all expenses have proper month field
+ * Merge a backup into the current data
+ * Conflicts default to keeping the local side. When a category loses,
+ * its expenses and budget allocations move to the one that was kept.
+ * Live expenses already inside a closed month's archive are dropped.
+ * Refused when the backup uses another currency or period start day.
+ * @param {Object} backup - Parsed backup file
+ * @param {Object} [choices] - Conflict id to 'local' or 'backup'
+ * @returns {Promise<Object>} The applied preview
  */
-export async function importData(backup) {
-  if (!backup?.data) {
-    throw new Error('Archivo de backup inválido');
-  }
+export async function mergeImportData(backup, choices = {}) {
+  const preview = await previewMergeImport(backup);
+  const { merged, local } = preview;
   
-  const db = await getDB();
-  const { settings, fixedExpenses, categories, expenses, monthlyArchives } = backup.data;
+  if (preview.incompatible.length > 0) {
+    throw new Error('El backup usa otra moneda o inicio de periodo. Usa "Reemplazar todo" o iguala esos ajustes antes de combinar.');
+  }
   
-  // Handle retrocompatibility: ensure expenses have month field
-  const processedExpenses = (expenses || []).map(expense => {
-    if (!expense.month && expense.date) {
-      const [year, month] = expense.date.split('-');
-      return { ...expense, month: `${year}-${month}` };
+  for (const conflict of preview.conflicts) {
+    const useBackup = choices[conflict.id] === 'backup';
+    const winner = useBackup ? conflict.backup : conflict.local;
+    const loser = useBackup ? conflict.local : conflict.backup;
+    merged[conflict.store].delete(loser.id);
+    
+    if (conflict.store === 'categories') {
+      merged.expenses.forEach((expense, id) => {
+        if (expense.categoryId === loser.id) {
+          merged.expenses.set(id, { ...expense, categoryId: winner.id });
+        }
+      });
+      merged.monthlyBudgets?.forEach((plan, id) => {
+        const moveKey = (map) => {
+          if (!map || map[loser.id] === undefined) return map;
+          const { [loser.id]: amount, ...rest } = map;
+          return { ...rest, [winner.id]: rest[winner.id] ?? amount };
+        };
+        merged.monthlyBudgets.set(id, {
+          ...plan,
+          allocations: moveKey(plan.allocations),
+          carryover: moveKey(plan.carryover)
+        });
+      });
     }
-    return expense;
-  });
-  
-  // Clear existing data
-  const stores = [STORES.SETTINGS, STORES.FIXED_EXPENSES, STORES.CATEGORIES, STORES.EXPENSES];
-  if (db.objectStoreNames.contains(STORES.MONTHLY_ARCHIVES)) {
-    stores.push(STORES.MONTHLY_ARCHIVES);
   }
   
-  const tx = db.transaction(stores, 'readwrite');
+  const archivedExpenseIds = new Set();
+  merged.monthlyArchives?.forEach(archive => {
+    (archive.expenses || []).forEach(expense => archivedExpenseIds.add(expense.id));
+  });
+  archivedExpenseIds.forEach(id => merged.expenses.delete(id));
   
-  await Promise.all(stores.map(store => tx.objectStore(store).clear()));
+  await takeSnapshot('import');
+  const db = await getDB();
+  const keys = Object.keys(merged);
+  const tx = db.transaction(keys.map(key => BACKUP_STORES[key]), 'readwrite');
   
-  // Import all data
-  if (settings) {
-    // Ensure settings has an id for the keyPath
-    const settingsToImport = { ...settings, id: settings.id || 'main' };
-    await tx.objectStore(STORES.SETTINGS).put(settingsToImport);
+  for (const key of keys) {
+    const store = tx.objectStore(BACKUP_STORES[key]);
+    for (const record of local[key]) {
+      if (!merged[key].has(record.id)) {
+        await store.delete(record.id);
+      }
+    }
+    for (const record of merged[key].values()) {
+      await store.put(record);
+    }
   }
   
-  for (const item of fixedExpenses || []) {
-    await tx.objectStore(STORES.FIXED_EXPENSES).put(item);
-  }
+  await tx.done;
+  periodStartDay = merged.settings.get('main')?.periodStartDay || 1;
   
-  for (const item of categories || []) {
-    await tx.objectStore(STORES.CATEGORIES).put(item);
-  }
+  return preview;
+}
+
+// ==========================================
+// Snapshot Operations
+// ==========================================
+
+/**
+ * Save a copy of all data and delete the oldest snapshots past SNAPSHOT_LIMIT
+ * @param {string} reason - 'scheduled', 'closeMonth' or 'import'
+ * @param {string} [month] - Month being closed, for 'closeMonth' snapshots
+ * @returns {Promise<Object>} The created snapshot
+ */
+export async function takeSnapshot(reason, month = null) {
+  const backup = await exportData();
+  const counts = Object.fromEntries(Object.keys(BACKUP_STORES).map(key => {
+    const value = backup.data[key];
+    return [key, Array.isArray(value) ? value.length : (value ? 1 : 0)];
+  }));
   
-  for (const item of processedExpenses) {
-    await tx.objectStore(STORES.EXPENSES).put(item);
-  }
+  const snapshot = {
+    ...SNAPSHOT_SCHEMA,
+    id: generateId(),
+    reason,
+    month,
+    counts,
+    backup,
+    createdAt: backup.exportedAt
+  };
   
-  // Import archives if store exists (retrocompatibility: old exports may not have this)
-  if (db.objectStoreNames.contains(STORES.MONTHLY_ARCHIVES) && monthlyArchives) {
-    for (const item of monthlyArchives) {
-      await tx.objectStore(STORES.MONTHLY_ARCHIVES).put(item);
-    }
+  const db = await getDB();
+  const tx = db.transaction(STORES.SNAPSHOTS, 'readwrite');
+  const store = tx.objectStore(STORES.SNAPSHOTS);
+  await store.put(snapshot);
+  
+  // Newest first, so everything past the limit is the oldest
+  const ids = (await store.index('createdAt').getAllKeys()).reverse();
+  for (const id of ids.slice(SNAPSHOT_LIMIT)) {
+    await store.delete(id);
   }
   
   await tx.done;
+  return snapshot;
+}
+
+/**
+ * Take a scheduled snapshot when the newest one is older than SNAPSHOT_INTERVAL_HOURS
+ * @returns {Promise<Object|null>} The created snapshot, or null when none was due
+ */
+export async function takeScheduledSnapshot() {
+  const db = await getDB();
+  const cursor = await db.transaction(STORES.SNAPSHOTS)
+    .objectStore(STORES.SNAPSHOTS)
+    .index('createdAt')
+    .openCursor(null, 'prev');
+  
+  const last = cursor?.value.createdAt;
+  if (last && Date.now() - new Date(last).getTime() < SNAPSHOT_INTERVAL_HOURS * 3600 * 1000) {
+    return null;
+  }
   
-  console.log(`Imported data: ${fixedExpenses?.length || 0} fixed expenses, ${categories?.length || 0} categories, ${processedExpenses.length} expenses, ${monthlyArchives?.length || 0} archives`);
+  return takeSnapshot('scheduled');
+}
+
+/**
+ * Get snapshots without their backups, newest first
+ * @returns {Promise<Array>} [{ id, reason, month, counts, createdAt }]
+ */
+export async function getAllSnapshots() {
+  const db = await getDB();
+  const snapshots = await db.getAllFromIndex(STORES.SNAPSHOTS, 'createdAt');
+  return snapshots
+    .reverse()
+    .map(({ backup, ...snapshot }) => snapshot);
+}
+
+/**
+ * Get a snapshot with its backup
+ * @param {string} id - Snapshot ID
+ */
+export async function getSnapshot(id) {
+  const db = await getDB();
+  return db.get(STORES.SNAPSHOTS, id);
 }
 
 // ==========================================
@@ -616,12 +2678,15 @@ export async function isMonthArchived(month) {
 }
 
 /**
- * Close the current month and archive it
- * Creates a snapshot of all data and clears current month expenses
+ * Build the archive a month close would create, without writing anything
+ * Lists what deserves a look before closing: unassigned money, overspent
+ * categories, expenses without a (living) category and future-dated expenses.
  * @param {string} [month] - Month to close (defaults to current month)
- * @returns {Promise<Object>} The created archive
+ * @param {Object} [options]
+ * @param {string} [options.today] - Date used to detect future expenses (YYYY-MM-DD)
+ * @returns {Promise<Object>} { month, archive, carryover, unassigned, overspentCategories, orphanedExpenses, futureExpenses, problems }
  */
-export async function closeMonth(month = null) {
+export async function previewCloseMonth(month = null, { today = getTodayDate() } = {}) {
   const targetMonth = month || getCurrentMonth();
   
   // Check if already archived
@@ -631,32 +2696,52 @@ export async function closeMonth(month = null) {
   }
   
   // Gather all data for the month
-  const [settings, fixedExpenses, categories, expenses] = await Promise.all([
+  const [settings, income, fixedExpenses, sinkingFunds, goals, categories, expenses] = await Promise.all([
     getSettings(),
+    getIncomeForMonth(targetMonth),
     getAllFixedExpenses(),
-    getAllCategories(),
+    getSinkingFundsForMonth(targetMonth),
+    getGoalsForMonth(targetMonth),
+    getCategoriesForMonth(targetMonth),
     getExpensesForMonth(targetMonth)
   ]);
   
-  // Calculate totals
-  const totalFixedExpenses = fixedExpenses.reduce((sum, e) => sum + e.amount, 0);
-  const totalBudgeted = categories.reduce((sum, c) => sum + c.budgetLimit, 0);
-  const totalSpent = expenses.reduce((sum, e) => sum + e.amount, 0);
-  const monthlyIncome = settings?.monthlyIncome || 0;
+  // Calculate totals (sinking fund contributions count as fixed expenses)
+  const totalFixedExpenses = money.sumBy(fixedExpenses, 'amount') + sinkingFunds.total;
+  const totalBudgeted = money.sumBy(categories, 'budgetLimit');
+  const totalGoals = goals.total;
+  const totalSpent = money.sumBy(expenses, 'amount');
+  const monthlyIncome = income.expected;
+  const receivedIncome = income.received;
+  const regularIncome = income.regular;
+  const irregularIncome = income.irregular;
   const totalSaved = monthlyIncome - totalFixedExpenses - totalSpent;
   
-  // Build category spending snapshot
+  // Zero-based: every quetzal needs a job before the month is closed
+  const unassigned = monthlyIncome - totalFixedExpenses - totalBudgeted - totalGoals;
+  
+  // Build category spending snapshot (carried is kept apart from the allocation)
   const categorySnapshots = categories.map(cat => {
     const catExpenses = expenses.filter(e => e.categoryId === cat.id);
-    const spent = catExpenses.reduce((sum, e) => sum + e.amount, 0);
+    const spent = money.sumBy(catExpenses, 'amount');
+    const remaining = cat.available - spent;
     return {
       ...cat,
       spent,
-      remaining: cat.budgetLimit - spent,
-      percentage: cat.budgetLimit > 0 ? (spent / cat.budgetLimit) * 100 : 0
+      remaining,
+      percentage: money.percentage(spent, cat.available),
+      rolledOver: calculateRollover(cat.rolloverMode, remaining)
     };
   });
   
+  // Balances that roll into the next month's envelopes
+  const carryover = {};
+  categorySnapshots.forEach(cat => {
+    if (cat.rolledOver !== 0) {
+      carryover[cat.id] = cat.rolledOver;
+    }
+  });
+  
   // Create archive record
   const archive = {
     id: targetMonth,
@@ -664,24 +2749,123 @@ export async function closeMonth(month = null) {
     closedAt: new Date().toISOString(),
     summary: {
       monthlyIncome,
+      receivedIncome,
+      regularIncome,
+      irregularIncome,
       totalFixedExpenses,
       totalBudgeted,
+      totalGoals,
       totalSpent,
       totalSaved,
-      currency: settings?.currency || 'Q'
+      currency: settings?.currency || DEFAULT_CURRENCY
     },
+    incomes: income.sources.map(({ received, ...source }) => source),
     fixedExpenses: [...fixedExpenses],
+    sinkingFunds: sinkingFunds.funds.map(fund => ({
+      ...fund,
+      balance: fund.balance + fund.contribution
+    })),
+    goals: goals.goals.map(({ id, name, color, targetAmount, deadline, balance, contribution }) => ({
+      id,
+      name,
+      color,
+      targetAmount,
+      deadline,
+      contribution,
+      balance: balance + contribution
+    })),
     categories: categorySnapshots,
     expenses: [...expenses]
   };
   
-  // Save archive and delete current month's expenses
+  // Things to review before closing
+  const categoryIds = new Set(categories.map(c => c.id));
+  const overspentCategories = categorySnapshots.filter(cat => cat.spent > 0 && cat.remaining < 0);
+  const orphanedExpenses = expenses.filter(e => !e.categoryId || !categoryIds.has(e.categoryId));
+  const futureExpenses = expenses.filter(e => e.date > today);
+  
+  const problems = [];
+  if (unassigned !== 0) {
+    problems.push({
+      type: 'unassigned',
+      message: unassigned > 0 
+        ? 'Hay dinero sin asignar a ninguna categoría o meta.' 
+        : 'Asignaste más dinero del que tienes disponible.'
+    });
+  }
+  overspentCategories.forEach(cat => {
+    problems.push({
+      type: 'overspent',
+      categoryId: cat.id,
+      message: `${cat.name} superó su presupuesto (${Math.round(cat.percentage)}%).`
+    });
+  });
+  if (orphanedExpenses.length > 0) {
+    problems.push({
+      type: 'orphaned',
+      message: `${orphanedExpenses.length} gasto(s) sin categoría o con una categoría eliminada.`
+    });
+  }
+  if (futureExpenses.length > 0) {
+    problems.push({
+      type: 'future',
+      message: `${futureExpenses.length} gasto(s) con fecha futura.`
+    });
+  }
+  
+  return {
+    month: targetMonth,
+    archive,
+    carryover,
+    unassigned,
+    overspentCategories,
+    orphanedExpenses,
+    futureExpenses,
+    problems
+  };
+}
+
+/**
+ * Close the current month and archive it
+ * Takes a restore snapshot first, then archives the month and clears its expenses
+ * @param {string} [month] - Month to close (defaults to current month)
+ * @param {Object} [options]
+ * @param {boolean} [options.allowUnassigned] - Close even if money is left without a job
+ * @param {boolean} [options.skipSnapshot] - The caller already took a snapshot
+ * @returns {Promise<Object>} The created archive
+ * @throws {UnassignedMoneyError} If unassigned money is not zero and not allowed
+ */
+export async function closeMonth(month = null, { allowUnassigned = false, skipSnapshot = false } = {}) {
+  const targetMonth = month || getCurrentMonth();
+  const { archive, carryover, unassigned } = await previewCloseMonth(targetMonth);
+  
+  if (!allowUnassigned && unassigned !== 0) {
+    throw new UnassignedMoneyError(unassigned);
+  }
+  
+  if (!skipSnapshot) {
+    await takeSnapshot('closeMonth', targetMonth);
+  }
+  archive.closedAt = new Date().toISOString();
+  
+  // Save archive, fund contributions and delete current month's expenses
   const db = await getDB();
-  const tx = db.transaction([STORES.MONTHLY_ARCHIVES, STORES.EXPENSES], 'readwrite');
+  const tx = db.transaction([STORES.MONTHLY_ARCHIVES, STORES.EXPENSES, STORES.SINKING_FUNDS], 'readwrite');
   
   // Save archive
   await tx.objectStore(STORES.MONTHLY_ARCHIVES).put(archive);
   
+  // Add the month's contribution to each sinking fund (snapshots hold the new balance)
+  const fundStore = tx.objectStore(STORES.SINKING_FUNDS);
+  for (const { contribution, percentage, ...fund } of archive.sinkingFunds) {
+    if (contribution > 0) {
+      await fundStore.put({
+        ...fund,
+        updatedAt: archive.closedAt
+      });
+    }
+  }
+  
   // Delete expenses for this month
   const expenseStore = tx.objectStore(STORES.EXPENSES);
   const monthIndex = expenseStore.index('month');
@@ -693,18 +2877,88 @@ export async function closeMonth(month = null) {
   
   await tx.done;
   
-  // Update settings to next month if closing current month
-  if (targetMonth === getCurrentMonth()) {
-    const [year, monthNum] = targetMonth.split('-').map(Number);
-    const nextMonth = monthNum === 12 
-      ? `${year + 1}-01` 
-      : `${year}-${String(monthNum + 1).padStart(2, '0')}`;
-    await updateSettings({ currentMonth: nextMonth });
+  const nextMonth = getNextMonth(targetMonth);
+  
+  // Roll envelope balances into the next month's plan
+  if (Object.keys(carryover).length > 0) {
+    await saveMonthlyBudget(nextMonth, { carryover });
+  }
+  
+  // Move settings forward when closing the month that was pending,
+  // past any later months that are already archived
+  const settings = await getSettings();
+  if (!settings?.currentMonth || targetMonth === settings.currentMonth) {
+    const archived = new Set((await getAllArchives()).map(a => a.month));
+    let pendingMonth = nextMonth;
+    while (archived.has(pendingMonth)) {
+      pendingMonth = getNextMonth(pendingMonth);
+    }
+    await updateSettings({ currentMonth: pendingMonth });
   }
   
   return archive;
 }
 
+/**
+ * Get past months that were never closed, oldest first
+ * Starts at the month settings expects to close next and stops before the current month
+ * @returns {Promise<string[]>} Months in YYYY-MM format
+ */
+export async function getUnclosedMonths() {
+  const [settings, archives] = await Promise.all([
+    getSettings(),
+    getAllArchives()
+  ]);
+  
+  const currentMonth = getCurrentMonth();
+  const archived = new Set(archives.map(a => a.month));
+  const months = [];
+  
+  let month = settings?.currentMonth;
+  while (month && month < currentMonth) {
+    if (!archived.has(month)) {
+      months.push(month);
+    }
+    month = getNextMonth(month);
+  }
+  
+  return months;
+}
+
+/**
+ * Check whether the grace period after a month has ended
+ * @param {string} month - Month in YYYY-MM format
+ * @param {number} graceDays - Days to wait after the month ends
+ * @param {string} [today] - Date in YYYY-MM-DD format
+ * @returns {boolean}
+ */
+export function isGracePeriodOver(month, graceDays, today = getTodayDate()) {
+  const [year, monthNum, day] = getPeriodRange(month).end.split('-').map(Number);
+  const deadline = new Date(year, monthNum - 1, day + 1 + graceDays);
+  const [todayYear, todayMonth, todayDay] = today.split('-').map(Number);
+  return new Date(todayYear, todayMonth - 1, todayDay) >= deadline;
+}
+
+/**
+ * Close several past months in order
+ * Past months can no longer be assigned, so unassigned money is allowed.
+ * One snapshot covers the whole batch, so a long catch-up doesn't rotate
+ * out the restore points from before it.
+ * @param {string[]} months - Months in YYYY-MM format, oldest first
+ * @returns {Promise<Object[]>} The created archives
+ */
+export async function closeMonths(months) {
+  const sorted = [...months].sort();
+  const archives = [];
+  if (sorted.length === 0) return archives;
+  
+  await takeSnapshot('closeMonth', sorted[0]);
+  for (const month of sorted) {
+    archives.push(await closeMonth(month, { allowUnassigned: true, skipSnapshot: true }));
+  }
+  return archives;
+}
+
 /**
  * Delete an archive (use with caution)
  * @param {string} month - Month in YYYY-MM format
@@ -714,6 +2968,246 @@ export async function deleteArchive(month) {
   await db.delete(STORES.MONTHLY_ARCHIVES, month);
 }
 
+/**
+ * Get the saved revisions of an archive, newest first
+ * @param {string} month - Month in YYYY-MM format
+ */
+export async function getArchiveRevisions(month) {
+  const db = await getDB();
+  const revisions = await db.getAllFromIndex(STORES.ARCHIVE_REVISIONS, 'month', month);
+  return revisions.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Build a revision record for an archive
+ */
+function createArchiveRevision(archive, reason) {
+  return {
+    id: generateId(),
+    month: archive.month,
+    reason,
+    archive,
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Recompute an archive's category spending and summary from its expenses
+ * Rolled-over balances are left as they were: they already went to the next month.
+ * @param {Object} archive - Archive record
+ * @returns {Object} Archive with updated totals
+ */
+export function recalculateArchive(archive) {
+  const { summary, categories, expenses } = archive;
+  
+  const updatedCategories = categories.map(cat => {
+    const available = cat.available ?? cat.budgetLimit;
+    const spent = money.sumBy(expenses.filter(e => e.categoryId === cat.id), 'amount');
+    return {
+      ...cat,
+      spent,
+      remaining: available - spent,
+      percentage: money.percentage(spent, available)
+    };
+  });
+  
+  const totalSpent = money.sumBy(expenses, 'amount');
+  
+  return {
+    ...archive,
+    categories: updatedCategories,
+    summary: {
+      ...summary,
+      totalSpent,
+      totalSaved: summary.monthlyIncome - summary.totalFixedExpenses - totalSpent
+    }
+  };
+}
+
+/**
+ * Change the expenses stored in an archive
+ * The previous version is kept as a revision and totals are recomputed
+ * @param {string} month - Month in YYYY-MM format
+ * @param {Function} change - Receives the expenses and returns the new list
+ * @returns {Promise<Object>} The updated archive
+ */
+async function updateArchiveExpenses(month, change) {
+  const db = await getDB();
+  const tx = db.transaction([STORES.MONTHLY_ARCHIVES, STORES.ARCHIVE_REVISIONS], 'readwrite');
+  const archiveStore = tx.objectStore(STORES.MONTHLY_ARCHIVES);
+  
+  const archive = await archiveStore.get(month);
+  if (!archive) {
+    throw new Error(`El mes ${month} no está cerrado.`);
+  }
+  
+  const updated = recalculateArchive({
+    ...archive,
+    expenses: change([...archive.expenses]),
+    revisedAt: new Date().toISOString()
+  });
+  
+  await tx.objectStore(STORES.ARCHIVE_REVISIONS).put(createArchiveRevision(archive, 'edit'));
+  await archiveStore.put(updated);
+  await tx.done;
+  
+  return updated;
+}
+
+/**
+ * Make sure a date belongs to an archived month
+ */
+function assertDateInMonth(date, month) {
+  if (!date || getMonthForDate(date) !== month) {
+    throw new Error(`La fecha debe estar dentro de ${month}.`);
+  }
+}
+
+/**
+ * Add an expense to a closed month
+ * @param {string} month - Archived month in YYYY-MM format
+ * @param {Object} data - { categoryId, description, amount, currency, date }
+ */
+export async function addArchivedExpense(month, data) {
+  assertDateInMonth(data.date, month);
+  const now = new Date().toISOString();
+  const archive = await getArchive(month);
+  const conversion = await convertExpenseAmount(data, archive?.summary?.currency || DEFAULT_CURRENCY);
+  
+  const expense = {
+    id: generateId(),
+    categoryId: data.categoryId,
+    description: data.description?.trim() || '',
+    ...conversion,
+    date: data.date,
+    month,
+    createdAt: now,
+    updatedAt: now
+  };
+  
+  return updateArchiveExpenses(month, expenses => [...expenses, expense]);
+}
+
+/**
+ * Update an expense inside a closed month
+ * @param {string} month - Archived month in YYYY-MM format
+ * @param {string} id - Expense ID
+ * @param {Object} updates - Fields to change (the date must stay in the month)
+ */
+export async function updateArchivedExpense(month, id, updates) {
+  if (updates.date) {
+    assertDateInMonth(updates.date, month);
+  }
+  
+  // Conversions need a rate lookup, so the new version is built before the transaction
+  const archive = await getArchive(month);
+  const current = archive?.expenses.find(e => e.id === id);
+  if (!current) {
+    throw new Error('Gasto no encontrado');
+  }
+  
+  const updated = {
+    ...await applyExpenseUpdates(current, updates, archive.summary?.currency || DEFAULT_CURRENCY),
+    month,
+    updatedAt: new Date().toISOString()
+  };
+  
+  return updateArchiveExpenses(month, expenses => 
+    expenses.map(e => e.id === id ? updated : e)
+  );
+}
+
+/**
+ * Delete an expense from a closed month
+ * @param {string} month - Archived month in YYYY-MM format
+ * @param {string} id - Expense ID
+ */
+export async function deleteArchivedExpense(month, id) {
+  return updateArchiveExpenses(month, expenses => expenses.filter(e => e.id !== id));
+}
+
+/**
+ * Reopen a closed month
+ * Moves its expenses back to the live store, undoes what closing did
+ * (envelope carryover and sinking fund contributions) and keeps the
+ * archive as a revision. Only the latest closed month can be reopened.
+ * @param {string} month - Month in YYYY-MM format
+ * @returns {Promise<Object>} The archive that was reopened
+ */
+export async function reopenMonth(month) {
+  const [archive, archives] = await Promise.all([
+    getArchive(month),
+    getAllArchives()
+  ]);
+  
+  if (!archive) {
+    throw new Error(`El mes ${month} no está cerrado.`);
+  }
+  
+  const later = archives.find(a => a.month > month);
+  if (later) {
+    throw new Error(`Primero reabre ${later.month}; solo se puede reabrir el último mes cerrado.`);
+  }
+  
+  const nextMonth = getNextMonth(month);
+  const db = await getDB();
+  const tx = db.transaction([
+    STORES.MONTHLY_ARCHIVES,
+    STORES.ARCHIVE_REVISIONS,
+    STORES.EXPENSES,
+    STORES.SINKING_FUNDS,
+    STORES.MONTHLY_BUDGETS,
+    STORES.SETTINGS
+  ], 'readwrite');
+  const now = new Date().toISOString();
+  
+  await tx.objectStore(STORES.ARCHIVE_REVISIONS).put(createArchiveRevision(archive, 'reopen'));
+  
+  // Expenses go back to the live store
+  const expenseStore = tx.objectStore(STORES.EXPENSES);
+  for (const expense of archive.expenses) {
+    await expenseStore.put(expense);
+  }
+  
+  // Take back the contributions made to sinking funds when closing
+  const fundStore = tx.objectStore(STORES.SINKING_FUNDS);
+  for (const snapshot of archive.sinkingFunds || []) {
+    const fund = await fundStore.get(snapshot.id);
+    if (fund && snapshot.contribution > 0) {
+      await fundStore.put({
+        ...fund,
+        balance: Math.max(0, (fund.balance || 0) - snapshot.contribution),
+        updatedAt: now
+      });
+    }
+  }
+  
+  // Remove the envelope balances this month rolled into the next one
+  const budgetStore = tx.objectStore(STORES.MONTHLY_BUDGETS);
+  const nextPlan = await budgetStore.get(nextMonth);
+  if (nextPlan?.carryover) {
+    const carryover = { ...nextPlan.carryover };
+    archive.categories.forEach(cat => {
+      if (cat.rolledOver) {
+        delete carryover[cat.id];
+      }
+    });
+    await budgetStore.put({ ...nextPlan, carryover, updatedAt: now });
+  }
+  
+  // The reopened month becomes the one to close next
+  const settingsStore = tx.objectStore(STORES.SETTINGS);
+  const settings = await settingsStore.get('main');
+  if (settings && (!settings.currentMonth || settings.currentMonth > month)) {
+    await settingsStore.put({ ...settings, currentMonth: month, updatedAt: now });
+  }
+  
+  await tx.objectStore(STORES.MONTHLY_ARCHIVES).delete(month);
+  await tx.done;
+  
+  return archive;
+}
+
 /**
  * Get all expenses (across all months, not just current)
  */
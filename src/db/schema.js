@@ -4,7 +4,7 @@
  */
 
 export const DB_NAME = 'presupuesto-base-cero';
-export const DB_VERSION = 3; // Added order field for drag-drop
+export const DB_VERSION = 13; // Added snapshots
 
 /**
  * Store names
@@ -14,7 +14,15 @@ export const STORES = {
   FIXED_EXPENSES: 'fixedExpenses',
   CATEGORIES: 'categories',
   EXPENSES: 'expenses',
-  MONTHLY_ARCHIVES: 'monthlyArchives'
+  MONTHLY_ARCHIVES: 'monthlyArchives',
+  MONTHLY_BUDGETS: 'monthlyBudgets',
+  INCOMES: 'incomes',
+  SINKING_FUNDS: 'sinkingFunds',
+  GOALS: 'goals',
+  ARCHIVE_REVISIONS: 'archiveRevisions',
+  EXCHANGE_RATES: 'exchangeRates',
+  IMPORT_PROFILES: 'importProfiles',
+  SNAPSHOTS: 'snapshots'
 };
 
 /**
@@ -23,25 +31,66 @@ export const STORES = {
  */
 export const SETTINGS_SCHEMA = {
   id: 'main', // Single settings record
-  monthlyIncome: 0,
-  currency: 'Q',
+  monthlyIncome: 0, // Default for months without a budget plan or income sources
+  currency: 'GTQ', // ISO 4217 code
   currentMonth: null, // YYYY-MM format
+  autoCloseGraceDays: null, // Close past months automatically after N days (null = ask)
+  periodStartDay: 1, // Day budget periods start on (1-28), e.g. 25 for a payday on the 25th
   createdAt: null,
   updatedAt: null
 };
 
+/**
+ * Options for closing past months at the calendar boundary
+ */
+export const AUTO_CLOSE_OPTIONS = [
+  { value: null, label: 'Preguntarme al abrir la app' },
+  { value: 0, label: 'Cerrar automáticamente el día 1' },
+  { value: 3, label: 'Cerrar automáticamente después de 3 días' },
+  { value: 5, label: 'Cerrar automáticamente después de 5 días' },
+  { value: 10, label: 'Cerrar automáticamente después de 10 días' }
+];
+
 /**
  * Available currencies for Central American countries
+ * Stored by ISO 4217 code and formatted with the country's locale
  */
 export const AVAILABLE_CURRENCIES = [
-  { code: 'Q', name: 'Quetzal', country: 'Guatemala', symbol: 'Q' },
-  { code: 'MXN', name: 'Peso Mexicano', country: 'México', symbol: '$' },
-  { code: 'CRC', name: 'Colón', country: 'Costa Rica', symbol: '₡' },
-  { code: 'HNL', name: 'Lempira', country: 'Honduras', symbol: 'L' },
-  { code: 'NIO', name: 'Córdoba', country: 'Nicaragua', symbol: 'C$' },
-  { code: 'USD', name: 'Dólar', country: 'El Salvador', symbol: '$' }
+  { code: 'GTQ', name: 'Quetzal', country: 'Guatemala', symbol: 'Q', locale: 'es-GT' },
+  { code: 'MXN', name: 'Peso Mexicano', country: 'México', symbol: '$', locale: 'es-MX' },
+  { code: 'CRC', name: 'Colón', country: 'Costa Rica', symbol: '₡', locale: 'es-CR' },
+  { code: 'HNL', name: 'Lempira', country: 'Honduras', symbol: 'L', locale: 'es-HN' },
+  { code: 'NIO', name: 'Córdoba', country: 'Nicaragua', symbol: 'C$', locale: 'es-NI' },
+  { code: 'USD', name: 'Dólar', country: 'El Salvador', symbol: '$', locale: 'es-SV' }
 ];
 
+export const DEFAULT_CURRENCY = 'GTQ';
+
+/**
+ * Currency values saved before v10 and the code they stand for
+ */
+export const LEGACY_CURRENCY_CODES = {
+  Q: 'GTQ'
+};
+
+/**
+ * Income schema
+ * Named income sources (salary, quincena, side income) with their pay day
+ */
+export const INCOME_SCHEMA = {
+  id: null, // Auto-generated UUID
+  name: '',
+  amount: 0,
+  payDay: 31, // Day of the month it is paid (31 = last day of the month)
+  frequency: 'monthly', // 'monthly' or 'annual' (Bono 14, Aguinaldo, etc.)
+  payMonth: null, // Month number (1-12) an annual income arrives
+  distribution: 'lump', // Annual only: 'lump' (assign when it arrives) or 'spread' (1/12 every month)
+  received: {}, // { [YYYY-MM]: ISO timestamp } months it was actually received
+  order: 0, // For drag-drop reordering
+  createdAt: null,
+  updatedAt: null
+};
+
 /**
  * Fixed Expense schema
  * Recurring monthly expenses (rent, utilities, etc.)
@@ -55,6 +104,49 @@ export const FIXED_EXPENSE_SCHEMA = {
   updatedAt: null
 };
 
+/**
+ * Sinking Fund schema
+ * Money set aside every month for expenses due once or twice a year
+ * (marchamo, insurance, school enrollment, IUSI)
+ */
+export const SINKING_FUND_SCHEMA = {
+  id: null, // Auto-generated UUID
+  name: '',
+  targetAmount: 0, // Amount due
+  dueDate: null, // YYYY-MM-DD of the next payment
+  intervalMonths: 12, // Months between payments (0 = one-time)
+  balance: 0, // Accumulated so far, grows on every closeMonth
+  order: 0, // For drag-drop reordering
+  createdAt: null,
+  updatedAt: null
+};
+
+/**
+ * How often a sinking fund comes due
+ */
+export const SINKING_FUND_INTERVALS = [
+  { value: 12, label: 'Anual' },
+  { value: 6, label: 'Semestral' },
+  { value: 0, label: 'Una sola vez' }
+];
+
+/**
+ * Savings Goal schema
+ * The monthly contribution is a budget line; the balance comes from archived months
+ */
+export const GOAL_SCHEMA = {
+  id: null, // Auto-generated UUID
+  name: '',
+  targetAmount: 0,
+  deadline: null, // YYYY-MM month the goal should be reached
+  monthlyContribution: 0,
+  initialBalance: 0, // Saved before the goal was tracked here
+  color: '#22c55e',
+  order: 0, // For drag-drop reordering
+  createdAt: null,
+  updatedAt: null
+};
+
 /**
  * Category schema
  * Budget categories with spending limits
@@ -62,14 +154,37 @@ export const FIXED_EXPENSE_SCHEMA = {
 export const CATEGORY_SCHEMA = {
   id: null, // Auto-generated UUID
   name: '',
-  budgetLimit: 0,
+  budgetLimit: 0, // Default allocation for months without a budget plan
   color: '#00d4aa',
   icon: null,
+  rolloverMode: 'reset', // What happens to the balance when the month closes
   order: 0, // For drag-drop reordering
   createdAt: null,
   updatedAt: null
 };
 
+/**
+ * Rollover modes for category balances at month close
+ * - reset: the next month starts from its own allocation
+ * - surplus: unspent money is added to the next month
+ * - deficit: overspending is subtracted from the next month
+ */
+export const ROLLOVER_MODES = [
+  { value: 'reset', label: 'Reiniciar cada mes' },
+  { value: 'surplus', label: 'Acumular lo que sobre' },
+  { value: 'deficit', label: 'Descontar lo excedido' }
+];
+
+/**
+ * How annual income is budgeted
+ * - lump: the full amount is assigned in the month it arrives
+ * - spread: a twelfth of it counts as income every month
+ */
+export const INCOME_DISTRIBUTIONS = [
+  { value: 'lump', label: 'Asignar completo al recibirlo' },
+  { value: 'spread', label: 'Repartir en 12 meses' }
+];
+
 /**
  * Expense schema
  * Individual expenses linked to categories
@@ -78,13 +193,31 @@ export const EXPENSE_SCHEMA = {
   id: null, // Auto-generated UUID
   categoryId: null, // Foreign key to category
   description: '',
-  amount: 0,
+  amount: 0, // In the budget currency (converted when paid in another currency)
+  originalCurrency: null, // ISO 4217 code when paid in another currency
+  originalAmount: null, // Amount paid, in originalCurrency's minor units
+  exchangeRate: null, // Rate used for the conversion
+  importId: null, // Bank transaction ID (OFX FITID) of imported expenses
   date: null, // ISO date string
   month: null, // YYYY-MM format for filtering
   createdAt: null,
   updatedAt: null
 };
 
+/**
+ * Monthly Budget schema
+ * Budget plan for a single month (income and category allocations)
+ */
+export const MONTHLY_BUDGET_SCHEMA = {
+  id: null, // YYYY-MM format (unique per month)
+  month: null, // YYYY-MM format
+  monthlyIncome: 0,
+  allocations: {}, // { [categoryId]: amount }
+  carryover: {}, // { [categoryId]: amount } carried from the previous month
+  createdAt: null,
+  updatedAt: null
+};
+
 /**
  * Monthly Archive schema
  * Snapshot of a closed month
@@ -94,17 +227,212 @@ export const MONTHLY_ARCHIVE_SCHEMA = {
   month: null, // YYYY-MM format
   closedAt: null, // ISO timestamp when closed
   summary: {
-    monthlyIncome: 0,
-    totalFixedExpenses: 0,
+    monthlyIncome: 0, // Expected income
+    receivedIncome: 0, // Income actually received
+    regularIncome: 0, // Salary and other monthly sources
+    irregularIncome: 0, // Annual income (Bono 14, Aguinaldo) counted this month
+    totalFixedExpenses: 0, // Includes sinking fund contributions
     totalBudgeted: 0,
+    totalGoals: 0, // Contributions to savings goals
     totalSpent: 0,
     totalSaved: 0
   },
+  incomes: [], // Snapshot of income sources with isReceived for the month
   fixedExpenses: [], // Snapshot of fixed expenses
+  sinkingFunds: [], // Snapshot of sinking funds with the month's contribution
+  goals: [], // Snapshot of savings goals with the month's contribution
   categories: [], // Snapshot with spending data
   expenses: [] // All expenses for the month
 };
 
+/**
+ * Archive Revision schema
+ * Copy of an archive taken before it is reopened or edited
+ */
+export const ARCHIVE_REVISION_SCHEMA = {
+  id: null, // Auto-generated UUID
+  month: null, // YYYY-MM of the archive
+  reason: 'edit', // 'reopen' or 'edit'
+  archive: null, // Full archive as it was before the change
+  createdAt: null
+};
+
+/**
+ * Money fields of each store, kept in integer minor units (centavos) since v9
+ * Monthly budgets also hold the allocations and carryover maps;
+ * archives use ARCHIVE_AMOUNT_FIELDS for their snapshots.
+ */
+export const AMOUNT_FIELDS = {
+  [STORES.SETTINGS]: ['monthlyIncome'],
+  [STORES.FIXED_EXPENSES]: ['amount'],
+  [STORES.CATEGORIES]: ['budgetLimit'],
+  [STORES.EXPENSES]: ['amount'],
+  [STORES.MONTHLY_BUDGETS]: ['monthlyIncome'],
+  [STORES.INCOMES]: ['amount'],
+  [STORES.SINKING_FUNDS]: ['targetAmount', 'balance'],
+  [STORES.GOALS]: ['targetAmount', 'monthlyContribution', 'initialBalance']
+};
+
+/**
+ * Money fields inside an archive, by section
+ */
+export const ARCHIVE_AMOUNT_FIELDS = {
+  summary: [
+    'monthlyIncome', 'receivedIncome', 'regularIncome', 'irregularIncome',
+    'totalFixedExpenses', 'totalBudgeted', 'totalGoals', 'totalSpent', 'totalSaved'
+  ],
+  incomes: ['amount', 'budgetedAmount'],
+  fixedExpenses: ['amount'],
+  sinkingFunds: ['targetAmount', 'balance', 'contribution'],
+  goals: ['targetAmount', 'balance', 'contribution'],
+  categories: ['budgetLimit', 'carried', 'available', 'spent', 'remaining', 'rolledOver'],
+  expenses: ['amount']
+};
+
+/**
+ * Backup file schema, checked before an import writes anything
+ * Field types: 'id', 'text' (non-empty), 'amount' (integer minor units), 'number',
+ * 'date' (YYYY-MM-DD), 'month' (YYYY-MM), 'object' and 'array'.
+ * A trailing '?' allows the field to be missing or null.
+ */
+export const BACKUP_SCHEMA = {
+  settings: { currency: 'text?', monthlyIncome: 'amount?', periodStartDay: 'number?' },
+  fixedExpenses: { id: 'id', name: 'text', amount: 'amount' },
+  categories: { id: 'id', name: 'text', budgetLimit: 'amount' },
+  expenses: { id: 'id', categoryId: 'id', amount: 'amount', date: 'date', month: 'month' },
+  monthlyArchives: { id: 'id', month: 'month', summary: 'object', categories: 'array', expenses: 'array' },
+  monthlyBudgets: { id: 'id', month: 'month', monthlyIncome: 'amount?', allocations: 'object?', carryover: 'object?' },
+  incomes: { id: 'id', name: 'text', amount: 'amount' },
+  sinkingFunds: { id: 'id', name: 'text', targetAmount: 'amount', balance: 'amount?' },
+  goals: { id: 'id', name: 'text', targetAmount: 'amount', monthlyContribution: 'amount?', initialBalance: 'amount?' },
+  archiveRevisions: { id: 'id', month: 'month', archive: 'object' },
+  exchangeRates: { id: 'id', currency: 'text', rate: 'number', effectiveDate: 'date' },
+  importProfiles: { id: 'id', name: 'text' }
+};
+
+/**
+ * Schema of the expenses kept inside a backup's archives
+ */
+export const BACKUP_ARCHIVED_EXPENSE_SCHEMA = { id: 'id', amount: 'amount', date: 'date' };
+
+/**
+ * Exchange Rate schema
+ * Manual rates to the budget currency; an expense uses the latest rate
+ * effective on or before its date
+ */
+export const EXCHANGE_RATE_SCHEMA = {
+  id: null, // Auto-generated UUID
+  currency: null, // ISO 4217 code of the foreign currency
+  rate: 0, // Budget currency units per 1 unit of the foreign currency
+  effectiveDate: null, // YYYY-MM-DD the rate applies from
+  createdAt: null,
+  updatedAt: null
+};
+
+/**
+ * Import Profile schema
+ * Saved column mapping for a bank's CSV statements
+ * Columns are matched by header name, ignoring case and accents
+ */
+export const IMPORT_PROFILE_SCHEMA = {
+  id: null, // Auto-generated UUID
+  name: '',
+  dateColumn: '', // Header of the transaction date column
+  descriptionColumn: '', // Header of the description column
+  amountColumn: '', // Header of the amount (or debits) column
+  amountSign: 'positive', // 'positive': expenses are positive (debits column), 'negative': expenses are negative
+  dateFormat: 'DD/MM/YYYY', // One of IMPORT_DATE_FORMATS
+  decimalFormat: 'dot', // One of IMPORT_DECIMAL_FORMATS
+  createdAt: null,
+  updatedAt: null
+};
+
+/**
+ * Snapshot schema
+ * Automatic local copy of the full backup, kept outside the backup stores
+ * so it survives an import that replaces everything
+ */
+export const SNAPSHOT_SCHEMA = {
+  id: null, // Auto-generated UUID
+  reason: 'scheduled', // 'scheduled', 'closeMonth' or 'import'
+  month: null, // YYYY-MM being closed, for 'closeMonth' snapshots
+  counts: {}, // { [backup section]: record count } for the restore list
+  backup: null, // Full backup as returned by exportData
+  createdAt: null
+};
+
+/**
+ * Snapshots kept before the oldest ones are deleted
+ */
+export const SNAPSHOT_LIMIT = 10;
+
+/**
+ * Hours between scheduled snapshots while the app is in use
+ */
+export const SNAPSHOT_INTERVAL_HOURS = 24;
+
+/**
+ * Built-in profiles for Guatemalan bank exports
+ * Starting points: the user can adjust the mapping and save their own
+ */
+export const BANK_IMPORT_PRESETS = [
+  {
+    id: 'preset-bi',
+    name: 'Banco Industrial',
+    dateColumn: 'Fecha',
+    descriptionColumn: 'Descripción',
+    amountColumn: 'Débito',
+    amountSign: 'positive',
+    dateFormat: 'DD/MM/YYYY',
+    decimalFormat: 'dot'
+  },
+  {
+    id: 'preset-bam',
+    name: 'BAM',
+    dateColumn: 'Fecha',
+    descriptionColumn: 'Descripción',
+    amountColumn: 'Cargos',
+    amountSign: 'positive',
+    dateFormat: 'DD/MM/YYYY',
+    decimalFormat: 'dot'
+  },
+  {
+    id: 'preset-banrural',
+    name: 'Banrural',
+    dateColumn: 'Fecha',
+    descriptionColumn: 'Descripción',
+    amountColumn: 'Débitos',
+    amountSign: 'positive',
+    dateFormat: 'DD/MM/YYYY',
+    decimalFormat: 'dot'
+  }
+];
+
+/**
+ * Date formats accepted in statement imports
+ */
+export const IMPORT_DATE_FORMATS = [
+  { value: 'DD/MM/YYYY', label: 'Día/Mes/Año (31/12/2026)' },
+  { value: 'MM/DD/YYYY', label: 'Mes/Día/Año (12/31/2026)' },
+  { value: 'YYYY-MM-DD', label: 'Año-Mes-Día (2026-12-31)' }
+];
+
+/**
+ * Decimal formats accepted in statement imports
+ */
+export const IMPORT_DECIMAL_FORMATS = [
+  { value: 'dot', label: 'Punto decimal (1,234.56)' },
+  { value: 'comma', label: 'Coma decimal (1.234,56)' }
+];
+
+/**
+ * How expenses appear in the amount column
+ */
+export const IMPORT_AMOUNT_SIGNS = [
+  { value: 'positive', label: 'Positivos (columna de débitos o cargos)' },
+  { value: 'negative', label: 'Negativos (una sola columna de monto)' }
+];
+
 /**
  * Default category colors
  */
@@ -143,5 +471,31 @@ export const STORE_INDEXES = {
   [STORES.MONTHLY_ARCHIVES]: [
     { name: 'month', keyPath: 'month' },
     { name: 'closedAt', keyPath: 'closedAt' }
+  ],
+  [STORES.MONTHLY_BUDGETS]: [
+    { name: 'month', keyPath: 'month' }
+  ],
+  [STORES.INCOMES]: [
+    { name: 'createdAt', keyPath: 'createdAt' }
+  ],
+  [STORES.SINKING_FUNDS]: [
+    { name: 'dueDate', keyPath: 'dueDate' }
+  ],
+  [STORES.GOALS]: [
+    { name: 'createdAt', keyPath: 'createdAt' }
+  ],
+  [STORES.ARCHIVE_REVISIONS]: [
+    { name: 'month', keyPath: 'month' },
+    { name: 'createdAt', keyPath: 'createdAt' }
+  ],
+  [STORES.EXCHANGE_RATES]: [
+    { name: 'currency', keyPath: 'currency' },
+    { name: 'effectiveDate', keyPath: 'effectiveDate' }
+  ],
+  [STORES.IMPORT_PROFILES]: [
+    { name: 'createdAt', keyPath: 'createdAt' }
+  ],
+  [STORES.SNAPSHOTS]: [
+    { name: 'createdAt', keyPath: 'createdAt' }
   ]
 };
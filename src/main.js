@@ -4,18 +4,24 @@
  */
 
 import './styles/index.css';
-import { getDB } from './db/database.js';
+import { getDB, getSettings, getUnclosedMonths, isGracePeriodOver, closeMonths, takeScheduledSnapshot } from './db/database.js';
 import { getIcon } from './components/Icons.js';
-import { renderDashboard, initDashboard, destroyDashboardCharts } from './components/Dashboard.js';
+import { renderDashboard, initDashboard, destroyDashboardCharts, setSelectedMonth } from './components/Dashboard.js';
 import { renderFixedExpenses, initFixedExpenses } from './components/FixedExpenses.js';
 import { renderCategories, initCategories, openAddExpenseModal } from './components/Categories.js';
 import { renderHistory, initHistory } from './components/History.js';
+import { renderBudgetAssignment, initBudgetAssignment } from './components/BudgetAssignment.js';
+import { renderGoals, initGoals } from './components/Goals.js';
 import { renderSettings, initSettings } from './components/Settings.js';
 import { handleError, showToast } from './utils/errorHandler.js';
+import { getMonthName } from './utils/helpers.js';
+import { confirm } from './components/Modal.js';
+import { getCurrentRoute, navigate, startRouter } from './utils/router.js';
 
 // App state
 const state = {
   currentView: 'dashboard',
+  snapshotInterval: null,
   isLoading: true
 };
 
@@ -49,9 +55,25 @@ async function init() {
     
     state.isLoading = false;
     
+    // Start on the view in the URL
+    const route = getCurrentRoute();
+    applyRoute(route);
+    navigate(route, { replace: true, silent: true });
+    startRouter(showRoute);
+    
     // Render initial view
     await renderApp();
     
+    if (route.action === 'add-expense') {
+      openQuickExpense();
+    }
+    
+    // Archive months that ended without being closed
+    await checkMonthRollover();
+    
+    // Keep a recent local snapshot while the app is open
+    scheduleSnapshots();
+    
     // Register service worker
     registerServiceWorker();
     
@@ -62,6 +84,62 @@ async function init() {
   }
 }
 
+/**
+ * Close past months that were left open at the calendar boundary
+ * With a grace period set, months past it close on their own;
+ * otherwise the user is asked before archiving them in order.
+ */
+async function checkMonthRollover() {
+  try {
+    const [settings, months] = await Promise.all([
+      getSettings(),
+      getUnclosedMonths()
+    ]);
+    if (months.length === 0) return;
+    
+    const graceDays = settings?.autoCloseGraceDays;
+    let toClose;
+    
+    if (graceDays !== null && graceDays !== undefined) {
+      // Months are closed in order, so stop at the first one still in its grace period
+      const pendingIndex = months.findIndex(month => !isGracePeriodOver(month, graceDays));
+      toClose = pendingIndex === -1 ? months : months.slice(0, pendingIndex);
+    } else {
+      const names = months.map(getMonthName).join(', ');
+      const confirmed = await confirm({
+        title: months.length > 1 ? 'Meses sin cerrar' : 'Mes sin cerrar',
+        message: `${names} ${months.length > 1 ? 'terminaron' : 'terminó'} sin cerrarse. ¿Archivar${months.length > 1 ? 'los en orden' : 'lo'} ahora?`,
+        confirmText: 'Cerrar',
+        cancelText: 'Ahora no'
+      });
+      toClose = confirmed ? months : [];
+    }
+    
+    if (toClose.length === 0) return;
+    
+    await closeMonths(toClose);
+    showToast(
+      toClose.length > 1 ? `${toClose.length} meses cerrados` : `${getMonthName(toClose[0])} cerrado`,
+      'success'
+    );
+    await refreshCurrentView();
+  } catch (error) {
+    handleError(error, 'checkMonthRollover');
+  }
+}
+
+/**
+ * Take a snapshot now if one is due, then check again every hour
+ */
+function scheduleSnapshots() {
+  const check = () => takeScheduledSnapshot()
+    .catch(error => handleError(error, 'takeScheduledSnapshot'));
+  
+  clearInterval(state.snapshotInterval);
+  check();
+  state.snapshotInterval = setInterval(check, 60 * 60 * 1000);
+}
+
 /**
  * Render the full application
  */
@@ -136,9 +214,14 @@ async function renderCurrentView() {
     case 'fixed':
       return renderFixedExpenses();
     case 'categories':
-      return renderCategories();
+      // Views update the URL silently as categories expand, so read it here
+      return renderCategories(getCurrentRoute().categoryId);
     case 'history':
       return renderHistory();
+    case 'assign':
+      return renderBudgetAssignment();
+    case 'goals':
+      return renderGoals();
     case 'settings':
       return renderSettings();
     default:
@@ -161,7 +244,13 @@ function initCurrentView() {
       initCategories(refreshCurrentView);
       break;
     case 'history':
-      initHistory();
+      initHistory(refreshCurrentView);
+      break;
+    case 'assign':
+      initBudgetAssignment();
+      break;
+    case 'goals':
+      initGoals(refreshCurrentView);
       break;
     case 'settings':
       initSettings(refreshCurrentView);
@@ -174,85 +263,14 @@ function initCurrentView() {
  */
 function initNavigation() {
   document.querySelectorAll('.nav-item').forEach(item => {
-    item.addEventListener('click', async () => {
+    item.addEventListener('click', () => {
       const view = item.dataset.view;
       if (view !== state.currentView) {
-        // Cleanup current view
-        if (state.currentView === 'dashboard') {
-          destroyDashboardCharts();
-        }
-        
-        const mainContent = document.getElementById('main-content');
-        state.currentView = view;
-        
-        // Simple fade transition without flicker
-        if (mainContent) {
-          mainContent.style.opacity = '0';
-          mainContent.style.transform = 'translateY(10px)';
-          
-          await refreshCurrentView();
-          
-          // Trigger reflow and animate in
-          requestAnimationFrame(() => {
-            mainContent.style.transition = 'opacity 0.15s ease-out, transform 0.15s ease-out';
-            mainContent.style.opacity = '1';
-            mainContent.style.transform = 'translateY(0)';
-            
-            setTimeout(() => {
-              mainContent.style.transition = '';
-            }, 150);
-          });
-        } else {
-          await refreshCurrentView();
-        }
-        
-        // Update nav state
-        document.querySelectorAll('.nav-item').forEach(nav => {
-          nav.classList.toggle('active', nav.dataset.view === view);
-        });
+        navigate({ view });
       }
     });
   });
   
-  // Custom navigation events
-  window.addEventListener('navigate', async (e) => {
-    const { view, categoryId } = e.detail;
-    if (view) {
-      // Cleanup current view
-      if (state.currentView === 'dashboard') {
-        destroyDashboardCharts();
-      }
-      
-      const mainContent = document.getElementById('main-content');
-      state.currentView = view;
-      
-      // Simple fade transition
-      if (mainContent) {
-        mainContent.style.opacity = '0';
-        mainContent.style.transform = 'translateY(10px)';
-        
-        await refreshCurrentView(categoryId);
-        
-        requestAnimationFrame(() => {
-          mainContent.style.transition = 'opacity 0.15s ease-out, transform 0.15s ease-out';
-          mainContent.style.opacity = '1';
-          mainContent.style.transform = 'translateY(0)';
-          
-          setTimeout(() => {
-            mainContent.style.transition = '';
-          }, 150);
-        });
-      } else {
-        await refreshCurrentView(categoryId);
-      }
-      
-      // Update nav state
-      document.querySelectorAll('.nav-item').forEach(nav => {
-        nav.classList.toggle('active', nav.dataset.view === view);
-      });
-    }
-  });
-  
   // Listen for expense changes to refresh
   window.addEventListener('expense-changed', () => {
     if (state.currentView === 'dashboard') {
@@ -262,28 +280,84 @@ function initNavigation() {
 }
 
 /**
- * Initialize FAB button
+ * Make a route the current one
+ * @param {Object} route - Parsed route from the router
  */
-async function initFAB() {
-  const fab = document.getElementById('fab-btn');
-  const categories = await import('./db/database.js').then(m => m.getAllCategories());
+function applyRoute(route) {
+  state.currentView = route.view;
+  setSelectedMonth(route.view === 'dashboard' ? route.month : null);
+}
+
+/**
+ * Show a route: set the view and its selection, then render with a fade
+ * @param {Object} route - Parsed route from the router
+ */
+async function showRoute(route) {
+  if (route.action === 'add-expense') {
+    navigate({ view: 'dashboard' }, { replace: true });
+    openQuickExpense();
+    return;
+  }
   
-  fab?.addEventListener('click', async () => {
-    if (categories.length === 0) {
-      // No categories, redirect to create one
-      state.currentView = 'categories';
-      await refreshCurrentView();
-      document.querySelectorAll('.nav-item').forEach(nav => {
-        nav.classList.toggle('active', nav.dataset.view === 'categories');
-      });
-      return;
-    }
+  // Cleanup current view
+  if (state.currentView === 'dashboard') {
+    destroyDashboardCharts();
+  }
+  
+  applyRoute(route);
+  
+  const mainContent = document.getElementById('main-content');
+  
+  // Simple fade transition without flicker
+  if (mainContent) {
+    mainContent.style.opacity = '0';
+    mainContent.style.transform = 'translateY(10px)';
     
-    // Open quick expense modal with category selector
-    openQuickExpenseModal(categories);
+    await refreshCurrentView();
+    
+    // Trigger reflow and animate in
+    requestAnimationFrame(() => {
+      mainContent.style.transition = 'opacity 0.15s ease-out, transform 0.15s ease-out';
+      mainContent.style.opacity = '1';
+      mainContent.style.transform = 'translateY(0)';
+      
+      setTimeout(() => {
+        mainContent.style.transition = '';
+      }, 150);
+    });
+  } else {
+    await refreshCurrentView();
+  }
+  
+  // Update nav state
+  document.querySelectorAll('.nav-item').forEach(nav => {
+    nav.classList.toggle('active', nav.dataset.view === route.view);
   });
 }
 
+/**
+ * Initialize FAB button
+ */
+function initFAB() {
+  document.getElementById('fab-btn')?.addEventListener('click', openQuickExpense);
+}
+
+/**
+ * Open the quick expense modal, or the categories view when there are none yet
+ */
+async function openQuickExpense() {
+  const categories = await import('./db/database.js').then(m => m.getAllCategories());
+  
+  if (categories.length === 0) {
+    // No categories, redirect to create one
+    navigate({ view: 'categories' });
+    return;
+  }
+  
+  // Open quick expense modal with category selector
+  openQuickExpenseModal(categories);
+}
+
 /**
  * Open quick expense modal
  */
@@ -293,6 +367,8 @@ async function openQuickExpenseModal(categories) {
   const { showToast } = await import('./utils/errorHandler.js');
   const { validateForm } = await import('./utils/errorHandler.js');
   const { getTodayDate } = await import('./utils/helpers.js');
+  const { toMinor } = await import('./utils/money.js');
+  const { renderExpenseCurrencyField } = await import('./components/ExpenseCurrency.js');
   
   openModal({
     title: 'Gasto Rápido',
@@ -303,6 +379,7 @@ async function openQuickExpenseModal(categories) {
           <input type="number" id="quick-amount" name="amount" class="form-input form-input-large" 
                  placeholder="0.00" min="0" step="0.01" required autofocus>
         </div>
+        ${renderExpenseCurrencyField()}
         <div class="form-group">
           <label class="form-label" for="quick-category">Categoría</label>
           <select id="quick-category" name="categoryId" class="form-input form-select" required>
@@ -331,7 +408,8 @@ async function openQuickExpenseModal(categories) {
         await createExpense({
           categoryId: data.categoryId,
           description: data.description?.trim() || '',
-          amount: parseFloat(data.amount),
+          amount: toMinor(data.amount),
+          currency: data.currency || null,
           date: getTodayDate()
         });
         
@@ -349,16 +427,12 @@ async function openQuickExpenseModal(categories) {
 /**
  * Refresh current view
  */
-async function refreshCurrentView(categoryId = null) {
+async function refreshCurrentView() {
   const main = document.getElementById('main-content');
   if (!main) return;
   
   try {
-    if (state.currentView === 'categories' && categoryId) {
-      main.innerHTML = await renderCategories(categoryId);
-    } else {
-      main.innerHTML = await renderCurrentView();
-    }
+    main.innerHTML = await renderCurrentView();
     initCurrentView();
   } catch (error) {
     handleError(error, 'refreshCurrentView');
@@ -5,9 +5,12 @@
 
 import * as db from '../db/database.js';
 import { calculatePercentage } from '../utils/helpers.js';
+import * as money from '../utils/money.js';
+import { DEFAULT_CURRENCY } from '../db/schema.js';
 
 /**
  * Get complete budget overview
+ * All amounts are in integer minor units
  * @param {string} [month] - Optional month in YYYY-MM format (defaults to current)
  * @returns {Promise<Object>} Budget summary
  */
@@ -20,27 +23,39 @@ export async function getBudgetOverview(month = null) {
   
   if (archive) {
     // Use archived data for past months
-    const { summary, fixedExpenses, categories, expenses } = archive;
+    const { summary, fixedExpenses, sinkingFunds, categories, expenses } = archive;
     const monthlyIncome = summary.monthlyIncome || 0;
-    const totalFixedExpenses = fixedExpenses.reduce((sum, e) => sum + e.amount, 0);
-    const totalBudgeted = categories.reduce((sum, c) => sum + c.budgetLimit, 0);
-    const totalSpent = expenses.reduce((sum, e) => sum + e.amount, 0);
+    // Archives made before income sources have no received amount
+    const receivedIncome = summary.receivedIncome ?? monthlyIncome;
+    const irregularIncome = summary.irregularIncome || 0;
+    const totalSinkingFunds = money.sumBy(sinkingFunds, 'contribution');
+    const totalFixedExpenses = money.sumBy(fixedExpenses, 'amount') + totalSinkingFunds;
+    const totalBudgeted = money.sumBy(categories, 'budgetLimit');
+    const totalGoals = summary.totalGoals || 0;
+    const totalSpent = money.sumBy(expenses, 'amount');
     
     const availableForBudget = monthlyIncome - totalFixedExpenses;
     const remainingBudget = totalBudgeted - totalSpent;
-    const unassigned = availableForBudget - totalBudgeted;
-    const realAvailable = monthlyIncome - totalFixedExpenses - totalSpent;
+    const unassigned = availableForBudget - totalBudgeted - totalGoals;
+    const realAvailable = monthlyIncome - totalFixedExpenses - totalSpent - totalGoals;
     
     return {
       monthlyIncome,
+      expectedIncome: monthlyIncome,
+      receivedIncome,
+      pendingIncome: monthlyIncome - receivedIncome,
+      regularIncome: monthlyIncome - irregularIncome,
+      irregularIncome,
       totalFixedExpenses,
+      totalSinkingFunds,
       totalBudgeted,
+      totalGoals,
       totalSpent,
       availableForBudget,
       remainingBudget,
       unassigned,
       realAvailable,
-      currency: summary.currency || 'Q',
+      currency: summary.currency || DEFAULT_CURRENCY,
       currentMonth: targetMonth,
       isCurrentMonth: false,
       isArchived: true,
@@ -50,18 +65,27 @@ export async function getBudgetOverview(month = null) {
     };
   }
   
-  // Use current configuration for current month (or unarchived months)
-  const [settings, fixedExpenses, categories, expenses] = await Promise.all([
+  // Use the month's budget plan for current (or unarchived) months
+  const [settings, income, fixedExpenses, sinkingFunds, goals, categories, expenses] = await Promise.all([
     db.getSettings(),
+    db.getIncomeForMonth(targetMonth),
     db.getAllFixedExpenses(),
-    db.getAllCategories(),
+    db.getSinkingFundsForMonth(targetMonth),
+    db.getGoalsForMonth(targetMonth),
+    db.getCategoriesForMonth(targetMonth),
     db.getExpensesForMonth(targetMonth)
   ]);
   
-  const monthlyIncome = settings?.monthlyIncome || 0;
-  const totalFixedExpenses = fixedExpenses.reduce((sum, e) => sum + e.amount, 0);
-  const totalBudgeted = categories.reduce((sum, c) => sum + c.budgetLimit, 0);
-  const totalSpent = expenses.reduce((sum, e) => sum + e.amount, 0);
+  // Expected income plans the month; received is what actually arrived
+  const monthlyIncome = income.expected;
+  const receivedIncome = income.received;
+  // Sinking fund contributions are set aside like any other fixed expense
+  const totalSinkingFunds = sinkingFunds.total;
+  const totalFixedExpenses = money.sumBy(fixedExpenses, 'amount') + totalSinkingFunds;
+  const totalBudgeted = money.sumBy(categories, 'budgetLimit');
+  // Goal contributions are budget lines of their own
+  const totalGoals = goals.total;
+  const totalSpent = money.sumBy(expenses, 'amount');
   
   // Available for budgeting (after fixed expenses)
   const availableForBudget = monthlyIncome - totalFixedExpenses;
@@ -69,22 +93,30 @@ export async function getBudgetOverview(month = null) {
   // Remaining from budgets (unspent from category limits)
   const remainingBudget = totalBudgeted - totalSpent;
   
-  // Unassigned money (available but not assigned to categories)
-  const unassigned = availableForBudget - totalBudgeted;
+  // Unassigned money (available but not assigned to categories or goals)
+  const unassigned = availableForBudget - totalBudgeted - totalGoals;
   
   // Real available (what's actually left)
-  const realAvailable = monthlyIncome - totalFixedExpenses - totalSpent;
+  const realAvailable = monthlyIncome - totalFixedExpenses - totalSpent - totalGoals;
   
   return {
     monthlyIncome,
+    expectedIncome: monthlyIncome,
+    receivedIncome,
+    pendingIncome: monthlyIncome - receivedIncome,
+    // Salary vs annual income (Bono 14, Aguinaldo) kept apart
+    regularIncome: income.regular,
+    irregularIncome: income.irregular,
     totalFixedExpenses,
+    totalSinkingFunds,
     totalBudgeted,
+    totalGoals,
     totalSpent,
     availableForBudget,
     remainingBudget,
     unassigned,
     realAvailable,
-    currency: settings?.currency || 'Q',
+    currency: settings?.currency || DEFAULT_CURRENCY,
     currentMonth: targetMonth,
     isCurrentMonth,
     isArchived: false,
@@ -98,19 +130,21 @@ export async function getBudgetOverview(month = null) {
 /**
  * Get category with spending details
  * @param {string} categoryId - Category ID
+ * @param {string} [month] - Optional month in YYYY-MM format (defaults to current)
  * @returns {Promise<Object|null>} Category with spending info
  */
-export async function getCategoryWithSpending(categoryId) {
-  const [category, expenses] = await Promise.all([
-    db.getCategory(categoryId),
-    db.getExpensesByCategory(categoryId)
+export async function getCategoryWithSpending(categoryId, month = null) {
+  const [categories, expenses] = await Promise.all([
+    db.getCategoriesForMonth(month),
+    db.getExpensesByCategory(categoryId, month)
   ]);
   
+  const category = categories.find(c => c.id === categoryId);
   if (!category) return null;
   
-  const spent = expenses.reduce((sum, e) => sum + e.amount, 0);
-  const remaining = category.budgetLimit - spent;
-  const percentage = calculatePercentage(spent, category.budgetLimit);
+  const spent = money.sumBy(expenses, 'amount');
+  const remaining = category.available - spent;
+  const percentage = calculatePercentage(spent, category.available);
   
   return {
     ...category,
@@ -135,20 +169,27 @@ export async function getAllCategoriesWithSpending(month = null) {
   
   if (archive) {
     // Use archived categories with their historical budgets and spending
-    return archive.categories.map(category => ({
-      ...category,
-      // Ensure we have all required fields
-      spent: category.spent || 0,
-      remaining: category.remaining || (category.budgetLimit - (category.spent || 0)),
-      percentage: category.percentage || calculatePercentage(category.spent || 0, category.budgetLimit),
-      expenseCount: archive.expenses.filter(e => e.categoryId === category.id).length
-    }));
+    return archive.categories.map(category => {
+      // Archives made before envelope rollover have no carried amount
+      const carried = category.carried || 0;
+      const available = category.available ?? (category.budgetLimit + carried);
+      return {
+        ...category,
+        // Ensure we have all required fields
+        carried,
+        available,
+        spent: category.spent || 0,
+        remaining: category.remaining ?? (available - (category.spent || 0)),
+        percentage: category.percentage || calculatePercentage(category.spent || 0, available),
+        expenseCount: archive.expenses.filter(e => e.categoryId === category.id).length
+      };
+    });
   }
   
-  // Use current configuration for current month
+  // Use the month's budget plan for current (or unarchived) months
   const [categories, expenses] = await Promise.all([
-    db.getAllCategories(),
-    db.getExpensesForMonth(month)
+    db.getCategoriesForMonth(targetMonth),
+    db.getExpensesForMonth(targetMonth)
   ]);
   
   // Group expenses by category
@@ -162,9 +203,9 @@ export async function getAllCategoriesWithSpending(month = null) {
   
   return categories.map(category => {
     const categoryExpenses = expensesByCategory[category.id] || [];
-    const spent = categoryExpenses.reduce((sum, e) => sum + e.amount, 0);
-    const remaining = category.budgetLimit - spent;
-    const percentage = calculatePercentage(spent, category.budgetLimit);
+    const spent = money.sumBy(categoryExpenses, 'amount');
+    const remaining = category.available - spent;
+    const percentage = calculatePercentage(spent, category.available);
     
     return {
       ...category,
@@ -179,7 +220,7 @@ export async function getAllCategoriesWithSpending(month = null) {
 /**
  * Check if user can add expense to category
  * @param {string} categoryId - Category ID
- * @param {number} amount - Expense amount
+ * @param {number} amount - Expense amount in minor units
  * @returns {Promise<Object>} Validation result
  */
 export async function validateExpenseAddition(categoryId, amount) {
@@ -189,10 +230,10 @@ export async function validateExpenseAddition(categoryId, amount) {
     return { valid: false, message: 'Categoría no encontrada' };
   }
   
-  const wouldExceed = categoryData.spent + amount > categoryData.budgetLimit;
+  const wouldExceed = categoryData.spent + amount > categoryData.available;
   const newPercentage = calculatePercentage(
     categoryData.spent + amount,
-    categoryData.budgetLimit
+    categoryData.available
   );
   
   return {
@@ -250,8 +291,96 @@ export async function getBudgetVsActual() {
   
   return categoriesWithSpending.map(c => ({
     name: c.name,
-    budget: c.budgetLimit,
+    budget: c.available,
     actual: c.spent,
     color: c.color
   }));
 }
+
+/**
+ * Get data for the zero-based assignment screen
+ * @param {string} [month] - Month in YYYY-MM format (defaults to current)
+ * @returns {Promise<Object>} Money available to assign and categories with last month's spending
+ */
+export async function getAssignmentOverview(month = null) {
+  const targetMonth = month || db.getCurrentMonth();
+  const previousMonth = db.getPreviousMonth(targetMonth);
+  
+  const [overview, categories, previousCategories] = await Promise.all([
+    getBudgetOverview(targetMonth),
+    db.getCategoriesForMonth(targetMonth),
+    getAllCategoriesWithSpending(previousMonth)
+  ]);
+  
+  const lastMonthSpending = {};
+  previousCategories.forEach(c => {
+    lastMonthSpending[c.id] = c.spent || 0;
+  });
+  
+  return {
+    month: targetMonth,
+    previousMonth,
+    currency: overview.currency,
+    // Goal contributions are already spoken for
+    availableForBudget: overview.availableForBudget - overview.totalGoals,
+    unassigned: overview.unassigned,
+    categories: categories.map(c => ({
+      ...c,
+      lastMonthSpent: lastMonthSpending[c.id] || 0
+    }))
+  };
+}
+
+/**
+ * Get savings goals with progress and projected completion
+ * The balance counts archived months; the current month's contribution
+ * is counted as the first step of the projection.
+ * @returns {Promise<Object>} { currency, totalMonthly, goals }
+ */
+export async function getGoalsOverview() {
+  const currentMonth = db.getCurrentMonth();
+  const [settings, { total, goals }] = await Promise.all([
+    db.getSettings(),
+    db.getGoalsForMonth(currentMonth)
+  ]);
+  
+  return {
+    currency: settings?.currency || DEFAULT_CURRENCY,
+    totalMonthly: total,
+    goals: goals.map(goal => {
+      const remaining = Math.max(0, goal.targetAmount - goal.balance);
+      const isCompleted = remaining === 0;
+      const monthsToDeadline = goal.deadline 
+        ? db.getMonthsBetween(currentMonth, goal.deadline) + 1 
+        : null;
+      
+      // Month in which the goal is reached at the current pace
+      let projectedMonth = null;
+      if (isCompleted) {
+        projectedMonth = currentMonth;
+      } else if (goal.monthlyContribution > 0) {
+        const monthsNeeded = Math.ceil(remaining / goal.monthlyContribution);
+        projectedMonth = db.addMonths(currentMonth, monthsNeeded - 1);
+      }
+      
+      const requiredMonthly = monthsToDeadline > 0 
+        ? money.divide(remaining, monthsToDeadline, 'ceil') 
+        : remaining;
+      
+      const isOnTrack = isCompleted || (
+        projectedMonth !== null && 
+        (!goal.deadline || projectedMonth <= goal.deadline)
+      );
+      
+      return {
+        ...goal,
+        remaining,
+        percentage: calculatePercentage(goal.balance, goal.targetAmount),
+        isCompleted,
+        projectedMonth,
+        requiredMonthly,
+        isOnTrack
+      };
+    })
+  };
+}
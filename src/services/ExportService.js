@@ -0,0 +1,212 @@
+/**
+ * Export Service
+ * Builds spreadsheet exports (expense rows, per-category summary and
+ * fixed expenses) from live data and closed months
+ */
+
+import * as db from '../db/database.js';
+import * as money from '../utils/money.js';
+import { toCSV } from '../utils/csv.js';
+import { DEFAULT_CURRENCY } from '../db/schema.js';
+
+/**
+ * Name used for expenses whose category can't be found anywhere
+ */
+const UNKNOWN_CATEGORY = 'Sin categoría';
+
+/**
+ * Columns of each sheet
+ */
+const EXPENSE_COLUMNS = [
+  { header: 'Fecha', type: 'date', width: 12 },
+  { header: 'Categoría', type: 'text', width: 20 },
+  { header: 'Descripción', type: 'text', width: 32 },
+  { header: 'Monto', type: 'amount', width: 14 },
+  { header: 'Moneda', type: 'text', width: 8 },
+  { header: 'Mes', type: 'text', width: 10 }
+];
+
+const SUMMARY_COLUMNS = [
+  { header: 'Categoría', type: 'text', width: 24 },
+  { header: 'Moneda', type: 'text', width: 8 },
+  { header: 'Gastos', type: 'number', width: 10 },
+  { header: 'Total', type: 'amount', width: 14 }
+];
+
+const FIXED_EXPENSE_COLUMNS = [
+  { header: 'Mes', type: 'text', width: 10 },
+  { header: 'Nombre', type: 'text', width: 28 },
+  { header: 'Monto', type: 'amount', width: 14 },
+  { header: 'Moneda', type: 'text', width: 8 }
+];
+
+/**
+ * Months from one month to another, both included
+ */
+function monthRange(fromMonth, toMonth) {
+  const count = db.getMonthsBetween(fromMonth, toMonth);
+  return Array.from({ length: Math.max(count + 1, 0) }, (_, i) => db.addMonths(fromMonth, i));
+}
+
+/**
+ * Total the expense rows by category and currency, largest first,
+ * followed by a total per currency
+ */
+function summarize(expenses) {
+  const groups = new Map();
+  expenses.forEach(expense => {
+    const key = `${expense.category}|${expense.currency}`;
+    const group = groups.get(key) || { category: expense.category, currency: expense.currency, count: 0, total: 0 };
+    group.count++;
+    group.total += expense.amount;
+    groups.set(key, group);
+  });
+  
+  const rows = [...groups.values()].sort((a, b) => b.total - a.total);
+  const currencies = [...new Set(rows.map(row => row.currency))];
+  
+  return [
+    ...rows,
+    ...currencies.map(currency => {
+      const inCurrency = rows.filter(row => row.currency === currency);
+      return {
+        category: 'Total',
+        currency,
+        count: inCurrency.reduce((count, row) => count + row.count, 0),
+        total: money.sumBy(inCurrency, 'total')
+      };
+    })
+  ];
+}
+
+/**
+ * Build the sheets of a spreadsheet export
+ * Pass either a date range, which covers live expenses and closed months,
+ * or a list of closed months. Archived expenses use the category names
+ * stored in their archive, so deleted categories still resolve.
+ * @param {Object} options
+ * @param {string} [options.from] - First date (YYYY-MM-DD) of a date range
+ * @param {string} [options.to] - Last date (YYYY-MM-DD) of a date range
+ * @param {string[]} [options.months] - Closed months (YYYY-MM) to export instead of a range
+ * @returns {Promise<Object>} { sheets: [{ name, file, columns, rows }], expenseCount }
+ */
+export async function buildSpreadsheetExport({ from, to, months } = {}) {
+  const [archives, liveExpenses, categories, fixedExpenses, settings] = await Promise.all([
+    db.getAllArchives(),
+    db.getAllExpenses(),
+    db.getAllCategories(),
+    db.getAllFixedExpenses(),
+    db.getSettings()
+  ]);
+  
+  const currency = settings?.currency || DEFAULT_CURRENCY;
+  const byMonth = new Map(archives.map(archive => [archive.month, archive]));
+  const inRange = (date) => !months && date >= from && date <= to;
+  
+  // Category names from every archive, newest last, for expenses whose category was deleted
+  const currentNames = new Map(categories.map(cat => [cat.id, cat.name]));
+  const archivedNames = new Map();
+  [...archives]
+    .sort((a, b) => a.month.localeCompare(b.month))
+    .forEach(archive => (archive.categories || []).forEach(cat => archivedNames.set(cat.id, cat.name)));
+  
+  const expenses = [];
+  const fixed = [];
+  
+  archives.forEach(archive => {
+    const selected = months?.includes(archive.month);
+    const archiveCurrency = archive.summary?.currency || DEFAULT_CURRENCY;
+    const names = new Map((archive.categories || []).map(cat => [cat.id, cat.name]));
+    
+    (archive.expenses || [])
+      .filter(expense => selected || inRange(expense.date))
+      .forEach(expense => expenses.push({
+        date: expense.date,
+        category: names.get(expense.categoryId) || currentNames.get(expense.categoryId) ||
+          archivedNames.get(expense.categoryId) || UNKNOWN_CATEGORY,
+        description: expense.description || '',
+        amount: expense.amount,
+        currency: archiveCurrency,
+        month: archive.month
+      }));
+  });
+  
+  if (!months) {
+    liveExpenses
+      .filter(expense => inRange(expense.date))
+      .forEach(expense => expenses.push({
+        date: expense.date,
+        category: currentNames.get(expense.categoryId) || archivedNames.get(expense.categoryId) || UNKNOWN_CATEGORY,
+        description: expense.description || '',
+        amount: expense.amount,
+        currency,
+        month: expense.month
+      }));
+  }
+  
+  // Fixed expenses: closed months use their snapshot, open months the current list
+  const currentMonth = db.getCurrentMonth();
+  const fixedMonths = months
+    ? [...months].sort()
+    : monthRange(db.getMonthForDate(from), db.getMonthForDate(to)).filter(month => month <= currentMonth);
+  
+  fixedMonths.forEach(month => {
+    const archive = byMonth.get(month);
+    const items = archive ? (archive.fixedExpenses || []) : fixedExpenses;
+    const itemCurrency = archive ? (archive.summary?.currency || DEFAULT_CURRENCY) : currency;
+    items.forEach(item => fixed.push([month, item.name, money.fromMinor(item.amount), itemCurrency]));
+  });
+  
+  expenses.sort((a, b) => a.date.localeCompare(b.date));
+  
+  return {
+    expenseCount: expenses.length,
+    sheets: [
+      {
+        name: 'Gastos',
+        file: 'gastos',
+        columns: EXPENSE_COLUMNS,
+        rows: expenses.map(e => [e.date, e.category, e.description, money.fromMinor(e.amount), e.currency, e.month])
+      },
+      {
+        name: 'Resumen por categoría',
+        file: 'resumen',
+        columns: SUMMARY_COLUMNS,
+        rows: summarize(expenses).map(g => [g.category, g.currency, g.count, money.fromMinor(g.total)])
+      },
+      {
+        name: 'Gastos fijos',
+        file: 'gastos-fijos',
+        columns: FIXED_EXPENSE_COLUMNS,
+        rows: fixed
+      }
+    ]
+  };
+}
+
+/**
+ * Format a CSV cell: amounts to two decimals, and text that a spreadsheet
+ * would run as a formula (bank descriptions can start with "=" or "-")
+ * prefixed with an apostrophe
+ */
+function formatCSVCell(value, column) {
+  if (column.type === 'amount' && typeof value === 'number') {
+    return value.toFixed(2);
+  }
+  if (column.type === 'text' && typeof value === 'string' && /^[=+\-@]/.test(value)) {
+    return `'${value}`;
+  }
+  return value;
+}
+
+/**
+ * Write a sheet as CSV
+ * @param {Object} sheet - Sheet from buildSpreadsheetExport
+ * @returns {string} CSV content
+ */
+export function sheetToCSV({ columns, rows }) {
+  return toCSV([
+    columns.map(column => column.header),
+    ...rows.map(row => row.map((value, i) => formatCSVCell(value, columns[i])))
+  ]);
+}
@@ -0,0 +1,439 @@
+/**
+ * Import Service
+ * Turns bank statements into expenses: column mapping, duplicate
+ * detection and category suggestions
+ */
+
+import * as db from '../db/database.js';
+import * as money from '../utils/money.js';
+import { parseCSV } from '../utils/csv.js';
+import { parseOFX } from '../utils/ofx.js';
+import { parseQIF } from '../utils/qif.js';
+import { BANK_IMPORT_PRESETS, DEFAULT_CURRENCY } from '../db/schema.js';
+
+/**
+ * Decode a statement file
+ * Banks still export Windows-1252 (Latin-1), so UTF-8 is only used when it is valid
+ * @param {ArrayBuffer} buffer - File content
+ * @returns {string} Text
+ */
+export function decodeStatement(buffer) {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch {
+    return new TextDecoder('windows-1252').decode(buffer);
+  }
+}
+
+/**
+ * Normalize text for comparisons: lowercase, no accents, digits or punctuation
+ * @param {string} text - Header or description
+ * @returns {string} Normalized text
+ */
+export function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Find a column by header name, ignoring case and accents
+ * @param {string[]} headers - Header row
+ * @param {string} name - Header to look for
+ * @returns {number} Column index or -1
+ */
+function findColumn(headers, name) {
+  const target = normalizeText(name);
+  if (!target) return -1;
+  return headers.findIndex(header => normalizeText(header) === target);
+}
+
+/**
+ * Read a CSV statement into a header row and data rows
+ * Bank exports start with account details, so the header is the first row
+ * holding the profile's date column (or any "Fecha"/"Date" column).
+ * @param {string} text - CSV content
+ * @param {Object} [profile] - Import profile
+ * @returns {Object} { headers, rows }
+ */
+export function readCSVStatement(text, profile = null) {
+  const table = parseCSV(text);
+  
+  let headerIndex = profile?.dateColumn
+    ? table.findIndex(row => findColumn(row, profile.dateColumn) !== -1)
+    : -1;
+  if (headerIndex === -1) {
+    headerIndex = table.findIndex(row => row.some(cell => /^(fecha|date)\b/.test(normalizeText(cell))));
+  }
+  if (headerIndex === -1) {
+    headerIndex = 0;
+  }
+  
+  return {
+    headers: table[headerIndex] || [],
+    rows: table.slice(headerIndex + 1)
+  };
+}
+
+/**
+ * Pick the first profile whose columns all appear in the headers
+ * Saved profiles are tried before the built-in ones
+ * @param {string[]} headers - Header row
+ * @param {Object[]} [profiles] - Saved import profiles
+ * @returns {Object|null} Matching profile
+ */
+export function guessProfile(headers, profiles = []) {
+  return [...profiles, ...BANK_IMPORT_PRESETS].find(profile =>
+    [profile.dateColumn, profile.descriptionColumn, profile.amountColumn]
+      .every(column => findColumn(headers, column) !== -1)
+  ) || null;
+}
+
+/**
+ * Find the header in a row that a profile column refers to
+ * @param {string[]} headers - Header row
+ * @param {string} name - Column name saved in a profile
+ * @returns {string} Header as written in the file, or ''
+ */
+export function matchHeader(headers, name) {
+  return headers[findColumn(headers, name)] ?? '';
+}
+
+/**
+ * Parse a statement date
+ * @param {string} value - Date as written in the file (time is ignored)
+ * @param {string} format - One of IMPORT_DATE_FORMATS
+ * @returns {string|null} Date in YYYY-MM-DD format, or null when invalid
+ */
+export function parseStatementDate(value, format) {
+  const parts = String(value || '').match(/\d+/g);
+  if (!parts || parts.length < 3) return null;
+  
+  const order = format.split(/[^A-Z]+/);
+  const get = (token) => parseInt(parts[order.indexOf(token)]);
+  
+  let year = get('YYYY');
+  const month = get('MM');
+  const day = get('DD');
+  if (year < 100) year += 2000;
+  
+  const date = new Date(year, month - 1, day);
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+    return null;
+  }
+  
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Parse a statement amount
+ * Accepts currency symbols, thousands separators, parentheses and trailing minus signs
+ * @param {string} value - Amount as written in the file
+ * @param {string} decimalFormat - 'dot' (1,234.56) or 'comma' (1.234,56)
+ * @returns {number|null} Signed amount in minor units, or null when empty or invalid
+ */
+export function parseStatementAmount(value, decimalFormat) {
+  const text = String(value || '').trim();
+  if (!text) return null;
+  
+  const negative = /^\(.*\)$/.test(text) || /^-|-$/.test(text.replace(/[^\d.,-]/g, ''));
+  let digits = text.replace(/[^\d.,]/g, '');
+  if (!/\d/.test(digits)) return null;
+  
+  digits = decimalFormat === 'comma'
+    ? digits.replace(/\./g, '').replace(',', '.')
+    : digits.replace(/,/g, '');
+  
+  const amount = money.toMinor(digits);
+  return negative ? -amount : amount;
+}
+
+/**
+ * Turn statement rows into expense transactions using a profile's mapping
+ * Credits (the opposite sign of expenses) and empty amounts are skipped.
+ * @param {Object} statement - { headers, rows } from readCSVStatement()
+ * @param {Object} profile - Import profile
+ * @returns {Object} { transactions, skipped, errors }
+ */
+export function mapStatementRows({ headers, rows }, profile) {
+  const columns = {
+    date: findColumn(headers, profile.dateColumn),
+    description: findColumn(headers, profile.descriptionColumn),
+    amount: findColumn(headers, profile.amountColumn)
+  };
+  
+  const missing = Object.entries(columns).filter(([, index]) => index === -1);
+  if (missing.length > 0) {
+    throw new Error('Selecciona las columnas de fecha, descripción y monto');
+  }
+  
+  const transactions = [];
+  const errors = [];
+  let skipped = 0;
+  
+  rows.forEach((row, index) => {
+    const line = index + 1;
+    const amount = parseStatementAmount(row[columns.amount], profile.decimalFormat);
+    
+    if (!amount || (profile.amountSign === 'negative' ? amount > 0 : amount < 0)) {
+      skipped++;
+      return;
+    }
+    
+    const date = parseStatementDate(row[columns.date], profile.dateFormat);
+    if (!date) {
+      errors.push({ line, message: `Fecha inválida: "${row[columns.date] || ''}"` });
+      return;
+    }
+    
+    transactions.push({
+      line,
+      date,
+      description: row[columns.description] || '',
+      amount: Math.abs(amount)
+    });
+  });
+  
+  return { transactions, skipped, errors };
+}
+
+/**
+ * Guess the date format of a file's dates
+ * A part above 12 can only be the day; ambiguous files use day first
+ * @param {string[]} values - Dates as written in the file
+ * @returns {string} One of IMPORT_DATE_FORMATS
+ */
+export function guessDateFormat(values) {
+  const parts = values.map(value => String(value || '').match(/\d+/g) || []);
+  if (parts.some(p => p[0]?.length === 4)) return 'YYYY-MM-DD';
+  if (parts.some(p => parseInt(p[1]) > 12)) return 'MM/DD/YYYY';
+  return 'DD/MM/YYYY';
+}
+
+/**
+ * Guess the decimal format of an amount
+ * @param {string} value - Amount as written in the file
+ * @returns {string} 'comma' when the last separator is a comma followed by cents
+ */
+export function guessDecimalFormat(value) {
+  return /,\d{1,2}\)?-?$/.test(String(value || '').trim()) ? 'comma' : 'dot';
+}
+
+/**
+ * Keep the expenses (negative amounts) of parsed transactions
+ * @param {Object[]} entries - { line, date, amount, description, ... } with amount in signed minor units
+ * @returns {Object} { transactions, skipped, errors } like mapStatementRows()
+ */
+function collectExpenses(entries) {
+  const transactions = [];
+  const errors = [];
+  let skipped = 0;
+  
+  entries.forEach(({ rawDate, ...entry }) => {
+    if (!entry.amount || entry.amount > 0) {
+      skipped++;
+      return;
+    }
+    if (!entry.date) {
+      errors.push({ line: entry.line, message: `Fecha inválida: "${rawDate || ''}"` });
+      return;
+    }
+    transactions.push({ ...entry, amount: Math.abs(entry.amount) });
+  });
+  
+  return { transactions, skipped, errors };
+}
+
+/**
+ * Read the expenses of an OFX statement
+ * Debits are negative in OFX; FITIDs become the expenses' importId
+ * @param {string} text - File content
+ * @returns {Object} { transactions, skipped, errors }
+ */
+export function readOFXStatement(text) {
+  const { accountId, currency, transactions } = parseOFX(text);
+  const statementCurrency = currency ? currency.toUpperCase() : null;
+  if (statementCurrency && money.toCurrencyCode(statementCurrency) !== statementCurrency) {
+    throw new Error(`El estado de cuenta está en ${statementCurrency}, una moneda que la app no maneja`);
+  }
+  
+  return collectExpenses(transactions.map((transaction, index) => {
+    const posted = transaction.posted.slice(0, 8);
+    return {
+      line: index + 1,
+      rawDate: transaction.posted,
+      date: parseStatementDate(`${posted.slice(0, 4)}-${posted.slice(4, 6)}-${posted.slice(6, 8)}`, 'YYYY-MM-DD'),
+      description: [transaction.name, transaction.memo]
+        .filter((part, i, parts) => part && parts.indexOf(part) === i)
+        .join(' - '),
+      amount: parseStatementAmount(transaction.amount, guessDecimalFormat(transaction.amount)),
+      currency: statementCurrency,
+      importId: transaction.fitId ? [accountId, transaction.fitId].filter(Boolean).join(':') : null
+    };
+  }));
+}
+
+/**
+ * Read the expenses of a QIF statement
+ * QIF has no transaction IDs, so duplicates fall back to date and amount
+ * @param {string} text - File content
+ * @returns {Object} { transactions, skipped, errors }
+ */
+export function readQIFStatement(text) {
+  const { transactions } = parseQIF(text);
+  const dateFormat = guessDateFormat(transactions.map(t => t.date));
+  
+  return collectExpenses(transactions.map(transaction => ({
+    line: transaction.line,
+    rawDate: transaction.date,
+    date: parseStatementDate(transaction.date, dateFormat),
+    description: transaction.payee || transaction.memo,
+    amount: parseStatementAmount(transaction.amount, guessDecimalFormat(transaction.amount))
+  })));
+}
+
+/**
+ * Expenses already recorded, live or archived, with the same date and amount
+ * Expenses recorded in another currency are compared in that currency,
+ * since their amount was converted. Each stored expense matches at most one transaction.
+ */
+function findDuplicates(transactions, expenses, budgetCurrency) {
+  const pool = new Map();
+  expenses.forEach(expense => {
+    const key = expense.originalCurrency
+      ? `${expense.date}|${expense.originalCurrency}|${expense.originalAmount}`
+      : `${expense.date}|${budgetCurrency}|${expense.amount}`;
+    pool.set(key, (pool.get(key) || 0) + 1);
+  });
+  
+  return transactions.map(transaction => {
+    const key = `${transaction.date}|${transaction.currency || budgetCurrency}|${transaction.amount}`;
+    const available = pool.get(key) || 0;
+    if (available > 0) {
+      pool.set(key, available - 1);
+      return true;
+    }
+    return false;
+  });
+}
+
+/**
+ * Build a category guesser from past expenses and category names
+ * Tries, in order: the same description, a known description contained
+ * in this one, and a category name contained in the description.
+ * @param {Object[]} expenses - Past expenses, oldest first
+ * @param {Object[]} categories - Current categories
+ * @returns {Function} description => categoryId or null
+ */
+function createCategorySuggester(expenses, categories) {
+  const categoryIds = new Set(categories.map(c => c.id));
+  const known = new Map();
+  expenses.forEach(expense => {
+    const key = normalizeText(expense.description);
+    if (key && categoryIds.has(expense.categoryId)) {
+      known.set(key, expense.categoryId); // Newer expenses win
+    }
+  });
+  const knownKeys = Array.from(known.keys())
+    .filter(key => key.length >= 4)
+    .sort((a, b) => b.length - a.length);
+  const names = categories
+    .map(c => ({ id: c.id, key: normalizeText(c.name) }))
+    .filter(c => c.key.length >= 3);
+  
+  return (description) => {
+    const key = normalizeText(description);
+    if (!key) return null;
+    if (known.has(key)) return known.get(key);
+    
+    const partial = knownKeys.find(k => key.includes(k) || k.includes(key));
+    if (partial) return known.get(partial);
+    
+    return names.find(c => key.includes(c.key))?.id || null;
+  };
+}
+
+/**
+ * Prepare transactions for the review table
+ * Rows get a suggested category and are unselected when they look like
+ * a duplicate or fall in a closed month (those can't be added here).
+ * `duplicate` is 'imported' when the transaction ID was already imported
+ * and 'similar' when an expense has the same date and amount.
+ * @param {Object[]} transactions - From mapStatementRows() or read*Statement()
+ * @returns {Promise<Object[]>} Review rows
+ */
+export async function prepareReview(transactions) {
+  const [expenses, archives, categories, settings] = await Promise.all([
+    db.getAllExpenses(),
+    db.getAllArchives(),
+    db.getAllCategories(),
+    db.getSettings()
+  ]);
+  
+  const archivedMonths = new Set(archives.map(a => a.month));
+  const history = [...archives.flatMap(a => a.expenses || []), ...expenses]
+    .sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+  const suggestCategory = createCategorySuggester(history, categories);
+  const importedIds = new Set(history.map(e => e.importId).filter(Boolean));
+  const similar = findDuplicates(transactions, history, settings?.currency || DEFAULT_CURRENCY);
+  
+  return transactions.map((transaction, index) => {
+    const month = db.getMonthForDate(transaction.date);
+    const closed = archivedMonths.has(month);
+    let duplicate = null;
+    if (transaction.importId && importedIds.has(transaction.importId)) {
+      duplicate = 'imported';
+    } else if (similar[index]) {
+      duplicate = 'similar';
+    }
+    // Banks sometimes repeat a transaction within one file
+    if (transaction.importId) {
+      importedIds.add(transaction.importId);
+    }
+    
+    return {
+      ...transaction,
+      month,
+      key: normalizeText(transaction.description),
+      categoryId: suggestCategory(transaction.description),
+      duplicate,
+      closed,
+      selected: !duplicate && !closed
+    };
+  });
+}
+
+/**
+ * Write the selected review rows as expenses
+ * Rates for rows in another currency are checked first so a missing
+ * rate doesn't leave the import half done.
+ * @param {Object[]} rows - Review rows with categoryId set
+ * @returns {Promise<number>} Expenses created
+ */
+export async function importReviewedRows(rows) {
+  const settings = await db.getSettings();
+  const budgetCurrency = settings?.currency || DEFAULT_CURRENCY;
+  for (const row of rows) {
+    if (row.currency && row.currency !== budgetCurrency && !await db.getExchangeRate(row.currency, row.date)) {
+      throw new Error(`No hay tipo de cambio de ${row.currency} vigente al ${row.date}. Agrégalo en Ajustes.`);
+    }
+  }
+  
+  let created = 0;
+  for (const row of rows) {
+    await db.createExpense({
+      categoryId: row.categoryId,
+      description: row.description,
+      amount: row.amount,
+      currency: row.currency || null,
+      importId: row.importId || null,
+      date: row.date
+    });
+    created++;
+  }
+  return created;
+}
@@ -0,0 +1,124 @@
+/**
+ * Report Service
+ * Turns closed months into printable report data: summary,
+ * budget vs actual per category, expenses and chart data
+ */
+
+import * as db from '../db/database.js';
+import * as money from '../utils/money.js';
+import { getMonthName } from '../utils/helpers.js';
+import { ValidationError } from '../utils/errorHandler.js';
+import { DEFAULT_CURRENCY } from '../db/schema.js';
+
+/**
+ * Build a report from one or more archives
+ * Categories are matched by id across months and use their latest name and color.
+ * @param {Object[]} archives - Archives sorted by month
+ * @returns {Object} Report data, amounts in minor units
+ */
+function buildReport(archives) {
+  const currency = archives[archives.length - 1].summary?.currency || DEFAULT_CURRENCY;
+  
+  // Archives keep their own currency when the base currency changes, so totals can't mix them
+  if (archives.some(archive => (archive.summary?.currency || DEFAULT_CURRENCY) !== currency)) {
+    throw new ValidationError('Los meses elegidos están en monedas distintas. Imprime un informe por mes.');
+  }
+  
+  const totals = (field) => money.sumBy(archives, archive => archive.summary?.[field] || 0);
+  const categories = new Map();
+  const expenses = [];
+  
+  archives.forEach(archive => {
+    const names = new Map();
+    
+    (archive.categories || []).forEach(cat => {
+      const entry = categories.get(cat.id) || { id: cat.id, budget: 0, actual: 0 };
+      entry.name = cat.name;
+      entry.color = cat.color;
+      entry.budget += cat.available ?? cat.budgetLimit ?? 0;
+      entry.actual += cat.spent || 0;
+      categories.set(cat.id, entry);
+      names.set(cat.id, cat.name);
+    });
+    
+    (archive.expenses || []).forEach(expense => expenses.push({
+      date: expense.date,
+      category: names.get(expense.categoryId) || categories.get(expense.categoryId)?.name || 'Sin categoría',
+      description: expense.description || '',
+      amount: expense.amount
+    }));
+  });
+  
+  const categoryRows = [...categories.values()].map(cat => ({
+    ...cat,
+    difference: cat.budget - cat.actual
+  }));
+  
+  return {
+    currency,
+    summary: {
+      income: totals('monthlyIncome'),
+      receivedIncome: totals('receivedIncome'),
+      fixed: totals('totalFixedExpenses'),
+      goals: totals('totalGoals'),
+      spent: totals('totalSpent'),
+      saved: totals('totalSaved')
+    },
+    categories: categoryRows,
+    expenses: expenses.sort((a, b) => a.date.localeCompare(b.date)),
+    distribution: categoryRows
+      .filter(cat => cat.actual > 0)
+      .map(cat => ({ name: cat.name, value: cat.actual, color: cat.color })),
+    comparison: categoryRows
+      .map(cat => ({ name: cat.name, budget: cat.budget, actual: cat.actual, color: cat.color }))
+  };
+}
+
+/**
+ * Get the report of a closed month
+ * @param {string} month - Month in YYYY-MM format
+ * @returns {Promise<Object>} Report data
+ */
+export async function getMonthlyReport(month) {
+  const archive = await db.getArchive(month);
+  if (!archive) {
+    throw new Error('Mes cerrado no encontrado');
+  }
+  
+  return {
+    title: `Informe de ${getMonthName(month)}`,
+    period: month,
+    closedAt: archive.closedAt,
+    months: [],
+    ...buildReport([archive])
+  };
+}
+
+/**
+ * Get the report of every closed month of a year
+ * @param {number|string} year - Year (2026)
+ * @returns {Promise<Object>} Report data with a row per month
+ */
+export async function getAnnualReport(year) {
+  const archives = (await db.getAllArchives())
+    .filter(archive => archive.month.startsWith(`${year}-`))
+    .sort((a, b) => a.month.localeCompare(b.month));
+  
+  if (archives.length === 0) {
+    throw new Error(`No hay meses cerrados en ${year}`);
+  }
+  
+  return {
+    title: `Informe anual ${year}`,
+    period: String(year),
+    closedAt: null,
+    months: archives.map(archive => ({
+      month: archive.month,
+      income: archive.summary?.monthlyIncome || 0,
+      fixed: archive.summary?.totalFixedExpenses || 0,
+      spent: archive.summary?.totalSpent || 0,
+      saved: archive.summary?.totalSaved || 0
+    })),
+    ...buildReport(archives)
+  };
+}
@@ -0,0 +1,168 @@
+/**
+ * Backup Encryption Utilities
+ * Reads and writes passphrase-encrypted .pbc backups with WebCrypto
+ *
+ * File layout (all integers big-endian):
+ *   magic "PBC" (3) | format version (1) | PBKDF2 iterations (4) |
+ *   salt (16) | passphrase check (16) | IV (12) | AES-GCM ciphertext
+ *
+ * PBKDF2-SHA-256 derives 48 bytes: the first 32 are the AES-GCM key and the
+ * last 16 are stored as the passphrase check, so a wrong passphrase is told
+ * apart from a damaged file before decrypting. The header is authenticated
+ * as additional data, so any change to it is reported as corruption.
+ */
+
+import { WrongPassphraseError, CorruptBackupError } from './errorHandler.js';
+
+const MAGIC = [0x50, 0x42, 0x43]; // "PBC"
+const FORMAT_VERSION = 1;
+const ITERATIONS = 600000;
+const MAX_ITERATIONS = 10000000;
+const SALT_LENGTH = 16;
+const CHECK_LENGTH = 16;
+const IV_LENGTH = 12;
+const KEY_LENGTH = 32;
+const HEADER_LENGTH = MAGIC.length + 1 + 4 + SALT_LENGTH + CHECK_LENGTH + IV_LENGTH;
+
+/**
+ * Derive the AES-GCM key and the passphrase check
+ * @param {string} passphrase
+ * @param {Uint8Array} salt
+ * @param {number} iterations
+ * @returns {Promise<Object>} { key, check }
+ */
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  );
+  const bits = new Uint8Array(await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    (KEY_LENGTH + CHECK_LENGTH) * 8
+  ));
+  
+  const key = await crypto.subtle.importKey(
+    'raw',
+    bits.slice(0, KEY_LENGTH),
+    'AES-GCM',
+    false,
+    ['encrypt', 'decrypt']
+  );
+  
+  return { key, check: bits.slice(KEY_LENGTH) };
+}
+
+/**
+ * Compare two byte arrays
+ */
+function sameBytes(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a[i] ^ b[i];
+  }
+  return diff === 0;
+}
+
+/**
+ * Check whether a file starts with the .pbc header
+ * @param {ArrayBuffer|Uint8Array} buffer - File content
+ * @returns {boolean}
+ */
+export function isEncryptedBackup(buffer) {
+  const bytes = new Uint8Array(buffer);
+  return MAGIC.every((byte, i) => bytes[i] === byte);
+}
+
+/**
+ * Encrypt a backup
+ * @param {Object} backup - Backup as returned by exportData
+ * @param {string} passphrase
+ * @returns {Promise<Uint8Array>} .pbc file content
+ */
+export async function encryptBackup(backup, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_LENGTH));
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const { key, check } = await deriveKey(passphrase, salt, ITERATIONS);
+  
+  const header = new Uint8Array(HEADER_LENGTH);
+  const view = new DataView(header.buffer);
+  header.set(MAGIC, 0);
+  view.setUint8(MAGIC.length, FORMAT_VERSION);
+  view.setUint32(MAGIC.length + 1, ITERATIONS);
+  header.set(salt, MAGIC.length + 5);
+  header.set(check, MAGIC.length + 5 + SALT_LENGTH);
+  header.set(iv, MAGIC.length + 5 + SALT_LENGTH + CHECK_LENGTH);
+  
+  const ciphertext = new Uint8Array(await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: header },
+    key,
+    new TextEncoder().encode(JSON.stringify(backup))
+  ));
+  
+  const file = new Uint8Array(HEADER_LENGTH + ciphertext.length);
+  file.set(header, 0);
+  file.set(ciphertext, HEADER_LENGTH);
+  return file;
+}
+
+/**
+ * Decrypt a .pbc backup
+ * @param {ArrayBuffer|Uint8Array} buffer - File content
+ * @param {string} passphrase
+ * @returns {Promise<Object>} Parsed backup
+ * @throws {WrongPassphraseError} If the passphrase doesn't match the file
+ * @throws {CorruptBackupError} If the file is truncated, altered or from a newer format
+ */
+export async function decryptBackup(buffer, passphrase) {
+  const bytes = new Uint8Array(buffer);
+  
+  if (!isEncryptedBackup(bytes) || bytes.length <= HEADER_LENGTH) {
+    throw new CorruptBackupError('El archivo no es un backup cifrado válido');
+  }
+  
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const version = view.getUint8(MAGIC.length);
+  if (version !== FORMAT_VERSION) {
+    throw new CorruptBackupError(
+      `El backup cifrado usa un formato más nuevo (v${version}). Actualiza la app antes de importarlo.`
+    );
+  }
+  
+  const iterations = view.getUint32(MAGIC.length + 1);
+  let offset = MAGIC.length + 5;
+  const salt = bytes.slice(offset, offset += SALT_LENGTH);
+  const storedCheck = bytes.slice(offset, offset += CHECK_LENGTH);
+  const iv = bytes.slice(offset, offset += IV_LENGTH);
+  
+  // A damaged count could otherwise stall the key derivation for minutes
+  if (iterations === 0 || iterations > MAX_ITERATIONS) {
+    throw new CorruptBackupError('El backup cifrado está dañado');
+  }
+  
+  const { key, check } = await deriveKey(passphrase, salt, iterations);
+  if (!sameBytes(check, storedCheck)) {
+    throw new WrongPassphraseError();
+  }
+  
+  let plaintext;
+  try {
+    plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv, additionalData: bytes.slice(0, HEADER_LENGTH) },
+      key,
+      bytes.slice(HEADER_LENGTH)
+    );
+  } catch {
+    throw new CorruptBackupError('El backup cifrado está dañado o fue modificado');
+  }
+  
+  try {
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  } catch {
+    throw new CorruptBackupError('El contenido del backup cifrado no es válido');
+  }
+}
@@ -0,0 +1,102 @@
+/**
+ * CSV Utilities
+ * Small RFC 4180 reader for bank statement exports, and a writer for spreadsheet exports
+ */
+
+/**
+ * Delimiters tried when a file does not say which one it uses
+ */
+const DELIMITERS = [',', ';', '\t', '|'];
+
+/**
+ * Guess the delimiter from the first lines of a file
+ * @param {string} text - CSV content
+ * @returns {string} The delimiter found most often outside quotes
+ */
+export function detectDelimiter(text) {
+  const sample = text.split(/\r?\n/).slice(0, 20).join('\n').replace(/"[^"]*"/g, '');
+  
+  let best = DELIMITERS[0];
+  let bestCount = 0;
+  DELIMITERS.forEach(delimiter => {
+    const count = sample.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  });
+  
+  return best;
+}
+
+/**
+ * Parse CSV text into rows of cells
+ * Handles quoted cells with delimiters, doubled quotes and line breaks;
+ * empty lines are dropped.
+ * @param {string} text - CSV content
+ * @param {string} [delimiter] - Cell delimiter (detected when omitted)
+ * @returns {string[][]} Rows
+ */
+export function parseCSV(text, delimiter = detectDelimiter(text)) {
+  const input = text.replace(/^\uFEFF/, ''); // Excel adds a BOM to UTF-8 exports
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  
+  return rows
+    .map(cells => cells.map(value => value.trim()))
+    .filter(cells => cells.some(value => value !== ''));
+}
+
+/**
+ * Write rows as CSV text
+ * Cells with the delimiter, quotes or line breaks are quoted. The BOM
+ * lets Excel open the file as UTF-8.
+ * @param {Array<Array>} rows - Rows of cell values (null and undefined become empty cells)
+ * @param {string} [delimiter]
+ * @returns {string} CSV content
+ */
+export function toCSV(rows, delimiter = ',') {
+  const quote = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /["\r\n]/.test(text) || text.includes(delimiter)
+      ? `"${text.replace(/"/g, '""')}"`
+      : text;
+  };
+  
+  return '\uFEFF' + rows.map(row => row.map(quote).join(delimiter)).join('\r\n') + '\r\n';
+}
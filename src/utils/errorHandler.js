@@ -92,6 +92,50 @@ export class ValidationError extends Error {
   }
 }
 
+/**
+ * Error raised when closing a month whose income is not fully assigned
+ */
+export class UnassignedMoneyError extends Error {
+  constructor(unassigned) {
+    super(unassigned > 0 
+      ? 'Aún tienes dinero sin asignar. Asígnalo antes de cerrar el mes.' 
+      : 'Asignaste más dinero del disponible. Ajusta tu presupuesto antes de cerrar el mes.');
+    this.name = 'UnassignedMoneyError';
+    this.unassigned = unassigned;
+  }
+}
+
+/**
+ * Error raised when a backup has records that don't match the backup schema
+ */
+export class InvalidBackupError extends Error {
+  constructor(problems) {
+    super(`El backup tiene ${problems.length} problema(s) y no se importó nada`);
+    this.name = 'InvalidBackupError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Error raised when an encrypted backup is opened with the wrong passphrase
+ */
+export class WrongPassphraseError extends Error {
+  constructor() {
+    super('La contraseña no es correcta');
+    this.name = 'WrongPassphraseError';
+  }
+}
+
+/**
+ * Error raised when an encrypted backup is truncated, altered or unreadable
+ */
+export class CorruptBackupError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CorruptBackupError';
+  }
+}
+
 /**
  * Validate form data
  * @param {Object} data - Form data object
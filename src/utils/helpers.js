@@ -3,48 +3,34 @@
  * Common utility functions used throughout the app
  */
 
+import { fromMinor, getCurrency } from './money.js';
+import { DEFAULT_CURRENCY } from '../db/schema.js';
+
+// Intl formatters are costly to build, keep one per currency and notation
+const currencyFormatters = new Map();
+
 /**
- * Format amount with currency symbol
- * Always shows the full number
- * @param {number} amount - The amount to format
- * @param {string} currency - Currency symbol (default: Q)
+ * Format amount with the currency's symbol, decimals and locale
+ * Amounts of a million or more use the locale's compact notation (Q 1,5 M)
+ * @param {number} amount - The amount to format, in minor units (centavos)
+ * @param {string} currency - ISO 4217 code (default: GTQ)
  * @returns {string} Formatted amount
  */
-export function formatCurrency(amount, currency = 'Q') {
-  const absAmount = Math.abs(amount);
-  const sign = amount < 0 ? '-' : '';
+export function formatCurrency(amount, currency = DEFAULT_CURRENCY) {
+  const { code, locale } = getCurrency(currency);
+  const value = fromMinor(amount);
+  const compact = Math.abs(value) >= 1000000;
+  const key = `${code}:${compact ? 'compact' : 'standard'}`;
   
-  // Custom compact notation for large numbers
-  if (absAmount >= 1000000) {
-    let formattedNum;
-    let suffix;
-
-    if (absAmount >= 1.0e15) { // Quadrillion (10^15)
-      formattedNum = absAmount / 1.0e15;
-      suffix = ' Q'; // Quadrillion
-    } else if (absAmount >= 1.0e12) { // Trillion (10^12)
-      formattedNum = absAmount / 1.0e12;
-      suffix = ' T'; // Trillion
-    } else if (absAmount >= 1.0e9) { // Billion (10^9)
-      formattedNum = absAmount / 1.0e9;
-      suffix = ' B'; // Billion
-    } else { // Million (10^6)
-      formattedNum = absAmount / 1.0e6;
-      suffix = ' M'; // Million
-    }
-
-    const formatted = formattedNum.toLocaleString('es-GT', {
-      minimumFractionDigits: 0,
-      maximumFractionDigits: 1
-    });
-    return `${sign}${currency}${formatted}${suffix}`;
+  if (!currencyFormatters.has(key)) {
+    currencyFormatters.set(key, new Intl.NumberFormat(locale, {
+      style: 'currency',
+      currency: code,
+      ...(compact && { notation: 'compact', maximumFractionDigits: 1 })
+    }));
   }
   
-  const formatted = absAmount.toLocaleString('es-GT', {
-    minimumFractionDigits: 2,
-    maximumFractionDigits: 2
-  });
-  return `${sign}${currency}${formatted}`;
+  return currencyFormatters.get(key).format(value);
 }
 
 /**
@@ -194,6 +180,23 @@ export function createElement(tag, attrs = {}, children = []) {
   return element;
 }
 
+/**
+ * Save a file through a temporary download link
+ * @param {Blob} blob - File content
+ * @param {string} filename - Suggested file name
+ */
+export function downloadFile(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
 /**
  * Simple HTML sanitizer
  * @param {string} str - String to sanitize
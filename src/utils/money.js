@@ -0,0 +1,116 @@
+/**
+ * Money Utilities
+ * Amounts are stored as integer minor units (centavos) so totals never drift.
+ * Convert with toMinor() when reading a form and fromMinor() when filling one.
+ */
+
+import { AVAILABLE_CURRENCIES, DEFAULT_CURRENCY, LEGACY_CURRENCY_CODES } from '../db/schema.js';
+
+/**
+ * Minor units per major unit (100 centavos per quetzal)
+ */
+export const MINOR_UNITS = 100;
+
+/**
+ * Convert a major-unit amount (form input, old backups) to minor units
+ * @param {string|number} amount - Amount like "12.35" or 12.35
+ * @returns {number} Integer minor units (1235)
+ */
+export function toMinor(amount) {
+  const num = typeof amount === 'number' ? amount : parseFloat(String(amount ?? '').replace(',', '.'));
+  if (!isFinite(num)) return 0;
+  // toPrecision drops the binary noise in values like 1.005 * 100
+  return Math.round(parseFloat((num * MINOR_UNITS).toPrecision(15)));
+}
+
+/**
+ * Convert minor units to a major-unit number (form values, charts)
+ * @param {number} minor - Integer minor units
+ * @returns {number} Major units
+ */
+export function fromMinor(minor) {
+  return (minor || 0) / MINOR_UNITS;
+}
+
+/**
+ * Coerce a value that is already in minor units to a safe integer
+ * @param {string|number} minor - Minor units
+ * @returns {number} Integer minor units (0 when invalid)
+ */
+export function normalize(minor) {
+  const num = Math.round(Number(minor));
+  return isFinite(num) ? num : 0;
+}
+
+/**
+ * Add amounts in minor units
+ * @param {number[]} amounts - Minor units
+ * @returns {number} Total in minor units
+ */
+export function sum(amounts) {
+  return amounts.reduce((total, amount) => total + normalize(amount), 0);
+}
+
+/**
+ * Add a field of every item
+ * @param {Object[]} items - Records holding amounts in minor units
+ * @param {string|Function} field - Field name or getter
+ * @returns {number} Total in minor units
+ */
+export function sumBy(items, field) {
+  const get = typeof field === 'function' ? field : (item) => item[field];
+  return sum((items || []).map(get));
+}
+
+/**
+ * Multiply an amount by a factor (rates, fractions), rounding to the nearest minor unit
+ * @param {number} minor - Minor units
+ * @param {number} factor - Multiplier
+ * @returns {number} Integer minor units
+ */
+export function multiply(minor, factor) {
+  return Math.round(normalize(minor) * factor);
+}
+
+/**
+ * Split an amount into equal parts
+ * @param {number} minor - Minor units
+ * @param {number} parts - Number of parts
+ * @param {'round' | 'ceil' | 'floor'} [rounding] - How to round each part
+ * @returns {number} Integer minor units per part
+ */
+export function divide(minor, parts, rounding = 'round') {
+  if (parts <= 0) return normalize(minor);
+  return Math[rounding](normalize(minor) / parts);
+}
+
+/**
+ * Percentage of a total (unclamped)
+ * @param {number} part - Minor units
+ * @param {number} total - Minor units
+ * @returns {number} Percentage
+ */
+export function percentage(part, total) {
+  return total > 0 ? (part / total) * 100 : 0;
+}
+
+/**
+ * Turn a stored currency value into its ISO 4217 code
+ * Values saved before v10 used symbols ('Q'); unknown values fall back to the default
+ * @param {string} currency - Stored currency value
+ * @returns {string} ISO 4217 code
+ */
+export function toCurrencyCode(currency) {
+  if (AVAILABLE_CURRENCIES.some(c => c.code === currency)) return currency;
+  return LEGACY_CURRENCY_CODES[currency] || DEFAULT_CURRENCY;
+}
+
+/**
+ * Get a currency's definition (code, name, symbol, locale)
+ * @param {string} currency - ISO 4217 code or legacy value
+ * @returns {Object} Currency from AVAILABLE_CURRENCIES
+ */
+export function getCurrency(currency) {
+  const code = toCurrencyCode(currency);
+  return AVAILABLE_CURRENCIES.find(c => c.code === code);
+}
@@ -0,0 +1,69 @@
+/**
+ * OFX Utilities
+ * Reads statements in OFX 1.x (SGML) and 2.x (XML)
+ */
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Decode the few entities banks use in OFX values
+ */
+function decodeEntities(value) {
+  return value.replace(/&(#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity.startsWith('#')) return String.fromCharCode(parseInt(entity.slice(1)));
+    return ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Read an element's value
+ * SGML leaves element tags unclosed, so the value ends at the next tag or line break
+ * @param {string} block - OFX text to search
+ * @param {string} tag - Element name
+ * @returns {string} Value, or '' when missing
+ */
+function readValue(block, tag) {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? decodeEntities(match[1].trim()) : '';
+}
+
+/**
+ * Check whether text looks like an OFX statement
+ * @param {string} text - File content
+ * @returns {boolean}
+ */
+export function isOFX(text) {
+  return /OFXHEADER|<OFX>/i.test(text.slice(0, 2000));
+}
+
+/**
+ * Parse an OFX statement
+ * Aggregates like <STMTTRN> are closed in both variants, so each transaction
+ * is read from its block. Values are returned as written in the file.
+ * @param {string} text - File content
+ * @returns {Object} { accountId, currency, transactions: [{ type, posted, amount, fitId, name, memo }] }
+ */
+export function parseOFX(text) {
+  if (!isOFX(text)) {
+    throw new Error('El archivo no es un OFX válido');
+  }
+  
+  const transactions = [];
+  const blocks = text.matchAll(/<STMTTRN>([\s\S]*?)<\/STMTTRN>/gi);
+  for (const [, block] of blocks) {
+    transactions.push({
+      type: readValue(block, 'TRNTYPE'),
+      posted: readValue(block, 'DTPOSTED'),
+      amount: readValue(block, 'TRNAMT'),
+      fitId: readValue(block, 'FITID'),
+      name: readValue(block, 'NAME') || readValue(block, 'PAYEE'),
+      memo: readValue(block, 'MEMO')
+    });
+  }
+  
+  return {
+    accountId: readValue(text, 'ACCTID'),
+    currency: readValue(text, 'CURDEF'),
+    transactions
+  };
+}
@@ -0,0 +1,70 @@
+/**
+ * QIF Utilities
+ * Reads Quicken Interchange Format statements (bank, cash and card accounts)
+ */
+
+/**
+ * Check whether text looks like a QIF statement
+ * @param {string} text - File content
+ * @returns {boolean}
+ */
+export function isQIF(text) {
+  return /^\s*!Type:/i.test(text);
+}
+
+/**
+ * Parse a QIF statement
+ * Each record is a set of lines starting with a field code and ends with "^".
+ * Values are returned as written in the file: QIF has no fixed date format.
+ * @param {string} text - File content
+ * @returns {Object} { type, transactions: [{ line, date, amount, payee, memo, number }] }
+ */
+export function parseQIF(text) {
+  if (!isQIF(text)) {
+    throw new Error('El archivo no es un QIF válido');
+  }
+  
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+  const type = lines[0].trim().replace(/^!Type:/i, '');
+  const transactions = [];
+  let record = null;
+  
+  lines.slice(1).forEach((raw, index) => {
+    const line = raw.trim();
+    if (!line) return;
+    
+    const code = line[0];
+    const value = line.slice(1).trim();
+    
+    if (code === '^') {
+      if (record?.date || record?.amount) {
+        transactions.push(record);
+      }
+      record = null;
+      return;
+    }
+    
+    // Line numbers are 1-based and the header is line 1
+    record = record || { line: index + 2, date: '', amount: '', payee: '', memo: '', number: '' };
+    
+    if (code === 'D') {
+      record.date = value;
+    } else if (code === 'T' || (code === 'U' && !record.amount)) {
+      record.amount = value;
+    } else if (code === 'P') {
+      record.payee = value;
+    } else if (code === 'M') {
+      record.memo = value;
+    } else if (code === 'N') {
+      record.number = value;
+    }
+    // Categories (L), splits (S, E, $) and addresses (A) are not used
+  });
+  
+  // The last record may lack its closing "^"
+  if (record?.date || record?.amount) {
+    transactions.push(record);
+  }
+  
+  return { type, transactions };
+}
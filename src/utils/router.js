@@ -0,0 +1,96 @@
+/**
+ * Router
+ * Hash-based routes so views can be linked and the back button stays in the app
+ *
+ *   #/dashboard[/YYYY-MM]   Dashboard, optionally showing a past month
+ *   #/categories[/:id]      Categories, optionally with one expanded
+ *   #/history[/YYYY-MM]     Closed months, optionally with one expanded
+ *   #/fixed, #/assign, #/goals, #/settings
+ *   #/add                   Dashboard with the quick expense form open
+ */
+
+/**
+ * Views that have a route
+ */
+const VIEWS = ['dashboard', 'fixed', 'categories', 'history', 'assign', 'goals', 'settings'];
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+let routeHandler = null;
+
+/**
+ * Read a route from a URL hash
+ * Unknown views fall back to the dashboard and invalid months are ignored.
+ * @param {string} hash - URL hash ("#/history/2026-08")
+ * @returns {Object} { view, month, categoryId, action }
+ */
+export function parseRoute(hash) {
+  const [view, param] = hash.replace(/^#\/?/, '').split('/').map(part => decodeURIComponent(part || ''));
+  const route = { view: 'dashboard', month: null, categoryId: null, action: null };
+  
+  if (view === 'add') {
+    return { ...route, action: 'add-expense' };
+  }
+  
+  if (!VIEWS.includes(view)) return route;
+  
+  route.view = view;
+  if ((view === 'dashboard' || view === 'history') && MONTH_PATTERN.test(param)) {
+    route.month = param;
+  } else if (view === 'categories' && param) {
+    route.categoryId = param;
+  }
+  
+  return route;
+}
+
+/**
+ * Write a route as a URL hash
+ * @param {Object} route - { view, month, categoryId }
+ * @returns {string} Hash ("#/categories/abc")
+ */
+export function buildRoute({ view = 'dashboard', month = null, categoryId = null }) {
+  const param = view === 'categories' ? categoryId : month;
+  return `#/${view}${param ? `/${encodeURIComponent(param)}` : ''}`;
+}
+
+/**
+ * Get the route of the current URL
+ * @returns {Object} { view, month, categoryId, action }
+ */
+export function getCurrentRoute() {
+  return parseRoute(window.location.hash);
+}
+
+/**
+ * Go to a route
+ * Adds a history entry unless the URL doesn't change or replace is set,
+ * then shows the route.
+ * @param {Object} route - { view, month, categoryId }
+ * @param {Object} [options]
+ * @param {boolean} [options.replace] - Replace the current history entry
+ * @param {boolean} [options.silent] - Only update the URL, without showing the route
+ */
+export function navigate(route, { replace = false, silent = false } = {}) {
+  const hash = buildRoute(route);
+  
+  if (replace) {
+    history.replaceState(null, '', hash);
+  } else if (hash !== window.location.hash) {
+    history.pushState(null, '', hash);
+  }
+  
+  if (!silent) {
+    routeHandler?.(parseRoute(hash));
+  }
+}
+
+/**
+ * Show routes as the URL changes
+ * popstate covers the back and forward buttons and hashes edited by hand.
+ * @param {Function} handler - Receives the parsed route
+ */
+export function startRouter(handler) {
+  routeHandler = handler;
+  window.addEventListener('popstate', () => handler(getCurrentRoute()));
+}
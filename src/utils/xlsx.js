@@ -0,0 +1,169 @@
+/**
+ * XLSX Utilities
+ * Writes Office Open XML workbooks from plain sheets, with no dependencies
+ */
+
+import { createZip } from './zip.js';
+
+/**
+ * Cell styles, by column type (indexes into cellXfs in styles.xml)
+ */
+const STYLES = {
+  text: 0,
+  number: 0,
+  amount: 1,
+  date: 2,
+  header: 3
+};
+
+const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy\\-mm\\-dd"/></numFmts>
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="4">
+<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>
+<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>
+</cellXfs>
+</styleSheet>`;
+
+/**
+ * Escape text for XML content and attributes
+ */
+function escapeXML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+/**
+ * Column letters for a zero-based index (0 → A, 26 → AA)
+ */
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+/**
+ * Excel serial number of a YYYY-MM-DD date (days since 1899-12-30)
+ */
+function toSerialDate(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return (Date.UTC(year, month - 1, day) - Date.UTC(1899, 11, 30)) / 86400000;
+}
+
+/**
+ * Write one cell
+ * @param {string} ref - Cell reference (B3)
+ * @param {*} value - Cell value
+ * @param {string} type - Column type
+ * @returns {string} <c> element, or '' for empty cells
+ */
+function cellXML(ref, value, type) {
+  if (value === null || value === undefined || value === '') return '';
+  
+  if (type === 'date' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return `<c r="${ref}" s="${STYLES.date}"><v>${toSerialDate(value)}</v></c>`;
+  }
+  if (typeof value === 'number' && isFinite(value)) {
+    return `<c r="${ref}" s="${STYLES[type] ?? 0}"><v>${value}</v></c>`;
+  }
+  const style = type === 'header' ? ` s="${STYLES.header}"` : '';
+  return `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${escapeXML(value)}</t></is></c>`;
+}
+
+/**
+ * Write a worksheet
+ * @param {Object} sheet - { columns: [{ header, type, width }], rows }
+ * @returns {string} Worksheet XML
+ */
+function sheetXML({ columns, rows }) {
+  const header = columns.map(column => column.header);
+  const lines = [header, ...rows].map((row, rowIndex) => {
+    const cells = row.map((value, colIndex) => cellXML(
+      `${columnName(colIndex)}${rowIndex + 1}`,
+      value,
+      rowIndex === 0 ? 'header' : columns[colIndex]?.type
+    ));
+    return `<row r="${rowIndex + 1}">${cells.join('')}</row>`;
+  });
+  
+  const cols = columns
+    .map((column, i) => `<col min="${i + 1}" max="${i + 1}" width="${column.width || 14}" customWidth="1"/>`)
+    .join('');
+  
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>
+<cols>${cols}</cols>
+<sheetData>${lines.join('')}</sheetData>
+</worksheet>`;
+}
+
+/**
+ * Make a name Excel accepts for a sheet: at most 31 characters, without []:*?/\
+ */
+function sheetName(name) {
+  return name.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31);
+}
+
+/**
+ * Build an XLSX workbook
+ * The first row of each sheet holds the column headers.
+ * Column types: 'text', 'number', 'amount' (two decimals) and 'date' (YYYY-MM-DD values).
+ * @param {Array<{name: string, columns: Array, rows: Array[]}>} sheets
+ * @returns {Uint8Array} XLSX file content
+ */
+export function createXLSX(sheets) {
+  const sheetEntries = sheets.map((sheet, i) => ({
+    name: `xl/worksheets/sheet${i + 1}.xml`,
+    data: sheetXML(sheet)
+  }));
+  
+  const contentTypes = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+${sheets.map((sheet, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('\n')}
+</Types>`;
+
+  const rootRels = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`;
+
+  const workbook = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets>
+${sheets.map((sheet, i) => `<sheet name="${escapeXML(sheetName(sheet.name))}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('\n')}
+</sheets>
+</workbook>`;
+
+  const workbookRels = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+${sheets.map((sheet, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('\n')}
+<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`;
+
+  return createZip([
+    { name: '[Content_Types].xml', data: contentTypes },
+    { name: '_rels/.rels', data: rootRels },
+    { name: 'xl/workbook.xml', data: workbook },
+    { name: 'xl/_rels/workbook.xml.rels', data: workbookRels },
+    { name: 'xl/styles.xml', data: STYLES_XML },
+    ...sheetEntries
+  ]);
+}
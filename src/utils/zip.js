@@ -0,0 +1,120 @@
+/**
+ * ZIP Utilities
+ * Minimal ZIP writer for generated files (XLSX workbooks)
+ * Entries are stored without compression, which every reader accepts
+ */
+
+let crcTable = null;
+
+/**
+ * CRC-32 (IEEE 802.3) of a byte array
+ * @param {Uint8Array} bytes
+ * @returns {number} Unsigned 32-bit checksum
+ */
+export function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Date and time of an entry in MS-DOS format
+ * @param {Date} date
+ * @returns {Object} { time, date }
+ */
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Build a ZIP archive
+ * @param {Array<{name: string, data: (string|Uint8Array)}>} files - Strings are written as UTF-8
+ * @param {Date} [modified] - Modification time of every entry
+ * @returns {Uint8Array} ZIP file content
+ */
+export function createZip(files, modified = new Date()) {
+  const encoder = new TextEncoder();
+  const dos = toDosDateTime(modified);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+  
+  files.forEach(file => {
+    const name = encoder.encode(file.name);
+    const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+    const crc = crc32(data);
+    
+    // Local file header
+    const local = new Uint8Array(30 + name.length);
+    const localView = new DataView(local.buffer);
+    localView.setUint32(0, 0x04034B50, true);
+    localView.setUint16(4, 20, true); // Version needed: 2.0
+    localView.setUint16(6, 0x0800, true); // Names are UTF-8
+    localView.setUint16(8, 0, true); // Stored
+    localView.setUint16(10, dos.time, true);
+    localView.setUint16(12, dos.date, true);
+    localView.setUint32(14, crc, true);
+    localView.setUint32(18, data.length, true);
+    localView.setUint32(22, data.length, true);
+    localView.setUint16(26, name.length, true);
+    local.set(name, 30);
+    
+    // Central directory header
+    const central = new Uint8Array(46 + name.length);
+    const centralView = new DataView(central.buffer);
+    centralView.setUint32(0, 0x02014B50, true);
+    centralView.setUint16(4, 20, true); // Version made by
+    centralView.setUint16(6, 20, true);
+    centralView.setUint16(8, 0x0800, true);
+    centralView.setUint16(10, 0, true);
+    centralView.setUint16(12, dos.time, true);
+    centralView.setUint16(14, dos.date, true);
+    centralView.setUint32(16, crc, true);
+    centralView.setUint32(20, data.length, true);
+    centralView.setUint32(24, data.length, true);
+    centralView.setUint16(28, name.length, true);
+    centralView.setUint32(42, offset, true);
+    central.set(name, 46);
+    
+    localParts.push(local, data);
+    centralParts.push(central);
+    offset += local.length + data.length;
+  });
+  
+  const centralSize = centralParts.reduce((total, part) => total + part.length, 0);
+  
+  // End of central directory record
+  const end = new Uint8Array(22);
+  const endView = new DataView(end.buffer);
+  endView.setUint32(0, 0x06054B50, true);
+  endView.setUint16(8, files.length, true);
+  endView.setUint16(10, files.length, true);
+  endView.setUint32(12, centralSize, true);
+  endView.setUint32(16, offset, true);
+  
+  const parts = [...localParts, ...centralParts, end];
+  const zip = new Uint8Array(offset + centralSize + end.length);
+  let position = 0;
+  parts.forEach(part => {
+    zip.set(part, position);
+    position += part.length;
+  });
+  
+  return zip;
+}
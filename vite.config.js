@@ -32,6 +32,20 @@ export default defineConfig({
             type: 'image/png',
             purpose: 'maskable'
           }
+        ],
+        shortcuts: [
+          {
+            name: 'Agregar gasto',
+            short_name: 'Gasto',
+            url: '/#/add',
+            icons: [{ src: 'icons/icon-192.svg', sizes: '192x192', type: 'image/svg+xml' }]
+          },
+          {
+            name: 'Historial',
+            short_name: 'Historial',
+            url: '/#/history',
+            icons: [{ src: 'icons/icon-192.svg', sizes: '192x192', type: 'image/svg+xml' }]
+          }
         ]
       },
       workbox: {